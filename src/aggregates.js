@@ -0,0 +1,314 @@
+import pLimit from 'p-limit';
+import { fetchHTML } from './webextract.js';
+import { isIndexTruncated, loadMemberIndex, matchesParty } from './memberIndex.js';
+import { isSittingMember, resolveState } from './places.js';
+import { parseToFlatFormat } from './prsService.js';
+import { HTML_TTL, RESULT_TTL, createEntry, getCache, isFresh } from './cache.js';
+import { getSnapshotMode } from './snapshots.js';
+import { classifyLookupFailure } from './upstream.js';
+import { validateMember } from './schema.js';
+import { createExtractionHealth, summarizeExtractionHealth } from './extractionHealth.js';
+import { loadLatestSnapshot, recordMemberSnapshot } from './changes.js';
+import {
+  DEFAULT_CONCURRENCY,
+  DEFAULT_DEADLINE,
+  MAX_CONCURRENCY,
+  MAX_DEADLINE,
+  clamp,
+} from './batch.js';
+
+const AVERAGE_METRICS = [{ key: 'attendance', unit: 'percent' }];
+
+const TOTAL_METRICS = [
+  { key: 'debates', unit: 'count' },
+  { key: 'questions', unit: 'count' },
+  { key: 'pmb', unit: 'count' },
+];
+
+const MISSING_VALUES = new Set(['', 'n/a', 'na', 'unknown', '-']);
+
+export async function getAggregateStats({
+  state = null,
+  party = null,
+  type = 'MP',
+  refresh = false,
+  concurrency,
+  deadlineMs,
+} = {}) {
+  let index;
+  try {
+    index = await loadMemberIndex({ wait: false });
+  } catch (err) {
+    if (!err.failure) throw err;
+    console.log(`⚠️ [Aggregate] Member index unavailable: ${err.message}`);
+    return { found: false, error: err.failure, missing: [] };
+  }
+
+  const resolvedState = state ? resolveState(index.members, state) : null;
+
+  if (state && !resolvedState) {
+    return { found: false, reason: `Unknown state "${state}"` };
+  }
+
+  const members = index.members
+    .filter(isSittingMember)
+    .filter(member => member.type === type)
+    .filter(member => !resolvedState || member.state === resolvedState)
+    .filter(member => !party || matchesParty(member.party, party));
+
+  if (members.length === 0) {
+    return { found: false, reason: 'No sitting members match these filters' };
+  }
+
+  const scope = {
+    type,
+    house: type === 'MLA' ? null : members[0].house,
+    state: resolvedState,
+    party: party || null,
+    parties: [...new Set(members.map(member => member.party).filter(Boolean))].sort(),
+  };
+
+  const cache = getCache();
+  const cacheKey = getAggregateCacheKey(scope);
+  const useResultCache = getSnapshotMode() !== 'replay';
+
+  if (!refresh && useResultCache) {
+    const cached = await cache.get(cacheKey);
+
+    if (isFresh(cached)) {
+      console.log(`💾 [Aggregate] Serving ${describeScope(scope)} from cache`);
+      return {
+        found: true,
+        aggregate: cached.value,
+        indexBuiltAt: index.builtAt,
+        indexTruncated: isIndexTruncated(index),
+        fromCache: true,
+      };
+    }
+  }
+
+  const stored = useResultCache ? await loadStoredSnapshots(members) : new Map();
+  const live = members.filter(member => refresh || !isRecent(stored.get(member.url)));
+
+  console.log(
+    `📊 [Aggregate] ${describeScope(scope)}: ${members.length} members, ${members.length - live.length} from stored snapshots`
+  );
+
+  const outcomes = await collectRecords(live, {
+    concurrency: clamp(concurrency, 1, MAX_CONCURRENCY, DEFAULT_CONCURRENCY),
+    deadlineMs: clamp(deadlineMs, 1000, MAX_DEADLINE, DEFAULT_DEADLINE),
+  });
+
+  const records = [];
+  const missing = [];
+
+  for (const member of members) {
+    const outcome = outcomes.get(member.url);
+    const snapshot = stored.get(member.url);
+
+    if (outcome?.status === 'ok') {
+      records.push(outcome);
+    } else if (snapshot) {
+      records.push({ member, status: 'ok', data: snapshot.data, asOf: snapshot.lastSeenAt });
+    } else {
+      missing.push({ ...describeMember(member), status: outcome.status, reason: outcome.reason });
+    }
+  }
+
+  const failure = records.length === 0 ? classifyLookupFailure(missing) : null;
+  if (failure) {
+    return { found: false, error: failure, missing };
+  }
+
+  const aggregate = {
+    scope,
+    generatedAt: new Date().toISOString(),
+    complete: missing.length === 0 && !isIndexTruncated(index),
+    ...summarizeRecords(records),
+    coverage: {
+      members: members.length,
+      covered: records.length,
+      missing: missing.length,
+      fromSnapshots: records.filter(record => record.asOf).length,
+      oldestSnapshotAt:
+        records
+          .map(record => record.asOf)
+          .filter(Boolean)
+          .sort()[0] || null,
+      schemaInvalid: records.filter(record => record.schemaValid === false).length,
+    },
+    members: records.map(({ member }) => describeMember(member)),
+    missing,
+  };
+
+  console.log(
+    `📊 [Aggregate] ${describeScope(scope)}: covered ${records.length}/${members.length}`
+  );
+
+  if (useResultCache && aggregate.complete) {
+    await cache.set(cacheKey, createEntry(aggregate, RESULT_TTL));
+  }
+
+  return {
+    found: true,
+    aggregate,
+    indexBuiltAt: index.builtAt,
+    indexTruncated: isIndexTruncated(index),
+    fromCache: false,
+  };
+}
+
+async function collectRecords(members, { concurrency, deadlineMs }) {
+  const deadline = Date.now() + deadlineMs;
+  const limit = pLimit(concurrency);
+
+  let timer;
+  const expired = new Promise(resolve => {
+    timer = setTimeout(resolve, deadlineMs);
+  });
+
+  const outcomes = await Promise.all(
+    members.map(member => {
+      const task = limit(async () => {
+        if (Date.now() >= deadline) {
+          return {
+            member,
+            status: 'timeout',
+            reason: `Aggregate deadline of ${deadlineMs}ms reached before the fetch started`,
+          };
+        }
+
+        const page = await fetchHTML(member.url);
+        if (page.status !== 'ok') {
+          return {
+            member,
+            status: page.status,
+            reason: page.reason || 'page could not be fetched',
+          };
+        }
+
+        try {
+          const health = createExtractionHealth();
+          const data = parseToFlatFormat(page.html, member.type, { health });
+          await recordMemberSnapshot(member.url, data, {
+            extractionStatus: summarizeExtractionHealth(health, data).status,
+          });
+          return { member, status: 'ok', data, schemaValid: validateMember(data).valid };
+        } catch (err) {
+          return { member, status: 'error', reason: `Parse failed: ${err.message}` };
+        }
+      });
+
+      const timedOut = expired.then(() => ({
+        member,
+        status: 'timeout',
+        reason: `Aggregate deadline of ${deadlineMs}ms exceeded`,
+      }));
+
+      return Promise.race([task, timedOut]);
+    })
+  );
+
+  clearTimeout(timer);
+  limit.clearQueue();
+
+  return new Map(outcomes.map(outcome => [outcome.member.url, outcome]));
+}
+
+async function loadStoredSnapshots(members) {
+  const snapshots = await Promise.all(members.map(member => loadLatestSnapshot(member.url)));
+  return new Map(
+    members.flatMap((member, i) => (snapshots[i] ? [[member.url, snapshots[i]]] : []))
+  );
+}
+
+function isRecent(snapshot) {
+  return Boolean(snapshot) && Date.now() - Date.parse(snapshot.lastSeenAt) < HTML_TTL;
+}
+
+function summarizeRecords(records) {
+  const metrics = {};
+
+  for (const { key, unit } of AVERAGE_METRICS) {
+    metrics[key] = { unit, ...describeValues(records.map(record => readMetric(record, key))) };
+  }
+
+  for (const { key, unit } of TOTAL_METRICS) {
+    const values = records.map(record => readMetric(record, key));
+    const reported = values.filter(value => value !== null);
+    metrics[key] = {
+      unit,
+      total: reported.reduce((sum, value) => sum + value, 0),
+      ...describeValues(values),
+    };
+  }
+
+  return {
+    metrics,
+    gender: countBy(records, record => record.data.gender),
+    education: countBy(records, record => record.data.education),
+  };
+}
+
+function readMetric(record, key) {
+  const metric = record.data.normalized?.[key];
+  return metric?.source === 'page' ? metric.value : null;
+}
+
+function describeValues(values) {
+  const reported = values.filter(value => value !== null).sort((a, b) => a - b);
+
+  if (reported.length === 0) {
+    return { mean: null, median: null, min: null, max: null, reported: 0 };
+  }
+
+  const middle = Math.floor(reported.length / 2);
+  const median =
+    reported.length % 2 === 0 ? (reported[middle - 1] + reported[middle]) / 2 : reported[middle];
+
+  return {
+    mean: round(reported.reduce((sum, value) => sum + value, 0) / reported.length),
+    median: round(median),
+    min: reported[0],
+    max: reported[reported.length - 1],
+    reported: reported.length,
+  };
+}
+
+function countBy(records, read) {
+  const counts = {};
+
+  for (const record of records) {
+    const raw = String(read(record) ?? '').trim();
+    const label = MISSING_VALUES.has(raw.toLowerCase()) ? 'Unknown' : raw;
+    counts[label] = (counts[label] || 0) + 1;
+  }
+
+  return Object.fromEntries(
+    Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+  );
+}
+
+function describeMember(member) {
+  return {
+    name: member.name,
+    constituency: member.constituency,
+    state: member.state,
+    party: member.party,
+    url: member.url,
+  };
+}
+
+function describeScope(scope) {
+  return [scope.type, scope.state, scope.party].filter(Boolean).join(' / ');
+}
+
+function getAggregateCacheKey(scope) {
+  const parts = [scope.type, scope.state, scope.party].map(v => (v || '').trim().toLowerCase());
+  const flags = [getSnapshotMode() === 'offline' && 'offline'];
+  return `aggregate:${[...parts, ...flags.filter(Boolean)].join('|')}`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,270 @@
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { toNumber } from './numbers.js';
+
+const PROVIDER_TIMEOUT = 10000;
+
+const METRICS = [
+  { key: 'attendance', national: 'natAttendance', state: 'stateAttendance', unit: 'percent' },
+  { key: 'debates', national: 'natDebates', state: 'stateDebates', unit: 'count' },
+  { key: 'questions', national: 'natQuestions', state: 'stateQuestions', unit: 'count' },
+  { key: 'pmb', national: 'natPMB', state: 'statePMB', unit: 'count' },
+];
+
+const LOW_ATTENDANCE_GAP = 10;
+const LOW_ACTIVITY_RATIO = 0.5;
+const HIGH_ACTIVITY_RATIO = 1.5;
+
+let analysisProvider = null;
+let providerLoad = null;
+
+export function setAnalysisProvider(provider) {
+  analysisProvider = typeof provider === 'function' ? provider : null;
+  providerLoad = Promise.resolve();
+}
+
+function loadAnalysisProvider() {
+  if (!providerLoad) {
+    const specifier = (process.env.PRS_ANALYSIS_PROVIDER || '').trim();
+    providerLoad = specifier ? importProvider(specifier) : Promise.resolve();
+  }
+  return providerLoad;
+}
+
+async function importProvider(specifier) {
+  const target = /^[./]/.test(specifier) ? pathToFileURL(path.resolve(specifier)).href : specifier;
+
+  try {
+    const module = await import(target);
+    if (typeof module.default !== 'function') {
+      throw new Error('module has no default export function');
+    }
+    analysisProvider = module.default;
+    console.log(`🧠 [Analysis] Loaded narrative provider from ${specifier}`);
+  } catch (err) {
+    console.log(`⚠️ [Analysis] Could not load provider ${specifier}: ${err.message}`);
+  }
+}
+
+export async function analyzeMember(data, { peers = [], useProvider = true } = {}) {
+  const metrics = {};
+
+  for (const metric of METRICS) {
+    metrics[metric.key] = compareMetric(data, metric, peers);
+  }
+
+  const flags = detectOutliers(metrics);
+  const analysis = {
+    metrics,
+    flags,
+    summary: buildSummary(data, metrics, flags),
+    narrative: null,
+  };
+
+  if (useProvider) {
+    await loadAnalysisProvider();
+  }
+
+  if (useProvider && analysisProvider) {
+    analysis.narrative = await runProvider(data, analysis);
+  }
+
+  return analysis;
+}
+
+function compareMetric(data, metric, peers) {
+  const value = toNumber(data[metric.key]);
+  const national = toNumber(data[metric.national]);
+  const state = toNumber(data[metric.state]);
+
+  const peerValues = peers.map(peer => toNumber(peer[metric.key])).filter(v => v !== null);
+
+  return {
+    value,
+    unit: metric.unit,
+    national,
+    state,
+    deltaNational: delta(value, national),
+    deltaState: delta(value, state),
+    ratioNational: ratio(value, national),
+    ratioState: ratio(value, state),
+    percentile: value !== null && peerValues.length > 1 ? percentileRank(value, peerValues) : null,
+    peerCount: peerValues.length,
+  };
+}
+
+function detectOutliers(metrics) {
+  const flags = [];
+  const { attendance, debates, questions, pmb } = metrics;
+
+  if (
+    attendance.value !== null &&
+    attendance.deltaNational !== null &&
+    attendance.deltaNational <= -LOW_ATTENDANCE_GAP
+  ) {
+    flags.push({
+      code: 'LOW_ATTENDANCE',
+      severity: 'warning',
+      message: `Attendance is ${Math.abs(attendance.deltaNational)} points below the national average`,
+    });
+  }
+
+  if (pmb.value === 0) {
+    flags.push({
+      code: 'ZERO_PMB',
+      severity: 'info',
+      message: "No private member's bills introduced",
+    });
+  }
+
+  for (const [key, metric] of [
+    ['DEBATES', debates],
+    ['QUESTIONS', questions],
+  ]) {
+    if (metric.value === 0) {
+      flags.push({
+        code: `ZERO_${key}`,
+        severity: 'warning',
+        message: `No ${key.toLowerCase()} recorded`,
+      });
+    } else if (metric.ratioNational !== null && metric.ratioNational < LOW_ACTIVITY_RATIO) {
+      flags.push({
+        code: `LOW_${key}`,
+        severity: 'warning',
+        message: `${capitalize(key.toLowerCase())} are under half the national average`,
+      });
+    } else if (metric.ratioNational !== null && metric.ratioNational > HIGH_ACTIVITY_RATIO) {
+      flags.push({
+        code: `HIGH_${key}`,
+        severity: 'positive',
+        message: `${capitalize(key.toLowerCase())} are well above the national average`,
+      });
+    }
+  }
+
+  return flags;
+}
+
+function buildSummary(data, metrics, flags) {
+  const { attendance, debates, questions, pmb } = metrics;
+  const who = describeMember(data);
+
+  if ([attendance, debates, questions, pmb].every(m => m.value === null)) {
+    return `No legislative performance data is published for ${who}.`;
+  }
+
+  const sentences = [];
+  const stateName = data.state && !['Unknown', 'N/A'].includes(data.state) ? data.state : 'state';
+
+  if (attendance.value !== null) {
+    const parts = [`${who} recorded ${formatNumber(attendance.value)}% attendance`];
+    if (attendance.national !== null) {
+      parts.push(
+        describeGap(
+          attendance.deltaNational,
+          'points',
+          `the national average of ${formatNumber(attendance.national)}%`
+        )
+      );
+    }
+    if (attendance.state !== null) {
+      parts.push(
+        describeGap(
+          attendance.deltaState,
+          'points',
+          `the ${stateName} average of ${formatNumber(attendance.state)}%`
+        )
+      );
+    }
+    sentences.push(`${parts.join(', ')}.`);
+  }
+
+  const activity = [];
+  if (debates.value !== null) {
+    activity.push(`participated in ${formatNumber(debates.value)} debates${averageNote(debates)}`);
+  }
+  if (questions.value !== null) {
+    activity.push(`asked ${formatNumber(questions.value)} questions${averageNote(questions)}`);
+  }
+  if (activity.length > 0) {
+    const subject = sentences.length > 0 ? 'They' : who;
+    sentences.push(`${subject} ${activity.join(' and ')}.`);
+  }
+
+  if (pmb.value === 0) {
+    sentences.push("They have not introduced any private member's bills.");
+  } else if (pmb.value !== null) {
+    sentences.push(
+      `They introduced ${formatNumber(pmb.value)} private member's bill${pmb.value === 1 ? '' : 's'}${averageNote(pmb)}.`
+    );
+  }
+
+  const warnings = flags.filter(flag => flag.severity === 'warning').length;
+  if (warnings > 0) {
+    sentences.push(`${warnings} metric${warnings === 1 ? ' is' : 's are'} flagged for review.`);
+  }
+
+  return sentences.join(' ');
+}
+
+function describeMember(data) {
+  const details = [data.party, data.constituency].filter(
+    value => value && !['Unknown', 'N/A'].includes(value)
+  );
+  return details.length > 0 ? `${data.name} (${details.join(', ')})` : data.name;
+}
+
+function describeGap(gap, unit, reference) {
+  if (gap === null) return `compared with ${reference}`;
+  if (gap === 0) return `level with ${reference}`;
+  return `${formatNumber(Math.abs(gap))} ${unit} ${gap > 0 ? 'above' : 'below'} ${reference}`;
+}
+
+function averageNote(metric) {
+  return metric.national !== null ? ` (national average ${formatNumber(metric.national)})` : '';
+}
+
+async function runProvider(data, analysis) {
+  let timer;
+  try {
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`Provider timed out after ${PROVIDER_TIMEOUT}ms`)),
+        PROVIDER_TIMEOUT
+      );
+    });
+    const narrative = await Promise.race([analysisProvider({ member: data, analysis }), timeout]);
+    return typeof narrative === 'string' && narrative.trim() ? narrative.trim() : null;
+  } catch (err) {
+    console.log(`⚠️ [Analysis] Provider failed: ${err.message}`);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function percentileRank(value, values) {
+  const below = values.filter(v => v < value).length;
+  const equal = values.filter(v => v === value).length;
+  return round(((below + 0.5 * equal) / values.length) * 100);
+}
+
+function delta(value, reference) {
+  return value !== null && reference !== null ? round(value - reference) : null;
+}
+
+function ratio(value, reference) {
+  return value !== null && reference ? round(value / reference) : null;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
@@ -0,0 +1,83 @@
+import { readJSON, resolveDataPath, writeJSON } from './dataStore.js';
+
+export const ACTIVITY_SECTION = '.mla-performance, .mla_performance';
+
+const METRIC_LABELS = {
+  attendance: ['attendance'],
+  debates: ['debates', 'debate'],
+  questions: ['questions', 'questions asked'],
+};
+
+export const ASSEMBLY_METRICS = Object.keys(METRIC_LABELS);
+
+let pendingWrite = Promise.resolve();
+
+function getCoveragePath() {
+  return resolveDataPath('assembly-coverage.json');
+}
+
+export function matchAssemblyMetric(label) {
+  const text = label.toLowerCase().replace(/[:*]/g, '').replace(/\s+/g, ' ').trim();
+
+  return (
+    ASSEMBLY_METRICS.find(metric => METRIC_LABELS[metric].some(variant => text === variant)) ||
+    ASSEMBLY_METRICS.find(metric =>
+      METRIC_LABELS[metric].some(variant => text.startsWith(variant))
+    ) ||
+    null
+  );
+}
+
+export function recordAssemblyCoverage(url, coverage) {
+  if (!url || !coverage?.state) return Promise.resolve();
+
+  pendingWrite = pendingWrite
+    .then(async () => {
+      const filePath = getCoveragePath();
+      const store = await readJSON(filePath, { pages: {} });
+      store.pages[url] = {
+        state: coverage.state,
+        published: coverage.published,
+        metrics: coverage.metrics,
+        seenAt: new Date().toISOString(),
+      };
+      await writeJSON(filePath, store);
+    })
+    .catch(err =>
+      console.log(`⚠️ [Assemblies] Could not record coverage for ${url}: ${err.message}`)
+    );
+
+  return pendingWrite;
+}
+
+export async function listAssemblyCoverage() {
+  await pendingWrite;
+
+  const { pages } = await readJSON(getCoveragePath(), { pages: {} });
+  const states = new Map();
+
+  for (const page of Object.values(pages)) {
+    const entry = states.get(page.state) || {
+      state: page.state,
+      published: false,
+      pagesSeen: 0,
+      pagesWithActivity: 0,
+      metrics: [],
+      lastSeenAt: null,
+    };
+
+    entry.pagesSeen++;
+    if (page.published) {
+      entry.published = true;
+      entry.pagesWithActivity++;
+      entry.metrics = ASSEMBLY_METRICS.filter(
+        metric => entry.metrics.includes(metric) || page.metrics.includes(metric)
+      );
+    }
+    if (!entry.lastSeenAt || page.seenAt > entry.lastSeenAt) entry.lastSeenAt = page.seenAt;
+
+    states.set(page.state, entry);
+  }
+
+  return [...states.values()].sort((a, b) => a.state.localeCompare(b.state));
+}
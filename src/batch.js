@@ -0,0 +1,171 @@
+import pLimit from 'p-limit';
+import { getPRSData } from './prsService.js';
+import { analyzeMember } from './analysis.js';
+import { MEMBER_TYPES } from './schema.js';
+
+export const MAX_BATCH_SIZE = 50;
+export const DEFAULT_CONCURRENCY = 3;
+export const MAX_CONCURRENCY = 6;
+export const DEFAULT_DEADLINE = 45000;
+export const MAX_DEADLINE = 120000;
+
+export async function getPRSDataBatch(queries, { concurrency, deadlineMs, options = {} } = {}) {
+  const workers = clamp(concurrency, 1, MAX_CONCURRENCY, DEFAULT_CONCURRENCY);
+  const budget = clamp(deadlineMs, 1000, MAX_DEADLINE, DEFAULT_DEADLINE);
+  const deadline = Date.now() + budget;
+  const limit = pLimit(workers);
+
+  console.log(`📦 [Batch] ${queries.length} queries, concurrency ${workers}, deadline ${budget}ms`);
+
+  let timer;
+  const expired = new Promise(resolve => {
+    timer = setTimeout(resolve, budget);
+  });
+
+  const results = await Promise.all(
+    queries.map((raw, index) => {
+      const { query, error } = normalizeQuery(raw);
+
+      if (error) {
+        return { index, query: raw, status: 'error', error };
+      }
+
+      const task = limit(async () => {
+        if (Date.now() >= deadline) {
+          return {
+            index,
+            query,
+            status: 'timeout',
+            error: 'Batch deadline reached before lookup started',
+          };
+        }
+
+        try {
+          const result = await getPRSData(
+            query.name,
+            query.type,
+            query.constituency,
+            query.state,
+            options
+          );
+          return toItemResult(index, query, result);
+        } catch (err) {
+          console.error(`❌ [Batch] ${query.name}: ${err.message}`);
+          return { index, query, status: 'error', error: err.message };
+        }
+      });
+
+      const timedOut = expired.then(() => ({
+        index,
+        query,
+        status: 'timeout',
+        error: `Batch deadline of ${budget}ms exceeded`,
+      }));
+
+      return Promise.race([task, timedOut]);
+    })
+  );
+
+  clearTimeout(timer);
+  limit.clearQueue();
+
+  await rankAgainstBatch(results);
+
+  const summary = results.reduce(
+    (counts, item) => {
+      counts[item.status] = (counts[item.status] || 0) + 1;
+      return counts;
+    },
+    { total: results.length }
+  );
+
+  console.log(`📦 [Batch] Done: ${JSON.stringify(summary)}`);
+
+  return { results, summary };
+}
+
+async function rankAgainstBatch(results) {
+  const found = results.filter(item => item.status === 'success' && item.data.analysis);
+  if (found.length < 2) return;
+
+  const peers = found.map(item => item.data);
+
+  for (const item of found) {
+    const analysis = await analyzeMember(item.data, { peers, useProvider: false });
+    item.data = {
+      ...item.data,
+      analysis: { ...analysis, narrative: item.data.analysis.narrative },
+    };
+  }
+}
+
+function normalizeQuery(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return { error: 'Query must be an object with name and type' };
+  }
+
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  const type = typeof raw.type === 'string' ? raw.type.trim().toUpperCase() : '';
+
+  if (!name || !type) {
+    return { error: 'Missing required parameters: name, type' };
+  }
+
+  if (!MEMBER_TYPES.includes(type)) {
+    return { error: 'Invalid type. Must be MP, RS or MLA' };
+  }
+
+  const invalid = ['constituency', 'state'].find(
+    field => raw[field] != null && typeof raw[field] !== 'string'
+  );
+  if (invalid) {
+    return { error: `Invalid ${invalid}. Must be a string` };
+  }
+
+  return {
+    query: {
+      name,
+      type,
+      constituency: raw.constituency?.trim() || null,
+      state: raw.state?.trim() || null,
+    },
+  };
+}
+
+function toItemResult(index, query, result) {
+  if (result.found) {
+    return {
+      index,
+      query,
+      status: 'success',
+      data: result.data,
+      meta: {
+        sourceUrl: result.sourceUrl,
+        searchedAs: result.searchedAs || query.type,
+        foundAs: result.foundAs || query.type,
+        match: result.match,
+        schemaValid: result.validation.valid,
+        validation: result.validation,
+        extractionHealth: result.extractionHealth,
+        fromCache: Boolean(result.cache?.hit),
+      },
+    };
+  }
+
+  if (result.ambiguous) {
+    return { index, query, status: 'ambiguous', candidates: result.candidates };
+  }
+
+  if (result.error) {
+    const { message, ...failure } = result.error;
+    return { index, query, status: 'error', error: message, ...failure, attempts: result.attempts };
+  }
+
+  return { index, query, status: 'not_found', attempts: result.attempts };
+}
+
+export function clamp(value, min, max, fallback) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(Math.max(Math.round(number), min), max);
+}
@@ -0,0 +1,167 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { resolveDataPath } from './dataStore.js';
+
+export const HTML_TTL = 12 * 60 * 60 * 1000;
+export const NEGATIVE_TTL = 6 * 60 * 60 * 1000;
+export const RESULT_TTL = 6 * 60 * 60 * 1000;
+
+const MEMORY_MAX_ENTRIES = 500;
+const STALE_RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+let activeCache = null;
+
+export function getCache() {
+  if (!activeCache) {
+    activeCache = createDefaultCache();
+  }
+  return activeCache;
+}
+
+export function setCache(cache) {
+  activeCache = cache;
+}
+
+function createDefaultCache() {
+  const mode = (process.env.PRS_CACHE || 'tiered').toLowerCase();
+
+  if (mode === 'off') return createNullCache();
+  if (mode === 'memory') return createMemoryCache();
+  if (mode === 'file') return createFileCache();
+
+  return createTieredCache([createMemoryCache(), createFileCache()]);
+}
+
+export function createEntry(value, ttl, extra = {}) {
+  const now = Date.now();
+  return {
+    value,
+    storedAt: now,
+    expiresAt: now + ttl,
+    ...extra,
+  };
+}
+
+export function isFresh(entry) {
+  return Boolean(entry) && entry.expiresAt > Date.now();
+}
+
+export function createMemoryCache({ maxEntries = MEMORY_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async clear() {
+      entries.clear();
+    },
+  };
+}
+
+export function createFileCache({ dir = resolveDataPath('cache') } = {}) {
+  const fileFor = key => path.join(dir, `${createHash('sha1').update(key).digest('hex')}.json`);
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      try {
+        const stored = JSON.parse(await readFile(fileFor(key), 'utf8'));
+        if (stored.key !== key) return null;
+
+        if (stored.entry.expiresAt + STALE_RETENTION < Date.now()) {
+          await rm(fileFor(key), { force: true });
+          return null;
+        }
+
+        return stored.entry;
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          console.log(`⚠️ [Cache] Unreadable entry for ${key}: ${err.message}`);
+        }
+        return null;
+      }
+    },
+
+    async set(key, entry) {
+      try {
+        await mkdir(dir, { recursive: true });
+        await writeFile(fileFor(key), JSON.stringify({ key, entry }));
+      } catch (err) {
+        console.log(`⚠️ [Cache] Could not persist ${key}: ${err.message}`);
+      }
+    },
+
+    async delete(key) {
+      await rm(fileFor(key), { force: true });
+    },
+
+    async clear() {
+      await rm(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+export function createTieredCache(layers) {
+  return {
+    name: layers.map(layer => layer.name).join('+'),
+
+    async get(key) {
+      for (let i = 0; i < layers.length; i++) {
+        const entry = await layers[i].get(key);
+        if (entry) {
+          await Promise.all(layers.slice(0, i).map(layer => layer.set(key, entry)));
+          return entry;
+        }
+      }
+      return null;
+    },
+
+    async set(key, entry) {
+      await Promise.all(layers.map(layer => layer.set(key, entry)));
+    },
+
+    async delete(key) {
+      await Promise.all(layers.map(layer => layer.delete(key)));
+    },
+
+    async clear() {
+      await Promise.all(layers.map(layer => layer.clear()));
+    },
+  };
+}
+
+export function createNullCache() {
+  return {
+    name: 'off',
+    async get() {
+      return null;
+    },
+    async set() {},
+    async delete() {},
+    async clear() {},
+  };
+}
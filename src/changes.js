@@ -0,0 +1,269 @@
+import { createHash } from 'node:crypto';
+import { readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { readJSON, resolveDataPath, writeJSON } from './dataStore.js';
+import { PERFORMANCE_FIELDS } from './normalize.js';
+import { toNumber } from './numbers.js';
+import { isSnapshotOnly } from './snapshots.js';
+import { notifySubscribers } from './webhooks.js';
+
+const MAX_SNAPSHOTS = 100;
+
+const NON_COMPARABLE_STATUSES = ['degraded', 'failed'];
+
+const TRACKED_FIELDS = [
+  'name',
+  'state',
+  'constituency',
+  'party',
+  'termStart',
+  'termEnd',
+  'noOfTerm',
+  'membership',
+  'membershipType',
+  'age',
+  'gender',
+  'education',
+  ...PERFORMANCE_FIELDS,
+];
+
+const STORED_FIELDS = [
+  'type',
+  'imageUrl',
+  ...TRACKED_FIELDS,
+  'attendanceRows',
+  'debatesRows',
+  'questionsRows',
+  'normalized',
+];
+
+const ROW_TABLES = {
+  debates: 'debatesRows',
+  questions: 'questionsRows',
+};
+
+const pendingWrites = new Map();
+
+function getChangesDir() {
+  return resolveDataPath('changes');
+}
+
+export async function recordMemberSnapshot(url, data, { extractionStatus = null } = {}) {
+  if (!url || isSnapshotOnly()) return;
+
+  const previous = pendingWrites.get(url) || Promise.resolve();
+  const write = previous
+    .then(() => writeMemberSnapshot(url, data, extractionStatus))
+    .catch(err => console.log(`⚠️ [Changes] Could not record ${url}: ${err.message}`));
+
+  pendingWrites.set(url, write);
+  const change = await write;
+
+  if (pendingWrites.get(url) === write) {
+    pendingWrites.delete(url);
+  }
+
+  if (change?.changed) {
+    try {
+      await notifySubscribers(change);
+    } catch (err) {
+      console.log(`⚠️ [Changes] Could not notify subscribers for ${url}: ${err.message}`);
+    }
+  }
+}
+
+async function writeMemberSnapshot(url, data, extractionStatus) {
+  const filePath = getHistoryPath(url);
+  const history = await readJSON(filePath, { url, snapshots: [] });
+  const stored = Object.fromEntries(
+    STORED_FIELDS.filter(field => field in data).map(field => [field, data[field]])
+  );
+  const sha1 = hash(JSON.stringify({ ...stored, normalized: undefined }));
+  const now = new Date().toISOString();
+
+  if (NON_COMPARABLE_STATUSES.includes(extractionStatus)) {
+    const last = history.snapshots[history.snapshots.length - 1];
+
+    if (last && !isComparable(last) && last.sha1 === sha1) {
+      last.lastSeenAt = now;
+    } else {
+      history.snapshots = history.snapshots.filter(isComparable);
+      history.snapshots.push({
+        recordedAt: now,
+        lastSeenAt: now,
+        sha1,
+        comparable: false,
+        extractionStatus,
+        data: stored,
+      });
+      console.log(
+        `⚠️ [Changes] Kept ${extractionStatus} parse of ${stored.name} out of change tracking - ${url}`
+      );
+    }
+
+    history.type = history.type || stored.type;
+    history.name = history.name || stored.name;
+    await writeJSON(filePath, history);
+    return null;
+  }
+
+  const latest = history.snapshots.filter(isComparable).pop();
+
+  history.type = stored.type;
+  history.name = stored.name;
+  history.snapshots = history.snapshots.filter(isComparable);
+
+  if (latest && latest.sha1 === sha1) {
+    latest.lastSeenAt = now;
+  } else {
+    history.snapshots.push({ recordedAt: now, lastSeenAt: now, sha1, data: stored });
+    history.snapshots = history.snapshots.slice(-MAX_SNAPSHOTS);
+    console.log(
+      `🗂️ [Changes] Recorded snapshot ${history.snapshots.length} for ${stored.name} - ${url}`
+    );
+  }
+
+  await writeJSON(filePath, history);
+
+  return latest && latest.sha1 !== sha1 ? describeChanges(history, null) : null;
+}
+
+export async function getMemberChanges(url, { since = null } = {}) {
+  await pendingWrites.get(url);
+
+  const history = await readJSON(getHistoryPath(url));
+  return history?.snapshots?.some(isComparable) ? describeChanges(history, since) : null;
+}
+
+export async function loadLatestSnapshot(url) {
+  await pendingWrites.get(url);
+
+  const history = await readJSON(getHistoryPath(url));
+  const latest = history?.snapshots?.filter(isComparable).pop();
+  return latest
+    ? { recordedAt: latest.recordedAt, lastSeenAt: latest.lastSeenAt, data: latest.data }
+    : null;
+}
+
+export async function listChanges({ since, type = null }) {
+  const dir = getChangesDir();
+  let names;
+
+  try {
+    names = await readdir(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return { tracked: 0, members: [] };
+    throw err;
+  }
+
+  const members = [];
+  let tracked = 0;
+
+  for (const name of names.filter(file => file.endsWith('.json'))) {
+    const history = await readJSON(path.join(dir, name));
+    if (!history?.snapshots?.some(isComparable) || (type && history.type !== type)) continue;
+
+    tracked++;
+    const changes = describeChanges(history, since);
+    if (changes.changed) {
+      members.push(changes);
+    }
+  }
+
+  return {
+    tracked,
+    members: members.sort(
+      (a, b) => b.to.localeCompare(a.to) || (a.name || '').localeCompare(b.name || '')
+    ),
+  };
+}
+
+function describeChanges(history, since) {
+  const snapshots = history.snapshots.filter(isComparable);
+  const latest = snapshots[snapshots.length - 1];
+  const skipped = history.snapshots.find(snapshot => !isComparable(snapshot));
+  const baseline = pickBaseline(snapshots, since);
+  const diff =
+    baseline && baseline !== latest
+      ? diffMemberData(baseline.data, latest.data)
+      : { fields: [], newRows: { debates: [], questions: [] } };
+
+  return {
+    url: history.url,
+    name: history.name,
+    type: history.type,
+    since: since !== null ? new Date(since).toISOString() : null,
+    from: baseline ? baseline.recordedAt : null,
+    to: latest.recordedAt,
+    lastSeenAt: latest.lastSeenAt,
+    snapshots: snapshots.length,
+    nonComparable: skipped
+      ? {
+          extractionStatus: skipped.extractionStatus,
+          recordedAt: skipped.recordedAt,
+          lastSeenAt: skipped.lastSeenAt,
+        }
+      : null,
+    changed: diff.fields.length > 0 || Object.values(diff.newRows).some(rows => rows.length > 0),
+    ...diff,
+  };
+}
+
+function pickBaseline(snapshots, since) {
+  if (since === null) {
+    return snapshots.length > 1 ? snapshots[snapshots.length - 2] : null;
+  }
+
+  const before = snapshots.filter(snapshot => Date.parse(snapshot.recordedAt) <= since);
+  if (before.length > 0) return before[before.length - 1];
+
+  return snapshots[0];
+}
+
+function isComparable(snapshot) {
+  return snapshot.comparable !== false;
+}
+
+function diffMemberData(previous, current) {
+  const fields = [];
+
+  for (const field of TRACKED_FIELDS) {
+    const from = previous[field] ?? null;
+    const to = current[field] ?? null;
+    if (from === to) continue;
+
+    const change = { field, from, to };
+    const before = toNumber(from);
+    const after = toNumber(to);
+    if (before !== null && after !== null) {
+      change.delta = Math.round((after - before) * 100) / 100;
+    }
+    fields.push(change);
+  }
+
+  const newRows = {};
+  for (const [table, key] of Object.entries(ROW_TABLES)) {
+    const seen = new Set((previous[key] || []).map(rowKey));
+    newRows[table] = (current[key] || []).filter(row => !seen.has(rowKey(row)));
+  }
+
+  return { fields, newRows };
+}
+
+function rowKey(row) {
+  return (
+    row.url ||
+    `${row.date}|${String(row.title ?? '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim()}`
+  );
+}
+
+function getHistoryPath(url) {
+  return path.join(getChangesDir(), `${hash(url)}.json`);
+}
+
+function hash(value) {
+  return createHash('sha1').update(value).digest('hex');
+}
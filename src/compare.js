@@ -0,0 +1,162 @@
+import { getPRSDataBatch } from './batch.js';
+
+export const MIN_COMPARE_SIZE = 2;
+export const MAX_COMPARE_SIZE = 5;
+
+const NUMERIC_METRICS = [
+  { key: 'attendance', unit: 'percent' },
+  { key: 'debates', unit: 'count' },
+  { key: 'questions', unit: 'count' },
+  { key: 'pmb', unit: 'count' },
+  { key: 'noOfTerm', unit: 'terms' },
+];
+
+export async function compareMembers(queries, { concurrency, deadlineMs, options = {} } = {}) {
+  console.log(`⚖️ [Compare] Comparing ${queries.length} members`);
+
+  const { results } = await getPRSDataBatch(queries, { concurrency, deadlineMs, options });
+  const resolved = results.filter(item => item.status === 'success');
+  const unresolved = results.filter(item => item.status !== 'success');
+
+  if (resolved.length < MIN_COMPARE_SIZE) {
+    return { found: false, resolved: resolved.length, unresolved };
+  }
+
+  const members = resolved.map(item => item.data);
+  const comparison = {
+    members: resolved.map((item, position) => ({
+      position,
+      index: item.index,
+      name: item.data.name,
+      type: item.data.type,
+      party: item.data.party,
+      constituency: item.data.constituency,
+      state: item.data.state,
+      match: item.meta.match,
+      fromCache: item.meta.fromCache,
+    })),
+    metrics: alignMetrics(members),
+    commonDebates: findCommonDebates(members),
+    commonMinistries: findCommonMinistries(members),
+  };
+
+  console.log(
+    `⚖️ [Compare] ${resolved.length} resolved, ${comparison.commonDebates.length} common debates, ${comparison.commonMinistries.length} shared ministries`
+  );
+
+  return { found: true, comparison, unresolved };
+}
+
+function alignMetrics(members) {
+  const metrics = {};
+
+  for (const { key, unit } of NUMERIC_METRICS) {
+    const values = members.map(member => member.normalized?.[key]?.value ?? null);
+    const ranks = rankValues(values);
+    const leaders = ranks.flatMap((rank, position) => (rank === 1 ? [position] : []));
+    const best = leaders.length > 0 ? values[leaders[0]] : null;
+
+    metrics[key] = {
+      unit,
+      values,
+      ranks,
+      leader: leaders.length === 1 ? leaders[0] : null,
+      tied: leaders.length > 1,
+      differences: values.map(value =>
+        value !== null && best !== null ? round(value - best) : null
+      ),
+      spread:
+        best !== null ? round(best - Math.min(...values.filter(value => value !== null))) : null,
+    };
+  }
+
+  const membership = members.map(member => readText(member.membership));
+  metrics.membership = {
+    unit: 'text',
+    values: membership,
+    same: membership.every(
+      value => value !== null && value.toLowerCase() === membership[0]?.toLowerCase()
+    ),
+  };
+
+  return metrics;
+}
+
+function rankValues(values) {
+  return values.map(value => {
+    if (value === null) return null;
+    return values.filter(other => other !== null && other > value).length + 1;
+  });
+}
+
+function findCommonDebates(members) {
+  const debates = new Map();
+
+  members.forEach((member, position) => {
+    for (const row of member.debatesRows || []) {
+      const key = row.url || `${row.date}|${normalizeLabel(row.title)}`;
+      const entry = debates.get(key) || {
+        title: row.title,
+        date: row.date,
+        debateType: row.debateType,
+        url: row.url,
+        members: [],
+      };
+
+      if (!entry.members.includes(position)) entry.members.push(position);
+      debates.set(key, entry);
+    }
+  });
+
+  return [...debates.values()]
+    .filter(entry => entry.members.length > 1)
+    .sort(
+      (a, b) => b.members.length - a.members.length || (b.date || '').localeCompare(a.date || '')
+    );
+}
+
+function findCommonMinistries(members) {
+  const ministries = new Map();
+
+  members.forEach((member, position) => {
+    for (const row of member.questionsRows || []) {
+      const label = readText(row.ministry);
+      if (!label) continue;
+
+      const key = normalizeLabel(label);
+      const entry = ministries.get(key) || { ministry: label, counts: members.map(() => 0) };
+      entry.counts[position]++;
+      ministries.set(key, entry);
+    }
+  });
+
+  return [...ministries.values()]
+    .map(entry => ({
+      ...entry,
+      members: entry.counts.flatMap((count, position) => (count > 0 ? [position] : [])),
+      total: entry.counts.reduce((sum, count) => sum + count, 0),
+    }))
+    .filter(entry => entry.members.length > 1)
+    .sort(
+      (a, b) =>
+        b.members.length - a.members.length ||
+        b.total - a.total ||
+        a.ministry.localeCompare(b.ministry)
+    );
+}
+
+function readText(value) {
+  const text = String(value ?? '').trim();
+  return text && !['N/A', 'Unknown'].includes(text) ? text : null;
+}
+
+function normalizeLabel(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,55 @@
+import path from 'node:path';
+import { crawlMembers } from './crawler.js';
+
+const USAGE = `Usage: npm run crawl -- [options]
+  --out <dir>          Output directory (default .prs-data/crawl)
+  --rate <n>           Requests per second across all workers (default 1)
+  --concurrency <n>    Parallel workers (default 2, max 6)
+  --attempts <n>       Attempts per member before giving up (default 3)
+  --type <MP|RS|MLA>   Only crawl one house type
+  --state <name>       Only crawl members from a state (repeatable)
+  --limit <n>          Stop after the first n members
+  --retry-failed       Give members that exhausted their attempts another try
+  --refresh-index      Rebuild the member index before crawling
+  --fresh              Discard the checkpoint and previous output`;
+
+function parseArgs(args) {
+  const options = {};
+  const states = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const next = () => args[++i];
+
+    if (arg === '--out') options.outputDir = path.resolve(next());
+    else if (arg === '--rate') options.rate = Number(next());
+    else if (arg === '--concurrency') options.concurrency = Number(next());
+    else if (arg === '--attempts') options.maxAttempts = Number(next());
+    else if (arg === '--type') options.types = [next().toUpperCase()];
+    else if (arg === '--state') states.push(next());
+    else if (arg === '--limit') options.limit = Number(next());
+    else if (arg === '--retry-failed') options.retryFailed = true;
+    else if (arg === '--refresh-index') options.refreshIndex = true;
+    else if (arg === '--fresh') options.fresh = true;
+    else return null;
+  }
+
+  if (states.length > 0) options.states = states;
+  return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+if (!options) {
+  console.log(USAGE);
+  process.exitCode = 1;
+} else {
+  crawlMembers(options)
+    .then(manifest => {
+      if (!manifest.complete) process.exitCode = 2;
+    })
+    .catch(err => {
+      console.error(`❌ ${err.message}`);
+      process.exitCode = 1;
+    });
+}
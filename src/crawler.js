@@ -0,0 +1,368 @@
+import { appendFile, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import pLimit from 'p-limit';
+import { fetchHTML } from './webextract.js';
+import { loadMemberIndex } from './memberIndex.js';
+import { parseToFlatFormat } from './prsService.js';
+import { PERFORMANCE_FIELDS } from './normalize.js';
+import { LOK_SABHA_HOUSES } from './history.js';
+import { createExtractionHealth, summarizeExtractionHealth } from './extractionHealth.js';
+import { readJSON, resolveDataPath, writeJSON } from './dataStore.js';
+import { toCSV } from './exporters.js';
+import { recordMemberSnapshot } from './changes.js';
+import { recordAssemblyCoverage } from './assemblies.js';
+import { SCHEMA_VERSION, validateMember } from './schema.js';
+
+const CHECKPOINT_FILE = 'checkpoint.json';
+const DATASET_JSONL = 'members.jsonl';
+const DATASET_CSV = 'members.csv';
+const MANIFEST_FILE = 'manifest.json';
+
+const DEFAULT_RATE = 1;
+const DEFAULT_CONCURRENCY = 2;
+const MAX_CONCURRENCY = 6;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_BACKOFF = 5000;
+const CHECKPOINT_EVERY = 25;
+
+const CSV_COLUMNS = [
+  'type',
+  'house',
+  'url',
+  'name',
+  'state',
+  'constituency',
+  'party',
+  'termStart',
+  'termEnd',
+  'noOfTerm',
+  'membership',
+  'age',
+  'gender',
+  'education',
+  ...PERFORMANCE_FIELDS,
+  'extractionStatus',
+  'schemaValid',
+  'crawledAt',
+];
+
+export async function crawlMembers({
+  outputDir = resolveDataPath('crawl'),
+  rate = DEFAULT_RATE,
+  concurrency = DEFAULT_CONCURRENCY,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  types = ['MP', 'MLA'],
+  states = null,
+  limit: maxMembers = null,
+  fresh = false,
+  retryFailed = false,
+  refreshIndex = false,
+} = {}) {
+  const runStartedAt = Date.now();
+  const workers = Math.min(
+    Math.max(Math.round(concurrency) || DEFAULT_CONCURRENCY, 1),
+    MAX_CONCURRENCY
+  );
+  const paths = getCrawlPaths(outputDir);
+
+  if (fresh) {
+    await rm(outputDir, { recursive: true, force: true });
+  }
+  await mkdir(outputDir, { recursive: true });
+
+  const { members, index } = await selectMembers({
+    types,
+    states,
+    limit: maxMembers,
+    refreshIndex,
+  });
+  const checkpoint = await readJSON(paths.checkpoint, createCheckpoint());
+  if (retryFailed) {
+    checkpoint.failures = {};
+  }
+  const completed = await readCompletedUrls(paths.jsonl);
+  const pending = members.filter(
+    member => !completed.has(member.url) && !checkpoint.failures[member.url]?.exhausted
+  );
+  const resumed = members.length - pending.length;
+
+  console.log(
+    `🕷️ [Crawl] ${members.length} members, ${resumed} already done, ${pending.length} to crawl (rate ${rate}/s, concurrency ${workers})`
+  );
+
+  const waitForSlot = createRateLimiter(rate);
+  const queue = pLimit(workers);
+  let sinceCheckpoint = 0;
+
+  const saveCheckpoint = async () => {
+    checkpoint.updatedAt = new Date().toISOString();
+    await writeJSON(paths.checkpoint, checkpoint);
+    sinceCheckpoint = 0;
+  };
+
+  const crawlOne = async member => {
+    await waitForSlot();
+    const outcome = await crawlMember(member);
+    const attempts = (checkpoint.failures[member.url]?.attempts || 0) + 1;
+
+    if (outcome.record) {
+      await appendFile(paths.jsonl, `${JSON.stringify(outcome.record)}\n`);
+      completed.add(member.url);
+      delete checkpoint.failures[member.url];
+    } else {
+      console.log(
+        `❌ [Crawl] ${member.name}: ${outcome.error} (attempt ${attempts}/${maxAttempts})`
+      );
+      checkpoint.failures[member.url] = {
+        type: member.type,
+        name: member.name,
+        state: member.state,
+        attempts,
+        lastError: outcome.error,
+        exhausted: !outcome.retryable || attempts >= maxAttempts,
+      };
+    }
+
+    if (++sinceCheckpoint >= CHECKPOINT_EVERY) {
+      await saveCheckpoint();
+    }
+  };
+
+  await Promise.all(pending.map(member => queue(() => crawlOne(member))));
+  await saveCheckpoint();
+
+  for (let round = 1; round < maxAttempts; round++) {
+    const retryQueue = members.filter(member => {
+      const failure = checkpoint.failures[member.url];
+      return failure && !failure.exhausted;
+    });
+    if (retryQueue.length === 0) break;
+
+    const delay = RETRY_BACKOFF * round;
+    console.log(`🔄 [Crawl] Retrying ${retryQueue.length} failures in ${delay}ms (round ${round})`);
+    await sleep(delay);
+
+    await Promise.all(retryQueue.map(member => queue(() => crawlOne(member))));
+    await saveCheckpoint();
+  }
+
+  const records = await readRecords(paths.jsonl);
+  await writeFile(paths.csv, toCSV(CSV_COLUMNS, records));
+
+  checkpoint.elapsedMs += Date.now() - runStartedAt;
+  await saveCheckpoint();
+
+  const manifest = buildManifest({
+    checkpoint,
+    members,
+    index,
+    records,
+    resumed,
+    runStartedAt,
+    workers,
+    rate,
+    maxAttempts,
+    paths,
+  });
+  await writeJSON(paths.manifest, manifest);
+
+  console.log(
+    `🕷️ [Crawl] Done: ${manifest.counts.succeeded}/${manifest.counts.members} members, ${manifest.counts.failed} failed, ${manifest.durationMs}ms${manifest.index.truncated ? ' (member index incomplete)' : ''}`
+  );
+  return manifest;
+}
+
+function getCrawlPaths(outputDir) {
+  return {
+    checkpoint: path.join(outputDir, CHECKPOINT_FILE),
+    jsonl: path.join(outputDir, DATASET_JSONL),
+    csv: path.join(outputDir, DATASET_CSV),
+    manifest: path.join(outputDir, MANIFEST_FILE),
+  };
+}
+
+function createCheckpoint() {
+  return {
+    startedAt: new Date().toISOString(),
+    updatedAt: null,
+    elapsedMs: 0,
+    failures: {},
+  };
+}
+
+async function selectMembers({ types, states, limit, refreshIndex }) {
+  const index = await loadMemberIndex({ refresh: refreshIndex });
+  const wantedStates = states ? states.map(state => state.toLowerCase()) : null;
+  const isCrawled = source =>
+    types.includes(source.type) && (source.type !== 'MP' || source.house === LOK_SABHA_HOUSES[0]);
+
+  const members = index.members
+    .filter(isCrawled)
+    .filter(member => !wantedStates || wantedStates.includes((member.state || '').toLowerCase()));
+
+  const truncatedSources = (index.truncatedSources || []).filter(isCrawled);
+  if (truncatedSources.length > 0) {
+    console.log(
+      `⚠️ [Crawl] Member index is missing listing pages: ${truncatedSources.map(source => `${source.url} (${source.reason})`).join(', ')}`
+    );
+  }
+
+  return {
+    members: limit ? members.slice(0, limit) : members,
+    index: { builtAt: index.builtAt, truncated: truncatedSources.length > 0, truncatedSources },
+  };
+}
+
+export async function refreshMembers(members) {
+  const limit = pLimit(DEFAULT_CONCURRENCY);
+  const outcomes = await Promise.all(
+    members.map(member => limit(() => crawlMember(member, { revalidate: true })))
+  );
+  const failed = outcomes.flatMap((outcome, i) =>
+    outcome.error ? [{ url: members[i].url, error: outcome.error }] : []
+  );
+
+  console.log(`🔄 [Crawl] Refreshed ${members.length - failed.length}/${members.length} members`);
+  return { checked: members.length, refreshed: members.length - failed.length, failed };
+}
+
+async function crawlMember(member, { revalidate = false } = {}) {
+  const page = await fetchHTML(member.url, undefined, { revalidate });
+
+  if (page.status !== 'ok') {
+    return {
+      error: `${page.status}: ${page.reason || 'page could not be fetched'}`,
+      retryable: page.status !== 'notFound',
+    };
+  }
+
+  try {
+    const health = createExtractionHealth();
+    const data = parseToFlatFormat(page.html, member.type, { health });
+    const extractionHealth = summarizeExtractionHealth(health, data);
+    const validation = validateMember(data);
+    if (!validation.valid) {
+      console.log(
+        `⚠️ [Crawl] ${member.url} failed schema ${SCHEMA_VERSION}: ${validation.errors.join('; ')}`
+      );
+    }
+    await recordMemberSnapshot(member.url, data, { extractionStatus: extractionHealth.status });
+    await recordAssemblyCoverage(member.url, data.performanceCoverage);
+
+    return {
+      record: {
+        url: member.url,
+        house: member.house,
+        crawledAt: new Date().toISOString(),
+        extractionStatus: extractionHealth.status,
+        schemaValid: validation.valid,
+        ...data,
+      },
+    };
+  } catch (err) {
+    return { error: `Parse failed: ${err.message}`, retryable: false };
+  }
+}
+
+async function readDataset(filePath) {
+  try {
+    return await readFile(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return '';
+    throw err;
+  }
+}
+
+async function readRecords(filePath) {
+  const raw = await readDataset(filePath);
+  const byUrl = new Map();
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      byUrl.set(record.url, record);
+    } catch (e) {
+      console.log('⚠️ [Crawl] Skipping truncated line in dataset');
+    }
+  }
+
+  return [...byUrl.values()];
+}
+
+async function readCompletedUrls(filePath) {
+  const raw = await readDataset(filePath);
+  if (raw && !raw.endsWith('\n')) {
+    await appendFile(filePath, '\n');
+  }
+
+  const records = await readRecords(filePath);
+  return new Set(records.map(record => record.url));
+}
+
+function buildManifest({
+  checkpoint,
+  members,
+  index,
+  records,
+  resumed,
+  runStartedAt,
+  workers,
+  rate,
+  maxAttempts,
+  paths,
+}) {
+  const failures = Object.entries(checkpoint.failures).map(([url, failure]) => ({
+    url,
+    ...failure,
+  }));
+  const count = (items, key) =>
+    items.reduce((totals, item) => {
+      totals[item[key]] = (totals[item[key]] || 0) + 1;
+      return totals;
+    }, {});
+
+  return {
+    startedAt: checkpoint.startedAt,
+    finishedAt: new Date().toISOString(),
+    durationMs: checkpoint.elapsedMs,
+    runDurationMs: Date.now() - runStartedAt,
+    complete: failures.length === 0 && !index.truncated,
+    index,
+    schemaVersion: SCHEMA_VERSION,
+    settings: { rate, concurrency: workers, maxAttempts, house: LOK_SABHA_HOUSES[0] },
+    counts: {
+      members: members.length,
+      succeeded: records.length,
+      failed: failures.length,
+      resumed,
+      byType: count(records, 'type'),
+      byExtractionStatus: count(records, 'extractionStatus'),
+      schemaInvalid: records.filter(record => record.schemaValid === false).length,
+    },
+    failures,
+    files: {
+      jsonl: path.basename(paths.jsonl),
+      csv: path.basename(paths.csv),
+      checkpoint: path.basename(paths.checkpoint),
+    },
+  };
+}
+
+function createRateLimiter(perSecond) {
+  const interval = perSecond > 0 ? 1000 / perSecond : 0;
+  let nextSlot = 0;
+
+  return async function waitForSlot() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + interval;
+
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,32 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const DEFAULT_DATA_DIR = '.prs-data';
+
+export function getDataDir() {
+  return path.resolve(process.env.PRS_DATA_DIR || DEFAULT_DATA_DIR);
+}
+
+export function resolveDataPath(...segments) {
+  return path.join(getDataDir(), ...segments);
+}
+
+export async function readJSON(filePath, fallback = null) {
+  try {
+    const raw = await readFile(filePath, 'utf8');
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.log(`⚠️ [Store] Could not read ${filePath}: ${err.message}`);
+    }
+    return fallback;
+  }
+}
+
+export async function writeJSON(filePath, data) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await writeFile(tempPath, JSON.stringify(data, null, 2));
+  await rename(tempPath, filePath);
+}
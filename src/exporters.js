@@ -0,0 +1,276 @@
+import { PERFORMANCE_FIELDS, normalizeMember } from './normalize.js';
+import { createZip } from './zip.js';
+
+export const EXPORT_FORMATS = ['json', 'csv', 'xlsx', 'ndjson'];
+
+const TABLES = [
+  {
+    name: 'profile',
+    sheet: 'Profile',
+    columns: [
+      'type',
+      'name',
+      'state',
+      'constituency',
+      'party',
+      'termStart',
+      'termEnd',
+      'noOfTerm',
+      'membership',
+      'age',
+      'gender',
+      'education',
+      ...PERFORMANCE_FIELDS,
+    ],
+    rows: member => [profileRow(member)],
+  },
+  {
+    name: 'attendance',
+    sheet: 'Attendance',
+    columns: ['member', 'session', 'percentage'],
+    rows: member => member.attendanceRows || [],
+  },
+  {
+    name: 'debates',
+    sheet: 'Debates',
+    columns: ['member', 'date', 'title', 'debateType', 'url'],
+    rows: member => member.debatesRows || [],
+  },
+  {
+    name: 'questions',
+    sheet: 'Questions',
+    columns: ['member', 'date', 'title', 'type', 'ministry', 'url'],
+    rows: member => member.questionsRows || [],
+  },
+];
+
+const NORMALIZED_COLUMNS = ['termStart', 'termEnd', 'noOfTerm', 'age', ...PERFORMANCE_FIELDS];
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?%?$/;
+
+const CONTENT_TYPES = {
+  csv: 'application/zip',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+const EXTENSIONS = {
+  csv: 'zip',
+  xlsx: 'xlsx',
+  ndjson: 'ndjson',
+};
+
+export function renderExport(format, members, { baseName = 'prs-members' } = {}) {
+  const tables = buildTables(members);
+  const filename = `${toFileSlug(baseName)}.${EXTENSIONS[format]}`;
+
+  console.log(
+    `📤 [Export] Rendering ${format} for ${members.length} members (${tables.map(t => `${t.name}:${t.records.length}`).join(', ')})`
+  );
+
+  let body;
+  if (format === 'csv') {
+    body = createZip(
+      tables.map(table => ({
+        name: `${table.name}.csv`,
+        data: toCSV(table.columns, table.records),
+      }))
+    );
+  } else if (format === 'xlsx') {
+    body = toXLSX(tables);
+  } else if (format === 'ndjson') {
+    body = toNDJSON(tables);
+  } else {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  return {
+    body,
+    filename,
+    headers: {
+      'Content-Type': CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${filename}"`,
+    },
+  };
+}
+
+export function toCSV(columns, records) {
+  const lines = [columns.join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => csvValue(record[column])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function csvValue(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_PREFIX.test(text) && !PLAIN_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function profileRow(member) {
+  const normalized = member.normalized || normalizeMember(member);
+
+  return {
+    ...member,
+    ...Object.fromEntries(
+      NORMALIZED_COLUMNS.map(column => [column, normalized[column]?.value ?? null])
+    ),
+  };
+}
+
+function buildTables(members) {
+  return TABLES.map(table => ({
+    ...table,
+    records: members.flatMap(member =>
+      table.rows(member).map(row => ({ member: member.name, ...row }))
+    ),
+  }));
+}
+
+function toNDJSON(tables) {
+  const lines = tables.flatMap(table =>
+    table.records.map(record =>
+      JSON.stringify({
+        table: table.name,
+        ...Object.fromEntries(table.columns.map(column => [column, record[column] ?? null])),
+      })
+    )
+  );
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+function toXLSX(tables) {
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: xmlDocument(
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+          tables
+            .map(
+              (_, index) =>
+                `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+            )
+            .join('') +
+          '</Types>'
+      ),
+    },
+    {
+      name: '_rels/.rels',
+      data: xmlDocument(
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+          '</Relationships>'
+      ),
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: xmlDocument(
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+          tables
+            .map(
+              (table, index) =>
+                `<sheet name="${table.sheet}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+            )
+            .join('') +
+          '</sheets></workbook>'
+      ),
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: xmlDocument(
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          tables
+            .map(
+              (_, index) =>
+                `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+            )
+            .join('') +
+          '</Relationships>'
+      ),
+    },
+    ...tables.map((table, index) => ({
+      name: `xl/worksheets/sheet${index + 1}.xml`,
+      data: toWorksheet(table),
+    })),
+  ];
+
+  return createZip(files);
+}
+
+function toWorksheet(table) {
+  const rows = [
+    table.columns,
+    ...table.records.map(record => table.columns.map(column => record[column])),
+  ];
+  const sheetRows = rows.map((values, rowIndex) => {
+    const cells = values
+      .map((value, columnIndex) => xlsxCell(`${columnName(columnIndex)}${rowIndex + 1}`, value))
+      .join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  });
+
+  return xmlDocument(
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      `<sheetData>${sheetRows.join('')}</sheetData>` +
+      '</worksheet>'
+  );
+}
+
+function xlsxCell(ref, value) {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(String(value))}</t></is></c>`;
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function xmlDocument(body) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`;
+}
+
+function escapeXML(text) {
+  return Array.from(text)
+    .filter(char => isXMLChar(char.codePointAt(0)))
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function isXMLChar(code) {
+  return (
+    code === 0x09 ||
+    code === 0x0a ||
+    code === 0x0d ||
+    (code >= 0x20 && code <= 0xd7ff) ||
+    (code >= 0xe000 && code <= 0xfffd) ||
+    code >= 0x10000
+  );
+}
+
+function toFileSlug(value) {
+  return (
+    String(value)
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'prs-members'
+  );
+}
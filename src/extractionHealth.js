@@ -0,0 +1,79 @@
+import { PERFORMANCE_FIELDS } from './normalize.js';
+
+const PROFILE_FIELDS = [
+  'name',
+  'imageUrl',
+  'state',
+  'constituency',
+  'party',
+  'termStart',
+  'termEnd',
+  'noOfTerm',
+  'membership',
+  'age',
+  'gender',
+  'education',
+];
+
+const CORE_FIELDS = ['name', 'state', 'constituency', 'party'];
+const TABLE_FIELDS = ['attendanceRows', 'debatesRows', 'questionsRows'];
+const EMPTY_VALUES = ['', 'Unknown', 'N/A'];
+
+export function createExtractionHealth() {
+  return {
+    sources: {},
+    fallbacks: [],
+    strategies: {},
+  };
+}
+
+export function summarizeExtractionHealth(health, data) {
+  const emptyFields = PROFILE_FIELDS.filter(field => EMPTY_VALUES.includes(data[field] ?? ''));
+
+  for (const field of PERFORMANCE_FIELDS) {
+    const source = health.sources[field];
+    if (source === 'missing' || source === 'defaulted') {
+      emptyFields.push(field);
+    }
+  }
+
+  if (data.type === 'MP' || data.type === 'RS') {
+    emptyFields.push(...TABLE_FIELDS.filter(field => (data[field] || []).length === 0));
+  }
+
+  const fallbackFields = [
+    ...new Set([
+      ...health.fallbacks,
+      ...Object.entries(health.strategies)
+        .filter(([, strategy]) => typeof strategy === 'string' && strategy !== 'known-id')
+        .map(([field]) => field),
+    ]),
+  ];
+
+  return {
+    status: getHealthStatus(data, emptyFields, fallbackFields, health),
+    emptyFields,
+    fallbackFields,
+    strategies: health.strategies,
+  };
+}
+
+function getHealthStatus(data, emptyFields, fallbackFields, health) {
+  if (emptyFields.includes('name')) return 'failed';
+
+  if (data.type === 'MP' || data.type === 'RS') {
+    const primary = ['attendance', 'debates', 'questions'];
+    if (primary.every(field => health.sources[field] !== 'page')) return 'failed';
+  }
+
+  if (data.type === 'MLA' && data.performanceCoverage?.published) {
+    const published = data.performanceCoverage.metrics;
+    if (published.every(field => health.sources[field] !== 'page')) return 'degraded';
+  }
+
+  if (CORE_FIELDS.some(field => emptyFields.includes(field))) return 'degraded';
+  if (fallbackFields.length > 0) return 'degraded';
+  if (emptyFields.some(field => TABLE_FIELDS.includes(field))) return 'degraded';
+
+  return 'ok';
+}
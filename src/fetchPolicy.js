@@ -0,0 +1,260 @@
+import { readFileSync } from 'node:fs';
+
+const AGENT_TOKEN = 'prs-scraper-function';
+const AGENT_VERSION = JSON.parse(
+  readFileSync(new URL('../package.json', import.meta.url), 'utf8')
+).version;
+const AGENT_HOMEPAGE = 'https://github.com/Rex1671/prsScrapper';
+
+const ROBOTS_TTL = 24 * 60 * 60 * 1000;
+const ROBOTS_ERROR_TTL = 5 * 60 * 1000;
+const ROBOTS_TIMEOUT = 5000;
+
+const DEFAULT_HOST_RATE = 2;
+const DEFAULT_HOST_BURST = 4;
+
+const BACKOFF_BASE = 1000;
+const BACKOFF_CAP = 30000;
+const MAX_RETRY_AFTER = 120000;
+
+export const ROBOTS_DISALLOWED_REASON = 'Disallowed by robots.txt';
+
+const robotsCache = new Map();
+const buckets = new Map();
+let warnedMissingContact = false;
+
+export function getUserAgent() {
+  if (process.env.PRS_USER_AGENT) {
+    return process.env.PRS_USER_AGENT;
+  }
+
+  const contact = getContact();
+  if (!contact && !warnedMissingContact) {
+    warnedMissingContact = true;
+    console.log(
+      '⚠️ [Fetch] PRS_CONTACT is not set; requests identify the scraper without a contact address'
+    );
+  }
+
+  return `${AGENT_TOKEN}/${AGENT_VERSION} (+${AGENT_HOMEPAGE}${contact ? `; ${contact}` : ''})`;
+}
+
+export function getPoliteHeaders() {
+  const contact = getContact();
+
+  return {
+    'User-Agent': getUserAgent(),
+    ...(contact && contact.includes('@') && { From: contact.replace(/^mailto:/, '') }),
+  };
+}
+
+function getContact() {
+  return (process.env.PRS_CONTACT || '').trim() || null;
+}
+
+export async function acquireFetchSlot(url) {
+  const { origin, pathname, search } = new URL(url);
+  const robots = await getRobotsRules(origin);
+
+  if (!isPathAllowed(robots, `${pathname}${search}`)) {
+    console.log(`🚫 [Fetch] Disallowed by robots.txt - ${url}`);
+    return { allowed: false };
+  }
+
+  await takeToken(origin, robots.crawlDelay);
+  return { allowed: true };
+}
+
+async function getRobotsRules(origin) {
+  const cached = robotsCache.get(origin);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.rules;
+  }
+
+  const pending = fetchRobots(origin);
+  robotsCache.set(origin, {
+    expiresAt: Date.now() + ROBOTS_ERROR_TTL,
+    rules: pending.then(result => result.rules),
+  });
+
+  const { rules, ttl } = await pending;
+  robotsCache.set(origin, { expiresAt: Date.now() + ttl, rules });
+  return rules;
+}
+
+async function fetchRobots(origin) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), ROBOTS_TIMEOUT);
+
+  try {
+    const response = await fetch(`${origin}/robots.txt`, {
+      headers: getPoliteHeaders(),
+      signal: controller.signal,
+      redirect: 'follow',
+    });
+
+    if (response.status >= 400 && response.status < 500) {
+      return { rules: createOpenRules(), ttl: ROBOTS_TTL };
+    }
+
+    if (!response.ok) {
+      console.log(
+        `⚠️ [Fetch] robots.txt returned HTTP ${response.status} for ${origin}, retrying later`
+      );
+      return { rules: createOpenRules(), ttl: ROBOTS_ERROR_TTL };
+    }
+
+    const rules = parseRobots(await response.text(), AGENT_TOKEN);
+    console.log(
+      `🤖 [Fetch] robots.txt for ${origin}: ${rules.rules.length} rules${rules.crawlDelay ? `, crawl-delay ${rules.crawlDelay}s` : ''}`
+    );
+    return { rules, ttl: ROBOTS_TTL };
+  } catch (err) {
+    console.log(`⚠️ [Fetch] Could not read robots.txt for ${origin}: ${err.message}`);
+    return { rules: createOpenRules(), ttl: ROBOTS_ERROR_TTL };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function createOpenRules() {
+  return { rules: [], crawlDelay: null };
+}
+
+export function parseRobots(text, agent = AGENT_TOKEN) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!Number.isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  const token = agent.toLowerCase();
+  const matching = groups.filter(group =>
+    group.agents.some(name => name !== '*' && token.startsWith(name))
+  );
+  const selected =
+    matching.length > 0 ? matching : groups.filter(group => group.agents.includes('*'));
+
+  return {
+    rules: selected.flatMap(group => group.rules),
+    crawlDelay: selected.map(group => group.crawlDelay).find(delay => delay !== null) ?? null,
+  };
+}
+
+export function isPathAllowed(robots, target) {
+  let best = null;
+
+  for (const rule of robots.rules) {
+    if (!matchesRobotsPath(rule.path, target)) continue;
+
+    if (
+      !best ||
+      rule.path.length > best.path.length ||
+      (rule.path.length === best.path.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  }
+
+  return !best || best.allow;
+}
+
+function matchesRobotsPath(pattern, target) {
+  const anchored = pattern.endsWith('$');
+  const source = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(target);
+}
+
+async function takeToken(origin, crawlDelay) {
+  const bucket = getBucket(origin, crawlDelay);
+
+  const now = Date.now();
+  bucket.tokens = Math.min(
+    bucket.capacity,
+    bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.rate
+  );
+  bucket.updatedAt = now;
+  bucket.tokens -= 1;
+
+  if (bucket.tokens < 0) {
+    await sleep((-bucket.tokens / bucket.rate) * 1000);
+  }
+}
+
+function getBucket(origin, crawlDelay) {
+  const configuredRate = Number(process.env.PRS_HOST_RATE) || DEFAULT_HOST_RATE;
+  const configuredBurst = Number(process.env.PRS_HOST_BURST) || DEFAULT_HOST_BURST;
+  const rate = crawlDelay ? Math.min(configuredRate, 1 / crawlDelay) : configuredRate;
+  const capacity = crawlDelay ? 1 : configuredBurst;
+
+  let bucket = buckets.get(origin);
+  if (!bucket) {
+    bucket = { tokens: capacity, updatedAt: Date.now() };
+    buckets.set(origin, bucket);
+  }
+
+  bucket.rate = rate;
+  bucket.capacity = capacity;
+  return bucket;
+}
+
+export function getRetryDelay(attempt, response = null) {
+  const retryAfter = parseRetryAfter(response?.headers?.get('retry-after'));
+  if (retryAfter !== null) {
+    return retryAfter <= MAX_RETRY_AFTER ? retryAfter : null;
+  }
+
+  const ceiling = Math.min(BACKOFF_CAP, BACKOFF_BASE * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export function resetFetchPolicy() {
+  robotsCache.clear();
+  buckets.clear();
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,93 @@
+import { toNumber } from './numbers.js';
+
+export const LOK_SABHA_HOUSES = ['18th-lok-sabha', '17th-lok-sabha', '16th-lok-sabha'];
+export const RAJYA_SABHA_HOUSE = 'rajya-sabha';
+
+export function getHouseFromUrl(url) {
+  const match = String(url || '').match(/\/mptrack\/(\d+(?:st|nd|rd|th)-lok-sabha)\/([^/?#]+)/);
+  return match ? { house: match[1], slug: match[2], number: parseInt(match[1], 10) } : null;
+}
+
+export function buildCareerHistory(termPages) {
+  const terms = termPages
+    .map(({ url, data }) => toTerm(url, data))
+    .sort((a, b) => (a.lokSabha || 0) - (b.lokSabha || 0));
+
+  const partySwitches = [];
+  const constituencyChanges = [];
+
+  for (let i = 1; i < terms.length; i++) {
+    const previous = terms[i - 1];
+    const current = terms[i];
+
+    if (isKnown(previous.party) && isKnown(current.party) && previous.party !== current.party) {
+      partySwitches.push({ from: previous.party, to: current.party, house: current.house });
+    }
+
+    const previousSeat = `${previous.constituency}|${previous.state}`;
+    const currentSeat = `${current.constituency}|${current.state}`;
+    if (
+      isKnown(previous.constituency) &&
+      isKnown(current.constituency) &&
+      previousSeat !== currentSeat
+    ) {
+      constituencyChanges.push({
+        from: { constituency: previous.constituency, state: previous.state },
+        to: { constituency: current.constituency, state: current.state },
+        house: current.house,
+      });
+    }
+  }
+
+  return {
+    terms,
+    partySwitches,
+    constituencyChanges,
+    career: computeCareerTotals(terms),
+  };
+}
+
+function toTerm(url, data) {
+  const location = getHouseFromUrl(url);
+
+  return {
+    house: location?.house || null,
+    lokSabha: location?.number || null,
+    url,
+    party: data.party,
+    constituency: data.constituency,
+    state: data.state,
+    termStart: data.termStart,
+    termEnd: data.termEnd,
+    membership: data.membership,
+    attendance: toNumber(data.attendance),
+    debates: toNumber(data.debates),
+    questions: toNumber(data.questions),
+    pmb: toNumber(data.pmb),
+  };
+}
+
+function computeCareerTotals(terms) {
+  const attendance = terms.map(t => t.attendance).filter(v => v !== null);
+
+  return {
+    termsFound: terms.length,
+    houses: terms.map(t => t.house).filter(Boolean),
+    totalDebates: sum(terms.map(t => t.debates)),
+    totalQuestions: sum(terms.map(t => t.questions)),
+    totalPMBs: sum(terms.map(t => t.pmb)),
+    averageAttendance:
+      attendance.length > 0 ? Math.round((sum(attendance) / attendance.length) * 100) / 100 : null,
+    parties: [...new Set(terms.map(t => t.party).filter(isKnown))],
+    constituencies: [...new Set(terms.map(t => t.constituency).filter(isKnown))],
+  };
+}
+
+function sum(values) {
+  const known = values.filter(v => v !== null);
+  return known.length > 0 ? known.reduce((total, v) => total + v, 0) : null;
+}
+
+function isKnown(value) {
+  return Boolean(value) && !['Unknown', 'N/A'].includes(value);
+}
@@ -1,9 +1,50 @@
-import { getPRSData } from './prsService.js';
+import { timingSafeEqual } from 'node:crypto';
+import { ALTERNATE_TYPES, getPRSData } from './prsService.js';
+import { MAX_BATCH_SIZE, getPRSDataBatch } from './batch.js';
+import { MEMBER_SCHEMA, MEMBER_TYPES, SCHEMA_VERSION } from './schema.js';
+import { getSnapshotMode } from './snapshots.js';
+import { AMBIGUOUS_ERROR, INTERNAL_ERROR, NOT_FOUND_ERROR } from './upstream.js';
+import { searchMembers } from './memberIndex.js';
+import { getAggregateStats } from './aggregates.js';
+import { listAssemblyCoverage } from './assemblies.js';
+import { MAX_COMPARE_SIZE, MIN_COMPARE_SIZE, compareMembers } from './compare.js';
+import { EXPORT_FORMATS, renderExport } from './exporters.js';
+import { getMemberChanges, listChanges } from './changes.js';
+import { refreshMembers } from './crawler.js';
+import {
+  WEBHOOK_EVENTS,
+  createSubscription,
+  deleteSubscription,
+  getMemberTypeFromUrl,
+  getSubscription,
+  listSubscribedMembers,
+  listSubscriptions,
+  processDeliveries,
+  readDeadLetters
+} from './webhooks.js';
+
+const SEARCH_MIN_LENGTH = 2;
+const SEARCH_DEFAULT_LIMIT = 10;
+const SEARCH_MAX_LIMIT = 25;
 
 export default async ({ req, res, log, error }) => {
   const startTime = Date.now();
   
   try {
+    const route = (req.path || '').replace(/\/+$/, '');
+    
+    if (req.method === 'GET' && route === '/schema') {
+      return res.json(MEMBER_SCHEMA, 200);
+    }
+    
+    if (req.method === 'GET' && route === '/coverage') {
+      return res.json({
+        success: true,
+        assemblies: await listAssemblyCoverage(),
+        note: 'States are listed once an MLA page from them has been parsed; published is true when at least one of those pages carries an assembly activity section. On a page without one the metrics are "not-published"; "missing" means the section is there but could not be parsed'
+      }, 200, { 'Cache-Control': 'public, max-age=300' });
+    }
+    
     let params = {};
     
     if (req.method === 'POST') {
@@ -21,25 +62,68 @@ export default async ({ req, res, log, error }) => {
       }
       
       if (req.bodyJson) {
-        params = { ...params, ...req.bodyJson };
+        params = Array.isArray(req.bodyJson) ? req.bodyJson : { ...params, ...req.bodyJson };
       }
       
       if (Object.keys(params).length === 0 && req.query) {
         params = req.query;
       }
-    } else if (req.method === 'GET') {
+    } else if (req.method === 'GET' || req.method === 'DELETE') {
       params = req.query || {};
     }
     
+    if (Array.isArray(params)) {
+      params = { members: params };
+    }
+    
+    if (route === '/webhooks' || route.startsWith('/webhooks/')) {
+      return await handleWebhooks(req, route, params, res, log, startTime);
+    }
+    
+    if (route === '/search') {
+      return await handleSearch(params, res, log, startTime);
+    }
+    
+    if (route === '/aggregate') {
+      return await handleAggregate(params, res, log, startTime);
+    }
+    
+    if (route === '/compare' || params.mode === 'compare') {
+      return await handleCompare(params, res, log, startTime);
+    }
+    
+    if (route === '/changes' || params.mode === 'changes') {
+      return await handleChanges(params, res, log, startTime);
+    }
+    
+    const format = String(params.format || 'json').trim().toLowerCase();
+    
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.json({
+        success: false,
+        error: `Invalid format. Must be one of ${EXPORT_FORMATS.join(', ')}`,
+        received: params.format
+      }, 400);
+    }
+    
+    if (Array.isArray(params.members)) {
+      return await handleBatch(params, format, res, log, startTime);
+    }
+    
     const { name, type, constituency, state } = params;
     
     log(`📥 Received params: ${JSON.stringify(params)}`);
+    
+    if (!name && (constituency || state)) {
+      return await handlePlaceLookup(params, format, res, log, startTime);
+    }
+    
     log(`🔍 [PRS] Request received: ${name} (${type})`);
     
     if (!name || !type) {
       return res.json({
         success: false,
-        error: 'Missing required parameters: name, type',
+        error: 'Missing required parameters: name, type (or constituency/state to look up by place)',
         received: params,
         usage: {
           method: 'POST',
@@ -53,15 +137,23 @@ export default async ({ req, res, log, error }) => {
             type: 'MLA',
             state: 'Delhi',
             constituency: 'New Delhi'
+          },
+          rajyaSabhaExample: {
+            name: 'Nirmala Sitharaman',
+            type: 'RS'
+          },
+          placeExample: {
+            constituency: 'Thiruvananthapuram',
+            state: 'Kerala'
           }
         }
       }, 400);
     }
     
-    if (!['MP', 'MLA'].includes(type.toUpperCase())) {
+    if (!MEMBER_TYPES.includes(type.toUpperCase())) {
       return res.json({
         success: false,
-        error: 'Invalid type. Must be MP or MLA',
+        error: 'Invalid type. Must be MP, RS or MLA',
         received: type
       }, 400);
     }
@@ -71,12 +163,17 @@ export default async ({ req, res, log, error }) => {
       name.trim(), 
       type.toUpperCase(), 
       constituency?.trim(), 
-      state?.trim()
+      state?.trim(),
+      getLookupOptions(params)
     );
     
     const duration = Date.now() - startTime;
     log(`✅ [PRS] Completed in ${duration}ms`);
     
+    if (result.found && format !== 'json') {
+      return sendExport(res, format, [result.data], result.data.name);
+    }
+    
     if (result.found) {
       return res.json({
         success: true,
@@ -84,24 +181,70 @@ export default async ({ req, res, log, error }) => {
         meta: {
           searchedAs: result.searchedAs || type,
           foundAs: result.foundAs || type,
+          match: result.match,
+          schemaVersion: SCHEMA_VERSION,
+          schemaValid: result.validation.valid,
+          validation: result.validation,
+          extractionHealth: result.extractionHealth,
           source: 'PRS India',
-          scrapedAt: new Date().toISOString()
+          snapshotMode: getSnapshotMode(),
+          fromCache: Boolean(result.cache?.hit),
+          scrapedAt: result.cache?.hit ? result.cache.storedAt : new Date().toISOString()
         },
         timing: {
           duration: `${duration}ms`,
           timestamp: new Date().toISOString()
         }
       }, 200);
+    } else if (result.ambiguous) {
+      return res.json({
+        success: false,
+        ambiguous: true,
+        code: AMBIGUOUS_ERROR.code,
+        message: 'Multiple members match this name; pass constituency and/or state to pick one',
+        searched: { 
+          name, 
+          type, 
+          constituency: constituency || 'N/A', 
+          state: state || 'N/A' 
+        },
+        candidates: result.candidates,
+        timing: { 
+          duration: `${duration}ms` 
+        }
+      }, AMBIGUOUS_ERROR.httpStatus);
+    } else if (result.error) {
+      const { httpStatus, message, ...failure } = result.error;
+      
+      return res.json({
+        success: false,
+        error: message,
+        ...failure,
+        searched: { 
+          name, 
+          type, 
+          constituency: constituency || 'N/A', 
+          state: state || 'N/A' 
+        },
+        attempts: result.attempts,
+        timing: { 
+          duration: `${duration}ms` 
+        }
+      }, httpStatus, failure.retryAfterSeconds ? { 'Retry-After': String(failure.retryAfterSeconds) } : {});
     } else {
+      const { httpStatus, message, ...notFound } = NOT_FOUND_ERROR;
+      
       return res.json({
         success: false,
-        message: 'Member not found in PRS India database',
+        message,
+        ...notFound,
         searched: { 
           name, 
           type, 
           constituency: constituency || 'N/A', 
           state: state || 'N/A' 
         },
+        attempts: result.attempts,
         timing: { 
           duration: `${duration}ms` 
         },
@@ -109,9 +252,9 @@ export default async ({ req, res, log, error }) => {
           'Verify the spelling of the name',
           'Try alternate name formats (e.g., "Narendra Modi" vs "Modi, Narendra")',
           'Check if the member is currently serving',
-          `Try alternate type (${type === 'MP' ? 'MLA' : 'MP'})`
+          `Try alternate type (${ALTERNATE_TYPES[type.toUpperCase()].join(' or ')})`
         ]
-      }, 404);
+      }, httpStatus);
     }
     
   } catch (err) {
@@ -119,9 +262,12 @@ export default async ({ req, res, log, error }) => {
     error(`❌ [PRS] Error: ${err.message}`);
     error(err.stack);
     
+    const { httpStatus, ...internal } = INTERNAL_ERROR;
+    
     return res.json({
       success: false,
       error: err.message,
+      ...internal,
       type: err.name,
       timing: { 
         duration: `${duration}ms` 
@@ -129,6 +275,664 @@ export default async ({ req, res, log, error }) => {
       debug: process.env.NODE_ENV === 'development' ? {
         stack: err.stack
       } : undefined
-    }, 500);
+    }, httpStatus);
   }
 };
+
+async function handleBatch(params, format, res, log, startTime) {
+  const { members, concurrency, deadlineMs } = params;
+  
+  if (members.length === 0 || members.length > MAX_BATCH_SIZE) {
+    return res.json({
+      success: false,
+      error: `Batch must contain between 1 and ${MAX_BATCH_SIZE} members`,
+      received: members.length
+    }, 400);
+  }
+  
+  log(`📦 [PRS] Batch request received: ${members.length} members`);
+  
+  const { results, summary } = await getPRSDataBatch(members, {
+    concurrency,
+    deadlineMs,
+    options: getLookupOptions(params)
+  });
+  
+  const duration = Date.now() - startTime;
+  log(`✅ [PRS] Batch completed in ${duration}ms`);
+  
+  if (format !== 'json') {
+    const members = results.filter(item => item.status === 'success').map(item => item.data);
+    return sendExport(res, format, members, 'prs-members');
+  }
+  
+  return res.json({
+    success: true,
+    results,
+    summary,
+    meta: {
+      schemaVersion: SCHEMA_VERSION,
+      schemaValid: results.every(item => item.status !== 'success' || item.meta.schemaValid),
+      source: 'PRS India',
+      snapshotMode: getSnapshotMode(),
+      scrapedAt: new Date().toISOString()
+    },
+    timing: {
+      duration: `${duration}ms`,
+      timestamp: new Date().toISOString()
+    }
+  }, 200);
+}
+
+async function handleCompare(params, res, log, startTime) {
+  const { members, concurrency, deadlineMs } = params;
+  
+  if (!Array.isArray(members) || members.length < MIN_COMPARE_SIZE || members.length > MAX_COMPARE_SIZE) {
+    return res.json({
+      success: false,
+      error: `Compare needs between ${MIN_COMPARE_SIZE} and ${MAX_COMPARE_SIZE} members`,
+      received: Array.isArray(members) ? members.length : members,
+      usage: {
+        method: 'POST',
+        path: '/compare',
+        example: {
+          members: [
+            { name: 'Shashi Tharoor', type: 'MP' },
+            { name: 'Supriya Sule', type: 'MP' }
+          ]
+        }
+      }
+    }, 400);
+  }
+  
+  log(`⚖️ [PRS] Compare request received: ${members.length} members`);
+  
+  const result = await compareMembers(members, {
+    concurrency,
+    deadlineMs,
+    options: {
+      ...getLookupOptions(params),
+      includeAffidavit: false,
+      includeAnalysis: false,
+      history: false
+    }
+  });
+  
+  const duration = Date.now() - startTime;
+  
+  if (!result.found) {
+    const ambiguous = result.unresolved.some(item => item.status === 'ambiguous');
+    const failed = result.unresolved.find(item => item.httpStatus);
+    const status = ambiguous ? AMBIGUOUS_ERROR.httpStatus : failed ? failed.httpStatus : 404;
+    
+    return res.json({
+      success: false,
+      error: `Only ${result.resolved} of ${members.length} members could be resolved; at least ${MIN_COMPARE_SIZE} are needed to compare`,
+      code: ambiguous ? AMBIGUOUS_ERROR.code : failed ? failed.code : NOT_FOUND_ERROR.code,
+      retryable: Boolean(failed?.retryable),
+      unresolved: result.unresolved,
+      timing: { duration: `${duration}ms` }
+    }, status);
+  }
+  
+  log(`✅ [PRS] Compare completed in ${duration}ms`);
+  
+  return res.json({
+    success: true,
+    ...result.comparison,
+    unresolved: result.unresolved,
+    meta: {
+      schemaVersion: SCHEMA_VERSION,
+      source: 'PRS India',
+      snapshotMode: getSnapshotMode(),
+      scrapedAt: new Date().toISOString()
+    },
+    timing: {
+      duration: `${duration}ms`,
+      timestamp: new Date().toISOString()
+    }
+  }, 200);
+}
+
+async function handleChanges(params, res, log, startTime) {
+  const name = params.name ? String(params.name).trim() : null;
+  const type = params.type ? String(params.type).trim().toUpperCase() : null;
+  const since = parseSince(params.since);
+  
+  if (Number.isNaN(since) || (!name && since === null)) {
+    return res.json({
+      success: false,
+      error: Number.isNaN(since)
+        ? 'Invalid since. Use an ISO date or a millisecond timestamp'
+        : 'Missing required parameters: name and type, or since to list all changed members',
+      received: params,
+      usage: {
+        method: 'GET',
+        path: '/changes',
+        example: { name: 'Shashi Tharoor', type: 'MP', since: '2024-07-01' },
+        alternateExample: { since: '2024-07-01', type: 'MP' }
+      }
+    }, 400);
+  }
+  
+  if ((name && !type) || (type && !MEMBER_TYPES.includes(type))) {
+    return res.json({
+      success: false,
+      error: 'Invalid type. Must be MP, RS or MLA',
+      received: params.type
+    }, 400);
+  }
+  
+  if (!name) {
+    log(`🗂️ [PRS] Listing changes since ${new Date(since).toISOString()}`);
+    const { tracked, members } = await listChanges({ since, type });
+    const duration = Date.now() - startTime;
+    
+    return res.json({
+      success: true,
+      since: new Date(since).toISOString(),
+      tracked,
+      changed: members.length,
+      members,
+      timing: { duration: `${duration}ms` }
+    }, 200);
+  }
+  
+  const constituency = params.constituency ? String(params.constituency).trim() : null;
+  const state = params.state ? String(params.state).trim() : null;
+  const searched = { name, type, constituency: constituency || 'N/A', state: state || 'N/A' };
+  
+  log(`🗂️ [PRS] Changes request: ${JSON.stringify(searched)}`);
+  
+  const result = await getPRSData(name, type, constituency, state, {
+    ...getLookupOptions(params),
+    refresh: true,
+    includeAffidavit: false,
+    includeAnalysis: false,
+    history: false
+  });
+  const duration = Date.now() - startTime;
+  
+  if (result.ambiguous) {
+    return res.json({
+      success: false,
+      ambiguous: true,
+      code: AMBIGUOUS_ERROR.code,
+      message: 'Multiple members match this name; pass constituency and/or state to pick one',
+      searched,
+      candidates: result.candidates,
+      timing: { duration: `${duration}ms` }
+    }, AMBIGUOUS_ERROR.httpStatus);
+  }
+  
+  if (!result.found) {
+    const { httpStatus, message, ...failure } = result.error || NOT_FOUND_ERROR;
+    
+    return res.json({
+      success: false,
+      error: message,
+      ...failure,
+      searched,
+      timing: { duration: `${duration}ms` }
+    }, httpStatus, failure.retryAfterSeconds ? { 'Retry-After': String(failure.retryAfterSeconds) } : {});
+  }
+  
+  const changes = await getMemberChanges(result.sourceUrl, { since });
+  
+  if (!changes) {
+    return res.json({
+      success: false,
+      message: 'No comparable snapshots have been recorded for this member yet',
+      code: 'CHANGES_NOT_TRACKED',
+      retryable: false,
+      searched,
+      sourceUrl: result.sourceUrl,
+      timing: { duration: `${duration}ms` }
+    }, 404);
+  }
+  
+  log(`✅ [PRS] Changes completed in ${duration}ms (${changes.fields.length} fields changed)`);
+  
+  return res.json({
+    success: true,
+    ...changes,
+    meta: {
+      source: 'PRS India',
+      snapshotMode: getSnapshotMode(),
+      checkedAt: new Date().toISOString()
+    },
+    timing: {
+      duration: `${duration}ms`,
+      timestamp: new Date().toISOString()
+    }
+  }, 200);
+}
+
+function parseSince(value) {
+  if (value === undefined || value === null || value === '') return null;
+  
+  const text = String(value).trim();
+  return /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+}
+
+async function handleWebhooks(req, route, params, res, log, startTime) {
+  const token = process.env.PRS_WEBHOOK_TOKEN;
+  
+  if (!token) {
+    return res.json({
+      success: false,
+      error: 'Webhooks are disabled; set PRS_WEBHOOK_TOKEN to enable subscription management',
+      code: 'WEBHOOKS_DISABLED',
+      retryable: false
+    }, 503);
+  }
+  
+  if (!isTokenMatch(req.headers?.['x-prs-webhook-token'], token)) {
+    return res.json({
+      success: false,
+      error: 'Missing or invalid x-prs-webhook-token header',
+      code: 'WEBHOOK_UNAUTHORIZED',
+      retryable: false
+    }, 401);
+  }
+  
+  if (req.method === 'POST' && route === '/webhooks/deliver') {
+    const members = params.refresh === false || params.refresh === 'false' ? [] : await listSubscribedMembers();
+    
+    if (members.length > 0) {
+      log(`🔄 [PRS] Re-checking ${members.length} subscribed members before delivery`);
+    }
+    
+    const refresh = await refreshMembers(members);
+    const summary = await processDeliveries();
+    const duration = Date.now() - startTime;
+    log(`📬 [PRS] Delivery run completed in ${duration}ms`);
+    
+    return res.json({ success: true, refresh, ...summary, timing: { duration: `${duration}ms` } }, 200);
+  }
+  
+  if (req.method === 'GET' && route === '/webhooks/dead-letter') {
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || 50, 1), 500);
+    const entries = await readDeadLetters({ limit });
+    
+    return res.json({ success: true, count: entries.length, deadLetters: entries }, 200);
+  }
+  
+  if (route !== '/webhooks') {
+    return res.json({ success: false, error: `Unknown webhooks route: ${route}` }, 404);
+  }
+  
+  if (req.method === 'GET') {
+    if (params.id) {
+      const subscription = await getSubscription(String(params.id));
+      return subscription
+        ? res.json({ success: true, subscription }, 200)
+        : res.json({ success: false, error: 'Subscription not found', code: 'SUBSCRIPTION_NOT_FOUND', retryable: false }, 404);
+    }
+    
+    const subscriptions = await listSubscriptions();
+    return res.json({ success: true, count: subscriptions.length, subscriptions, events: WEBHOOK_EVENTS }, 200);
+  }
+  
+  if (req.method === 'DELETE') {
+    const deleted = params.id ? await deleteSubscription(String(params.id)) : false;
+    return deleted
+      ? res.json({ success: true, deleted: params.id }, 200)
+      : res.json({ success: false, error: 'Subscription not found', code: 'SUBSCRIPTION_NOT_FOUND', retryable: false }, 404);
+  }
+  
+  if (req.method !== 'POST') {
+    return res.json({ success: false, error: `Method ${req.method} not allowed on /webhooks` }, 405);
+  }
+  
+  const { callbackUrl, members, events, attendanceBelow, secret, ...rest } = params;
+  
+  if (!callbackUrl || !Array.isArray(members) || members.length === 0 || members.length > MAX_BATCH_SIZE) {
+    return res.json({
+      success: false,
+      error: `Missing required parameters: callbackUrl and members (1 to ${MAX_BATCH_SIZE} PRS profile URLs or { name, type } lookups)`,
+      received: { ...rest, callbackUrl, members, events, attendanceBelow },
+      usage: {
+        method: 'POST',
+        path: '/webhooks',
+        example: {
+          callbackUrl: 'https://newsroom.example.com/prs-hook',
+          members: [{ name: 'Shashi Tharoor', type: 'MP' }, 'https://prsindia.org/mptrack/18th-lok-sabha/supriya-sule'],
+          events: WEBHOOK_EVENTS,
+          attendanceBelow: 75
+        }
+      }
+    }, 400);
+  }
+  
+  const lookups = members.filter(member => typeof member !== 'string');
+  const resolved = members
+    .filter(member => typeof member === 'string')
+    .map(url => ({ url: url.trim(), name: null, type: getMemberTypeFromUrl(url.trim()) }));
+  let unresolved = [];
+  
+  if (lookups.length > 0) {
+    log(`🔔 [PRS] Resolving ${lookups.length} members for subscription`);
+    
+    const { results } = await getPRSDataBatch(lookups, {
+      concurrency: params.concurrency,
+      deadlineMs: params.deadlineMs,
+      options: { ...getLookupOptions(params), includeAffidavit: false, includeAnalysis: false, history: false }
+    });
+    
+    for (const item of results) {
+      if (item.status === 'success' && item.meta.sourceUrl) {
+        resolved.push({ url: item.meta.sourceUrl, name: item.data.name, type: item.data.type });
+      }
+    }
+    unresolved = results.filter(item => item.status !== 'success');
+  }
+  
+  if (unresolved.length > 0) {
+    return res.json({
+      success: false,
+      error: `${unresolved.length} of ${members.length} members could not be resolved; no subscription was created`,
+      unresolved,
+      timing: { duration: `${Date.now() - startTime}ms` }
+    }, 400);
+  }
+  
+  const result = await createSubscription({
+    callbackUrl,
+    members: resolved,
+    events: events ?? WEBHOOK_EVENTS,
+    attendanceBelow: attendanceBelow ?? null,
+    secret: secret || null
+  });
+  
+  if (result.error) {
+    return res.json({ success: false, error: result.error }, 400);
+  }
+  
+  const duration = Date.now() - startTime;
+  log(`✅ [PRS] Subscription ${result.subscription.id} created in ${duration}ms`);
+  
+  return res.json({
+    success: true,
+    subscription: result.subscription,
+    note: 'Store the secret now; it is not returned again. X-PRS-Signature is sha256=HMAC-SHA256(secret, "<X-PRS-Timestamp>.<raw body>")',
+    timing: { duration: `${duration}ms` }
+  }, 201);
+}
+
+async function handlePlaceLookup(params, format, res, log, startTime) {
+  const type = params.type ? String(params.type).trim().toUpperCase() : null;
+  const constituency = params.constituency ? String(params.constituency).trim() : null;
+  const state = params.state ? String(params.state).trim() : null;
+  const searched = { constituency: constituency || 'N/A', state: state || 'N/A', type: type || 'MP+MLA' };
+  
+  if (type && !MEMBER_TYPES.includes(type)) {
+    return res.json({
+      success: false,
+      error: 'Invalid type. Must be MP, RS or MLA',
+      received: params.type
+    }, 400);
+  }
+  
+  if (!constituency && format !== 'json') {
+    return res.json({
+      success: false,
+      error: 'State delegations are only available as JSON; pass constituency to export the seat holders',
+      received: params.format
+    }, 400);
+  }
+  
+  log(`📍 [PRS] Place lookup: ${JSON.stringify(searched)}`);
+  
+  const result = await getPRSData(null, type, constituency, state, getLookupOptions(params));
+  const duration = Date.now() - startTime;
+  
+  if (result.ambiguous) {
+    return res.json({
+      success: false,
+      ambiguous: true,
+      code: AMBIGUOUS_ERROR.code,
+      message: 'This constituency name exists in more than one state; pass state to pick one',
+      searched,
+      candidates: result.candidates,
+      timing: { duration: `${duration}ms` }
+    }, AMBIGUOUS_ERROR.httpStatus);
+  }
+  
+  if (result.error) {
+    return respondWithFailure(res, result.error, { searched, timing: { duration: `${duration}ms` } });
+  }
+  
+  if (!result.found) {
+    const seatErrors = (result.seats || []).filter(seat => seat.error);
+    
+    if (seatErrors.length > 0) {
+      const { httpStatus, message, ...failure } = seatErrors[0].error;
+      return res.json({
+        success: false,
+        error: message,
+        ...failure,
+        searched,
+        seats: result.seats,
+        timing: { duration: `${duration}ms` }
+      }, httpStatus);
+    }
+    
+    return res.json({
+      success: false,
+      message: `No sitting members found for this ${result.mode}`,
+      code: 'PLACE_NOT_FOUND',
+      retryable: false,
+      searched,
+      indexTruncated: Boolean(result.indexTruncated),
+      timing: { duration: `${duration}ms` }
+    }, 404);
+  }
+  
+  log(`✅ [PRS] Place lookup completed in ${duration}ms`);
+  
+  if (format !== 'json') {
+    const members = result.seats.filter(seat => seat.found).map(seat => seat.data);
+    return sendExport(res, format, members, constituency);
+  }
+  
+  return res.json({
+    success: true,
+    mode: result.mode,
+    searched,
+    ...(result.mode === 'state' ? { delegation: result.delegation } : { seats: result.seats }),
+    meta: {
+      schemaVersion: SCHEMA_VERSION,
+      schemaValid: (result.seats || []).every(seat => !seat.found || seat.validation.valid),
+      source: 'PRS India',
+      snapshotMode: getSnapshotMode(),
+      indexBuiltAt: result.indexBuiltAt,
+      indexTruncated: result.indexTruncated
+    },
+    timing: {
+      duration: `${duration}ms`,
+      timestamp: new Date().toISOString()
+    }
+  }, 200);
+}
+
+async function handleSearch(params, res, log, startTime) {
+  const query = String(params.q ?? params.name ?? '').trim();
+  const type = params.type ? String(params.type).trim().toUpperCase() : null;
+  
+  if (query.length < SEARCH_MIN_LENGTH) {
+    return res.json({
+      success: false,
+      error: `Search query must be at least ${SEARCH_MIN_LENGTH} characters`,
+      received: params,
+      usage: {
+        method: 'GET',
+        path: '/search',
+        example: { q: 'shashi', type: 'MP', state: 'Kerala' }
+      }
+    }, 400);
+  }
+  
+  if (type && !MEMBER_TYPES.includes(type)) {
+    return res.json({
+      success: false,
+      error: 'Invalid type. Must be MP, RS or MLA',
+      received: params.type
+    }, 400);
+  }
+  
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || SEARCH_DEFAULT_LIMIT, 1), SEARCH_MAX_LIMIT);
+  const filters = {
+    type,
+    state: params.state ? String(params.state).trim() : null,
+    party: params.party ? String(params.party).trim() : null
+  };
+  
+  let search;
+  try {
+    search = await searchMembers(query, { ...filters, limit });
+  } catch (err) {
+    if (!err.failure) throw err;
+    return respondWithFailure(res, err.failure, { query, filters, timing: { duration: `${Date.now() - startTime}ms` } });
+  }
+  
+  const { members, builtAt, stale, truncated } = search;
+  
+  const duration = Date.now() - startTime;
+  log(`🔎 [PRS] Search "${query}" returned ${members.length} members in ${duration}ms`);
+  
+  return res.json({
+    success: true,
+    query,
+    filters,
+    results: members,
+    meta: {
+      source: 'PRS India listing pages',
+      indexBuiltAt: builtAt,
+      indexStale: stale,
+      indexTruncated: truncated
+    },
+    timing: {
+      duration: `${duration}ms`
+    }
+  }, 200, { 'Cache-Control': 'public, max-age=300' });
+}
+
+async function handleAggregate(params, res, log, startTime) {
+  const type = params.type ? String(params.type).trim().toUpperCase() : 'MP';
+  const state = params.state ? String(params.state).trim() : null;
+  const party = params.party ? String(params.party).trim() : null;
+  
+  if (!state && !party) {
+    return res.json({
+      success: false,
+      error: 'Missing required parameters: state and/or party',
+      received: params,
+      usage: {
+        method: 'GET',
+        path: '/aggregate',
+        example: { state: 'Kerala' },
+        alternateExample: { party: 'BJP', state: 'Uttar Pradesh' }
+      }
+    }, 400);
+  }
+  
+  if (!MEMBER_TYPES.includes(type)) {
+    return res.json({
+      success: false,
+      error: 'Invalid type. Must be MP, RS or MLA',
+      received: params.type
+    }, 400);
+  }
+  
+  log(`📊 [PRS] Aggregate request: ${JSON.stringify({ type, state, party })}`);
+  
+  const result = await getAggregateStats({
+    type,
+    state,
+    party,
+    refresh: isTruthy(params.refresh),
+    concurrency: params.concurrency,
+    deadlineMs: params.deadlineMs
+  });
+  
+  const duration = Date.now() - startTime;
+  
+  if (result.error) {
+    const { httpStatus, message, ...failure } = result.error;
+    
+    return res.json({
+      success: false,
+      error: message,
+      ...failure,
+      searched: { type, state: state || 'N/A', party: party || 'N/A' },
+      missing: result.missing,
+      timing: { duration: `${duration}ms` }
+    }, httpStatus, failure.retryAfterSeconds ? { 'Retry-After': String(failure.retryAfterSeconds) } : {});
+  }
+  
+  if (!result.found) {
+    return res.json({
+      success: false,
+      message: result.reason,
+      code: 'AGGREGATE_NOT_FOUND',
+      retryable: false,
+      searched: { type, state: state || 'N/A', party: party || 'N/A' },
+      timing: { duration: `${duration}ms` }
+    }, 404);
+  }
+  
+  const { aggregate } = result;
+  log(`✅ [PRS] Aggregate completed in ${duration}ms (${aggregate.coverage.covered}/${aggregate.coverage.members} members)`);
+  
+  return res.json({
+    success: true,
+    ...aggregate,
+    meta: {
+      source: 'PRS India',
+      snapshotMode: getSnapshotMode(),
+      fromCache: result.fromCache,
+      indexBuiltAt: result.indexBuiltAt,
+      indexTruncated: result.indexTruncated
+    },
+    timing: {
+      duration: `${duration}ms`,
+      timestamp: new Date().toISOString()
+    }
+  }, 200);
+}
+
+function sendExport(res, format, members, baseName) {
+  const { body, headers } = renderExport(format, members, { baseName });
+  
+  return format === 'ndjson' ? res.text(body, 200, headers) : res.binary(body, 200, headers);
+}
+
+function getLookupOptions(params) {
+  return {
+    includeHtml: isTruthy(params.includeHtml),
+    refresh: isTruthy(params.refresh),
+    includeAffidavit: params.affidavit !== false && params.affidavit !== 'false',
+    includeAnalysis: params.analysis !== false && params.analysis !== 'false',
+    history: params.mode === 'history' || isTruthy(params.history)
+  };
+}
+
+function respondWithFailure(res, { httpStatus, message, ...failure }, details = {}) {
+  return res.json({
+    success: false,
+    error: message,
+    ...failure,
+    ...details
+  }, httpStatus, failure.retryAfterSeconds ? { 'Retry-After': String(failure.retryAfterSeconds) } : {});
+}
+
+function isTokenMatch(received, expected) {
+  const a = Buffer.from(String(received ?? ''));
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function isTruthy(value) {
+  return value === true || value === 'true';
+}
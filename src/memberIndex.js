@@ -0,0 +1,516 @@
+import * as cheerio from 'cheerio';
+import { fetchHTML } from './webextract.js';
+import { readJSON, resolveDataPath, writeJSON } from './dataStore.js';
+import {
+  INDEX_BUILDING_ERROR,
+  INDEX_UNAVAILABLE_ERROR,
+  classifyLookupFailure,
+} from './upstream.js';
+
+const PRS_BASE_URL = 'https://prsindia.org';
+const INDEX_FILE = 'member-index.json';
+const INDEX_TTL = 7 * 24 * 60 * 60 * 1000;
+const MAX_LISTING_PAGES = 1000;
+const MATCH_THRESHOLD = 0.75;
+const CONTAINMENT_WEIGHT = 0.9;
+const SEARCH_THRESHOLD = 0.6;
+const PARTY_STOPWORDS = new Set(['of', 'the', 'and']);
+
+const LISTING_SOURCES = [
+  { type: 'MP', house: '18th-lok-sabha', url: `${PRS_BASE_URL}/mptrack/18th-lok-sabha` },
+  { type: 'MP', house: '17th-lok-sabha', url: `${PRS_BASE_URL}/mptrack/17th-lok-sabha` },
+  { type: 'MP', house: '16th-lok-sabha', url: `${PRS_BASE_URL}/mptrack/16th-lok-sabha` },
+  { type: 'RS', house: 'rajya-sabha', url: `${PRS_BASE_URL}/mptrack/rajya-sabha` },
+  { type: 'MLA', house: null, url: `${PRS_BASE_URL}/mlatrack` },
+];
+
+const LISTING_PATTERNS = {
+  MP: /^\/mptrack\/(\d+(?:st|nd|rd|th)-lok-sabha)\/([a-z0-9-]+)\/?$/,
+  RS: /^\/mptrack\/(rajya-sabha)\/([a-z0-9-]+)\/?$/,
+  MLA: /^\/mlatrack\/([a-z0-9-]+)\/?$/,
+};
+
+const HONORIFICS = new Set([
+  'dr',
+  'shri',
+  'sri',
+  'shree',
+  'smt',
+  'shrimati',
+  'srimati',
+  'kumari',
+  'km',
+  'ms',
+  'mr',
+  'mrs',
+  'prof',
+  'adv',
+  'advocate',
+  'sardar',
+  'thiru',
+  'selvi',
+  'sadhvi',
+  'swami',
+  'col',
+  'capt',
+  'retd',
+  'er',
+  'ca',
+  'hon',
+  'honble',
+]);
+
+let memoryIndex = null;
+let pendingBuild = null;
+
+export async function loadMemberIndex({ refresh = false, wait = true } = {}) {
+  if (!refresh && memoryIndex && !isStale(memoryIndex)) {
+    return memoryIndex;
+  }
+
+  if (!refresh && !memoryIndex) {
+    const stored = await readJSON(resolveDataPath(INDEX_FILE));
+    if (stored && Array.isArray(stored.members)) {
+      memoryIndex = stored;
+    }
+  }
+
+  if (!refresh && memoryIndex) {
+    if (isStale(memoryIndex)) {
+      console.log(`📚 [Index] Serving index built at ${memoryIndex.builtAt} while it rebuilds`);
+      startBuild().catch(err =>
+        console.log(`⚠️ [Index] Background rebuild failed: ${err.message}`)
+      );
+    }
+    return memoryIndex;
+  }
+
+  if (!wait) {
+    startBuild().catch(err => console.log(`⚠️ [Index] Background build failed: ${err.message}`));
+    throw createIndexError('Member index is not built yet', INDEX_BUILDING_ERROR);
+  }
+
+  return startBuild();
+}
+
+function startBuild() {
+  if (!pendingBuild) {
+    pendingBuild = buildMemberIndex().finally(() => {
+      pendingBuild = null;
+    });
+  }
+
+  return pendingBuild;
+}
+
+export async function buildMemberIndex() {
+  console.log('📚 [Index] Building member index from PRS listing pages...');
+  const startTime = Date.now();
+  const members = [];
+  const seen = new Set();
+  const attempts = [];
+  const truncatedSources = [];
+
+  for (const source of LISTING_SOURCES) {
+    let added = 0;
+    let stopped = null;
+
+    for (let page = 0; ; page++) {
+      if (page === MAX_LISTING_PAGES) {
+        stopped = `stopped after ${MAX_LISTING_PAGES} pages`;
+        break;
+      }
+
+      const url = page === 0 ? source.url : `${source.url}?page=${page}`;
+      const listing = await fetchHTML(url);
+      attempts.push({ url, status: listing.status, reason: listing.reason, source: 'index' });
+      if (listing.status === 'notFound' && page > 0) break;
+      if (listing.status !== 'ok') {
+        stopped = `page ${page} failed: ${listing.reason || listing.status}`;
+        break;
+      }
+
+      const entries = parseListingPage(listing.html, source);
+      const fresh = entries.filter(entry => !seen.has(entry.url));
+      if (fresh.length === 0) break;
+
+      for (const entry of fresh) {
+        seen.add(entry.url);
+        members.push(entry);
+      }
+      added += fresh.length;
+
+      if (!hasNextPage(listing.html, page)) break;
+    }
+
+    if (stopped) {
+      truncatedSources.push({
+        type: source.type,
+        house: source.house,
+        url: source.url,
+        members: added,
+        reason: stopped,
+      });
+      console.log(`  ⚠️ ${source.url}: ${added} members (incomplete, ${stopped})`);
+    } else {
+      console.log(`  ✅ ${source.url}: ${added} members`);
+    }
+  }
+
+  if (members.length === 0) {
+    throw createIndexError(
+      'Member index build returned no members',
+      classifyLookupFailure(attempts) || INDEX_UNAVAILABLE_ERROR
+    );
+  }
+
+  const index = {
+    builtAt: new Date().toISOString(),
+    truncated: truncatedSources.length > 0,
+    truncatedSources,
+    members,
+  };
+
+  await writeJSON(resolveDataPath(INDEX_FILE), index);
+  memoryIndex = index;
+
+  console.log(`📚 [Index] Indexed ${members.length} members in ${Date.now() - startTime}ms`);
+  return index;
+}
+
+function hasNextPage(html, page) {
+  const $ = cheerio.load(html);
+  const pager = $('.pager, .pagination, nav[role="navigation"]');
+  if (pager.length === 0) return true;
+
+  if ($('a[rel="next"], .pager__item--next a, .pager-next a, .next a').length > 0) return true;
+
+  return pager
+    .find('a[href*="page="]')
+    .toArray()
+    .some(
+      link =>
+        Number(
+          ($(link)
+            .attr('href')
+            .match(/[?&]page=(\d+)/) || [])[1]
+        ) > page
+    );
+}
+
+export function isIndexTruncated(index) {
+  return Boolean(index && index.truncated);
+}
+
+export function parseListingPage(html, source) {
+  const $ = cheerio.load(html);
+  const pattern = LISTING_PATTERNS[source.type];
+  const entries = [];
+
+  $('a[href]').each((i, link) => {
+    const href = $(link).attr('href');
+    let pathname;
+    try {
+      pathname = new URL(href, PRS_BASE_URL).pathname;
+    } catch (e) {
+      return;
+    }
+
+    const match = pathname.match(pattern);
+    const name = $(link).text().replace(/\s+/g, ' ').trim();
+    if (!match || !name) return;
+
+    const container = $(link).closest('.views-row, tr, li, article, .mp-card, .mla-card');
+
+    entries.push({
+      type: source.type,
+      name,
+      slug: match[match.length - 1],
+      house: source.type === 'MLA' ? source.house : match[1],
+      url: `${PRS_BASE_URL}${pathname.replace(/\/$/, '')}`,
+      state: readListingField($, container, 'State'),
+      constituency: readListingField($, container, 'Constituency'),
+      party: readListingField($, container, 'Party'),
+    });
+  });
+
+  return entries;
+}
+
+function readListingField($, container, label) {
+  if (!container || !container.length) return null;
+
+  let value = null;
+  container.find('.field-label, .views-label').each((i, elem) => {
+    if (!$(elem).text().includes(label)) return;
+
+    const field = $(elem).parent();
+    const text =
+      field.find('a, .field-content, .field-item').first().text().trim() ||
+      field.text().replace($(elem).text(), '').trim();
+
+    if (text) {
+      value = text
+        .replace(/^:\s*/, '')
+        .replace(/\(\s*\d+\s*more\s*(MPs?|MLAs?)\s*\)/gi, '')
+        .trim();
+      return false;
+    }
+  });
+
+  if (!value && label === 'Constituency') {
+    const text = container.find('.mp_constituency, .mla_constituency').first().text();
+    value = text.replace('Constituency :', '').trim() || null;
+  }
+
+  return value;
+}
+
+export async function findMembers(
+  name,
+  { type = null, state = null, limit = 10, wait = true } = {}
+) {
+  const index = await loadMemberIndex({ wait });
+  return rankMembers(index.members, name, { type, state, limit });
+}
+
+export function rankMembers(members, name, { type = null, state = null, limit = 10 } = {}) {
+  const queryTokens = tokenizeName(name);
+  if (queryTokens.length === 0) return [];
+
+  const wantedState = state ? normalizeText(state) : null;
+
+  return members
+    .filter(member => !type || member.type === type)
+    .filter(member => !wantedState || normalizeText(member.state) === wantedState)
+    .map(member => ({
+      ...member,
+      nameScore: tokenSetSimilarity(queryTokens, tokenizeName(member.name)),
+    }))
+    .filter(member => member.nameScore >= MATCH_THRESHOLD)
+    .sort((a, b) => b.nameScore - a.nameScore)
+    .slice(0, limit);
+}
+
+export async function searchMembers(
+  query,
+  { type = null, state = null, party = null, limit = 10 } = {}
+) {
+  const index = await loadMemberIndex({ wait: false });
+  return {
+    builtAt: index.builtAt,
+    stale: isStale(index),
+    truncated: isIndexTruncated(index),
+    members: rankSearchResults(index.members, query, { type, state, party, limit }),
+  };
+}
+
+export function rankSearchResults(
+  members,
+  query,
+  { type = null, state = null, party = null, limit = 10 } = {}
+) {
+  const queryTokens = tokenizeName(query);
+  if (queryTokens.length === 0) return [];
+
+  const wantedState = state ? normalizeText(state) : null;
+  const grouped = new Map();
+
+  for (const member of members) {
+    if (type && member.type !== type) continue;
+    if (wantedState && normalizeText(member.state) !== wantedState) continue;
+    if (party && !matchesParty(member.party, party)) continue;
+
+    const score = prefixSimilarity(queryTokens, tokenizeName(member.name));
+    if (score < SEARCH_THRESHOLD) continue;
+
+    const key = [
+      member.type,
+      member.slug,
+      normalizeText(member.state),
+      normalizeText(member.constituency),
+    ].join('|');
+    const existing = grouped.get(key);
+
+    if (!existing) {
+      grouped.set(key, { member, score, houses: [member.house].filter(Boolean) });
+    } else {
+      if (member.house) existing.houses.push(member.house);
+      if (compareHouses(member.house, existing.member.house) < 0) existing.member = member;
+    }
+  }
+
+  return [...grouped.values()]
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        compareHouses(a.member.house, b.member.house) ||
+        a.member.name.localeCompare(b.member.name)
+    )
+    .slice(0, limit)
+    .map(({ member, score, houses }) => ({
+      name: member.name,
+      type: member.type,
+      constituency: member.constituency,
+      state: member.state,
+      party: member.party,
+      house: member.house,
+      houses: houses.sort(compareHouses),
+      url: member.url,
+      score: Number(score.toFixed(2)),
+    }));
+}
+
+function prefixSimilarity(queryTokens, candidateTokens) {
+  if (candidateTokens.length === 0) return 0;
+
+  const remaining = [...candidateTokens];
+  let total = 0;
+
+  for (const token of queryTokens) {
+    let bestScore = 0;
+    let bestIndex = -1;
+
+    remaining.forEach((candidate, index) => {
+      const score =
+        candidate.startsWith(token) && token.length < candidate.length
+          ? 0.85 + 0.15 * (token.length / candidate.length)
+          : tokenSimilarity(token, candidate);
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    if (bestIndex === -1) return 0;
+
+    total += bestScore;
+    remaining.splice(bestIndex, 1);
+  }
+
+  const coverage = queryTokens.length / candidateTokens.length;
+  return (total / queryTokens.length) * (0.9 + 0.1 * Math.min(coverage, 1));
+}
+
+export function matchesParty(memberParty, wanted) {
+  const party = normalizeText(memberParty);
+  const query = normalizeText(wanted);
+  if (!party || !query) return false;
+
+  const acronym = party
+    .split(' ')
+    .filter(word => !PARTY_STOPWORDS.has(word))
+    .map(word => word[0])
+    .join('');
+
+  return party.includes(query) || acronym === query.replace(/ /g, '');
+}
+
+function compareHouses(a, b) {
+  return (parseInt(b, 10) || 0) - (parseInt(a, 10) || 0);
+}
+
+export function tokenizeName(name) {
+  return normalizeText(name)
+    .split(' ')
+    .filter(token => token && !HONORIFICS.has(token));
+}
+
+function normalizeText(value) {
+  return (value || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+export function tokenSetSimilarity(queryTokens, candidateTokens) {
+  if (queryTokens.length === 0 || candidateTokens.length === 0) return 0;
+
+  const remaining = [...candidateTokens];
+  let total = 0;
+
+  for (const token of queryTokens) {
+    let bestScore = 0;
+    let bestIndex = -1;
+
+    remaining.forEach((candidate, index) => {
+      const score = tokenSimilarity(token, candidate);
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    if (bestIndex !== -1) {
+      total += bestScore;
+      remaining.splice(bestIndex, 1);
+    }
+  }
+
+  const dice = (2 * total) / (queryTokens.length + candidateTokens.length);
+  if (queryTokens.length < 2) return dice;
+
+  const containment = total / queryTokens.length;
+  return Math.max(dice, CONTAINMENT_WEIGHT * containment);
+}
+
+export function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length === 1 || b.length === 1) {
+    return a[0] === b[0] ? 0.8 : 0;
+  }
+
+  if (phoneticKey(a) === phoneticKey(b)) return 0.9;
+
+  const distance = editDistance(a, b);
+  const similarity = 1 - distance / Math.max(a.length, b.length);
+  return similarity >= 0.75 ? similarity : 0;
+}
+
+function phoneticKey(token) {
+  return token
+    .replace(/oo|ou/g, 'u')
+    .replace(/ee|ie/g, 'i')
+    .replace(/aa/g, 'a')
+    .replace(/([bcdgkpt])h/g, '$1')
+    .replace(/sh/g, 's')
+    .replace(/w/g, 'v')
+    .replace(/z/g, 'j')
+    .replace(/q/g, 'k')
+    .replace(/(.)\1+/g, '$1')
+    .replace(/[aeiouy]+$/, '');
+}
+
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+function createIndexError(message, failure) {
+  const err = new Error(message);
+  err.failure = failure;
+  return err;
+}
+
+function isStale(index) {
+  const builtAt = Date.parse(index.builtAt);
+  return !builtAt || Date.now() - builtAt > INDEX_TTL;
+}
@@ -0,0 +1,349 @@
+import * as cheerio from 'cheerio';
+import { fetchHTML } from './webextract.js';
+import { tokenSetSimilarity, tokenizeName } from './memberIndex.js';
+import { normalizePlace, placeSimilarity } from './places.js';
+
+const MYNETA_BASE_URL = 'https://myneta.info';
+const NAME_MATCH_THRESHOLD = 0.75;
+const PLACE_MATCH_THRESHOLD = 0.85;
+
+const LOK_SABHA_ELECTIONS = {
+  '18th-lok-sabha': 'LokSabha2024',
+  '17th-lok-sabha': 'LokSabha2019',
+  '16th-lok-sabha': 'LokSabha2014',
+};
+
+const ASSEMBLY_ELECTIONS = {
+  'andhra pradesh': 'AndhraPradesh',
+  'arunachal pradesh': 'ArunachalPradesh',
+  assam: 'Assam',
+  bihar: 'Bihar',
+  chhattisgarh: 'Chhattisgarh',
+  delhi: 'Delhi',
+  goa: 'Goa',
+  gujarat: 'Gujarat',
+  haryana: 'Haryana',
+  'himachal pradesh': 'HimachalPradesh',
+  'jammu and kashmir': 'JammuKashmir',
+  'jammu kashmir': 'JammuKashmir',
+  jharkhand: 'Jharkhand',
+  karnataka: 'Karnataka',
+  kerala: 'Kerala',
+  'madhya pradesh': 'MadhyaPradesh',
+  maharashtra: 'Maharashtra',
+  manipur: 'Manipur',
+  meghalaya: 'Meghalaya',
+  mizoram: 'Mizoram',
+  nagaland: 'Nagaland',
+  odisha: 'Odisha',
+  puducherry: 'Puducherry',
+  punjab: 'Punjab',
+  rajasthan: 'Rajasthan',
+  sikkim: 'Sikkim',
+  'tamil nadu': 'TamilNadu',
+  telangana: 'Telangana',
+  tripura: 'Tripura',
+  'uttar pradesh': 'UttarPradesh',
+  uttarakhand: 'Uttarakhand',
+  'west bengal': 'WestBengal',
+};
+
+export async function getAffidavit(member, { sourceUrl = null } = {}) {
+  const elections = getElectionPrefixes(member, sourceUrl);
+  if (elections.length === 0) {
+    console.log(`⚠️ [MyNeta] Cannot determine election for ${member.name}`);
+    return null;
+  }
+
+  console.log(`🧾 [MyNeta] Looking up affidavit for ${member.name} (${elections.join(', ')})`);
+
+  const search = await fetchHTML(
+    `${MYNETA_BASE_URL}/search_myneta.php?q=${encodeURIComponent(member.name)}`
+  );
+  if (search.status !== 'ok') {
+    console.log(`⚠️ [MyNeta] Search page unavailable (${search.status})`);
+    return null;
+  }
+
+  const candidate = pickCandidate(parseSearchResults(search.html), member, elections);
+  if (!candidate) {
+    console.log(`❌ [MyNeta] No affidavit match for ${member.name}`);
+    return null;
+  }
+
+  const page = await fetchHTML(candidate.url);
+  if (page.status !== 'ok') {
+    console.log(`⚠️ [MyNeta] Candidate page unavailable (${page.status}): ${candidate.url}`);
+    return null;
+  }
+
+  const affidavit = parseAffidavitPage(page.html);
+  console.log(`✅ [MyNeta] Affidavit parsed: ${candidate.url}`);
+
+  return {
+    source: 'MyNeta',
+    url: candidate.url,
+    election: candidate.election,
+    candidateName: affidavit.candidateName || candidate.name,
+    ...affidavit,
+  };
+}
+
+function getElectionPrefixes(member, sourceUrl) {
+  if (member.type === 'MP') {
+    const house = Object.keys(LOK_SABHA_ELECTIONS).find(h => sourceUrl?.includes(h));
+    if (house) return [LOK_SABHA_ELECTIONS[house]];
+
+    const year = extractYear(member.termStart);
+    return year ? [`LokSabha${year}`] : Object.values(LOK_SABHA_ELECTIONS);
+  }
+
+  if (member.type === 'RS') return [];
+
+  const stateSlug = ASSEMBLY_ELECTIONS[normalizePlace(member.state)];
+  if (!stateSlug) return [];
+
+  const year = extractYear(member.termStart);
+  return [year ? `${stateSlug}${year}` : stateSlug];
+}
+
+function extractYear(value) {
+  const match = String(value || '').match(/\b(19|20)\d{2}\b/);
+  return match ? match[0] : null;
+}
+
+export function parseSearchResults(html) {
+  const $ = cheerio.load(html);
+  const results = [];
+
+  $('table tr').each((i, row) => {
+    const link = $(row).find('a[href*="candidate.php"]').first();
+    if (!link.length) return;
+
+    let url;
+    try {
+      url = new URL(link.attr('href'), `${MYNETA_BASE_URL}/`).href;
+    } catch (e) {
+      return;
+    }
+
+    const cells = $(row)
+      .find('td')
+      .map((j, td) => $(td).text().replace(/\s+/g, ' ').trim())
+      .get();
+
+    results.push({
+      name: link.text().replace(/\s+/g, ' ').trim(),
+      url,
+      election: new URL(url).pathname.split('/').filter(Boolean)[0] || null,
+      cells,
+    });
+  });
+
+  return results;
+}
+
+function pickCandidate(results, member, elections) {
+  const queryTokens = tokenizeName(member.name);
+
+  if (!member.constituency && member.type !== 'MLA') return null;
+
+  const scored = results
+    .filter(
+      r => r.election && elections.some(e => r.election.toLowerCase().startsWith(e.toLowerCase()))
+    )
+    .map(r => ({
+      ...r,
+      nameScore: tokenSetSimilarity(queryTokens, tokenizeName(r.name)),
+      placeScore: member.constituency
+        ? Math.max(0, ...r.cells.map(cell => placeSimilarity(cell, member.constituency)))
+        : 0,
+    }))
+    .filter(r => r.nameScore >= NAME_MATCH_THRESHOLD)
+    .filter(r => !member.constituency || r.placeScore >= PLACE_MATCH_THRESHOLD)
+    .sort(
+      (a, b) =>
+        b.election.localeCompare(a.election) ||
+        b.placeScore - a.placeScore ||
+        b.nameScore - a.nameScore
+    );
+
+  const [best, runnerUp] = scored;
+  if (
+    runnerUp &&
+    runnerUp.url !== best.url &&
+    runnerUp.election === best.election &&
+    runnerUp.placeScore === best.placeScore &&
+    runnerUp.nameScore === best.nameScore
+  ) {
+    console.log(`⚠️ [MyNeta] ${member.name} matches more than one candidate in ${best.election}`);
+    return null;
+  }
+
+  return best || null;
+}
+
+export function parseAffidavitPage(html) {
+  const $ = cheerio.load(html);
+
+  return {
+    candidateName: $('h2').first().text().replace(/\s+/g, ' ').trim() || null,
+    assets: extractAmount($, 'Assets'),
+    liabilities: extractAmount($, 'Liabilities'),
+    criminalCases: extractCriminalCases($),
+    education: extractAffidavitEducation($),
+    panItr: extractPanItr($),
+  };
+}
+
+function extractAmount($, label) {
+  let result = { total: null, display: null };
+
+  $('td, div').each((i, elem) => {
+    const own = $(elem).clone().children().remove().end().text().trim();
+    if (!new RegExp(`^${label}\\s*:?$`, 'i').test(own)) return;
+
+    const valueText = $(elem).is('td')
+      ? $(elem).next('td').text()
+      : $(elem).text().replace(own, '');
+    const display = valueText.replace(/\s+/g, ' ').trim();
+
+    if (display) {
+      result = { total: parseRupees(display), display };
+      return false;
+    }
+  });
+
+  return result;
+}
+
+function extractCriminalCases($) {
+  const cases = [];
+  const noCases = /no criminal cases/i.test($('body').text());
+
+  $('table').each((i, table) => {
+    const headers = $(table)
+      .find('tr')
+      .first()
+      .find('th, td')
+      .map((j, cell) => $(cell).text().trim().toLowerCase())
+      .get();
+    const ipcCol = headers.findIndex(h => h.includes('ipc sections'));
+    if (ipcCol === -1) return;
+
+    const firCol = headers.findIndex(h => h.includes('fir no'));
+    const caseCol = headers.findIndex(h => h.includes('case no'));
+    const courtCol = headers.findIndex(h => h.includes('court'));
+    const otherCol = headers.findIndex(h => h.includes('other') && h.includes('act'));
+    const convicted = /convict/i.test($(table).prevAll('h3, h4, b').first().text());
+
+    $(table)
+      .find('tr')
+      .slice(1)
+      .each((j, row) => {
+        const cells = $(row)
+          .find('td')
+          .map((k, td) => $(td).text().replace(/\s+/g, ' ').trim())
+          .get();
+        if (cells.length <= ipcCol) return;
+
+        cases.push({
+          firNo: cells[firCol] || null,
+          caseNo: cells[caseCol] || null,
+          court: cells[courtCol] || null,
+          ipcSections: parseIpcSections(cells[ipcCol]),
+          otherActs: cells[otherCol] || null,
+          convicted,
+        });
+      });
+  });
+
+  return {
+    count: cases.length,
+    declaredNone: noCases && cases.length === 0,
+    ipcSections: [...new Set(cases.flatMap(c => c.ipcSections))],
+    cases,
+  };
+}
+
+function parseIpcSections(text) {
+  return (String(text || '').match(/\b\d{1,3}[A-Z]{0,2}(?:\(\d+\))?/g) || []).filter(
+    (section, index, all) => all.indexOf(section) === index
+  );
+}
+
+function extractAffidavitEducation($) {
+  let education = { category: null, details: null };
+
+  $('h3').each((i, heading) => {
+    if (!/educational details/i.test($(heading).text())) return;
+
+    const block = $(heading).nextUntil('h3');
+    block.find('br').replaceWith('\n');
+
+    const lines = block
+      .text()
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+    const categoryLine = lines.find(line => /^Category\s*:/i.test(line));
+
+    education = {
+      category: categoryLine ? categoryLine.replace(/^Category\s*:\s*/i, '') || null : null,
+      details: lines.filter(line => line !== categoryLine).join('; ') || null,
+    };
+    return false;
+  });
+
+  return education;
+}
+
+function extractPanItr($) {
+  const rows = [];
+
+  $('table').each((i, table) => {
+    const headers = $(table)
+      .find('tr')
+      .first()
+      .find('th, td')
+      .map((j, cell) => $(cell).text().trim().toLowerCase())
+      .get();
+    const panCol = headers.findIndex(h => h.includes('pan given'));
+    if (panCol === -1) return;
+
+    const relationCol = headers.findIndex(h => h.includes('relation'));
+    const yearCol = headers.findIndex(h => h.includes('financial year'));
+    const incomeCol = headers.findIndex(h => h.includes('income'));
+
+    $(table)
+      .find('tr')
+      .slice(1)
+      .each((j, row) => {
+        const cells = $(row)
+          .find('td')
+          .map((k, td) => $(td).text().replace(/\s+/g, ' ').trim())
+          .get();
+        if (cells.length <= panCol) return;
+
+        rows.push({
+          relation: cells[relationCol] || null,
+          panGiven: /^y/i.test(cells[panCol]),
+          financialYear: cells[yearCol] || null,
+          totalIncome: parseRupees(cells[incomeCol]),
+        });
+      });
+
+    return false;
+  });
+
+  return rows;
+}
+
+export function parseRupees(text) {
+  const match =
+    String(text || '').match(/Rs\.?\s*([\d,]+)/i) || String(text || '').match(/^\s*([\d,]+)/);
+  if (!match) return null;
+
+  const value = Number(match[1].replace(/,/g, ''));
+  return Number.isFinite(value) ? value : null;
+}
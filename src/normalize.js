@@ -0,0 +1,111 @@
+import { toNumber } from './numbers.js';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+export const PERFORMANCE_FIELDS = [
+  'attendance',
+  'natAttendance',
+  'stateAttendance',
+  'debates',
+  'natDebates',
+  'stateDebates',
+  'questions',
+  'natQuestions',
+  'stateQuestions',
+  'pmb',
+  'natPMB',
+  'statePMB',
+];
+
+const PERFORMANCE_UNITS = {
+  attendance: 'percent',
+  debates: 'count',
+  questions: 'count',
+  pmb: 'count',
+};
+
+export function normalizeMember(data, sources = {}) {
+  const normalized = {
+    age: normalizeInteger(data.age, 'years'),
+    noOfTerm: normalizeInteger(data.noOfTerm, 'terms'),
+    termStart: normalizeDate(data.termStart),
+    termEnd: normalizeDate(data.termEnd),
+  };
+
+  for (const field of PERFORMANCE_FIELDS) {
+    normalized[field] = normalizeMetric(data[field], unitFor(field), sources[field]);
+  }
+
+  return normalized;
+}
+
+function normalizeMetric(raw, unit, source) {
+  const value = toNumber(raw);
+  const resolvedSource = source || (value !== null ? 'page' : 'missing');
+
+  return {
+    value: resolvedSource === 'not-published' ? null : value,
+    unit,
+    available: resolvedSource === 'page' && value !== null,
+    source: resolvedSource,
+  };
+}
+
+function normalizeInteger(raw, unit) {
+  const match = String(raw ?? '').match(/\d+/);
+  const value = match ? parseInt(match[0], 10) : null;
+
+  return { value, unit, available: value !== null };
+}
+
+function normalizeDate(raw) {
+  const value = parseDate(raw);
+  const inOffice = /in office|present|till date/i.test(String(raw ?? ''));
+
+  return {
+    value,
+    unit: 'date',
+    available: value !== null,
+    ...(inOffice && { inOffice: true }),
+  };
+}
+
+function unitFor(field) {
+  const base = field.replace(/^(nat|state)/, '');
+  return PERFORMANCE_UNITS[base.toLowerCase()] || 'count';
+}
+
+export function parseDate(value) {
+  const text = String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/,/g, ' ')
+    .replace(/\s+/g, ' ');
+  if (!text) return null;
+
+  let day, month, year;
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/))) {
+    [, day, month, year] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2}) ([a-z]{3})[a-z]* (\d{4})$/))) {
+    day = Number(match[1]);
+    month = MONTHS.indexOf(match[2]) + 1;
+    year = Number(match[3]);
+  } else if ((match = text.match(/^([a-z]{3})[a-z]* (\d{1,2}) (\d{4})$/))) {
+    month = MONTHS.indexOf(match[1]) + 1;
+    day = Number(match[2]);
+    year = Number(match[3]);
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (!month || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date.toISOString().slice(0, 10);
+}
@@ -0,0 +1,8 @@
+export function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  const cleaned = String(value ?? '').replace(/[,%\s]/g, '');
+  if (!cleaned || !/^-?\d*\.?\d+$/.test(cleaned)) return null;
+
+  return Number(cleaned);
+}
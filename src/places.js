@@ -0,0 +1,212 @@
+import { tokenSimilarity } from './memberIndex.js';
+import { LOK_SABHA_HOUSES } from './history.js';
+
+const SEAT_MATCH_THRESHOLD = 0.85;
+const STATE_MATCH_THRESHOLD = 0.8;
+
+const PLACE_ALIASES = {
+  allahabad: 'prayagraj',
+  banaras: 'varanasi',
+  bangalore: 'bengaluru',
+  baroda: 'vadodara',
+  belgaum: 'belagavi',
+  benares: 'varanasi',
+  bombay: 'mumbai',
+  calcutta: 'kolkata',
+  cawnpore: 'kanpur',
+  gulbarga: 'kalaburagi',
+  gurgaon: 'gurugram',
+  madras: 'chennai',
+  mangalore: 'mangaluru',
+  mysore: 'mysuru',
+  orissa: 'odisha',
+  pondicherry: 'puducherry',
+  poona: 'pune',
+  trichy: 'tiruchirappalli',
+  trivandrum: 'thiruvananthapuram',
+  uttaranchal: 'uttarakhand',
+};
+
+const SEAT_TYPES = {
+  MP: 'parliamentary',
+  MLA: 'assembly',
+};
+const SEAT_ORDER = ['parliamentary', 'assembly'];
+
+export function normalizePlace(value) {
+  return (value || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\((sc|st)\)/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/^nct of /, '')
+    .replace(/ (sc|st)$/, '')
+    .trim()
+    .split(' ')
+    .map(token => PLACE_ALIASES[token] || token)
+    .join(' ');
+}
+
+export function placeSimilarity(actual, expected) {
+  const a = normalizePlace(actual);
+  const b = normalizePlace(expected);
+
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (a.replace(/ /g, '') === b.replace(/ /g, '')) return 0.95;
+  if (a.includes(b) || b.includes(a)) return 0.8;
+
+  const tokensA = a.split(' ');
+  const remaining = b.split(' ');
+  const total = remaining.length;
+  let matched = 0;
+
+  for (const token of tokensA) {
+    let bestScore = 0;
+    let bestIndex = -1;
+
+    remaining.forEach((candidate, index) => {
+      const score = tokenSimilarity(token, candidate);
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    if (bestIndex !== -1) {
+      matched += bestScore;
+      remaining.splice(bestIndex, 1);
+    }
+  }
+
+  return (2 * matched) / (tokensA.length + total);
+}
+
+export function isSittingMember(member) {
+  return member.type === 'MLA' || member.type === 'RS' || member.house === LOK_SABHA_HOUSES[0];
+}
+
+export function resolveState(members, state) {
+  const states = [...new Set(members.map(member => member.state).filter(Boolean))];
+  let best = null;
+  let tied = false;
+
+  for (const candidate of states) {
+    const score = placeSimilarity(candidate, state);
+    if (score < STATE_MATCH_THRESHOLD) continue;
+
+    if (!best || score > best.score) {
+      best = { state: candidate, score };
+      tied = false;
+    } else if (score === best.score) {
+      tied = true;
+    }
+  }
+
+  return tied ? null : best?.state || null;
+}
+
+export function matchSeats(members, { constituency, state = null, type = null }) {
+  const wantedState = state ? resolveState(members, state) : null;
+
+  if (state && !wantedState) {
+    return { seats: [], ambiguous: false };
+  }
+
+  const matches = members
+    .filter(isSittingMember)
+    .filter(member => SEAT_TYPES[member.type])
+    .filter(member => !type || member.type === type)
+    .filter(member => !wantedState || member.state === wantedState)
+    .map(member => ({ member, score: placeSimilarity(member.constituency, constituency) }))
+    .filter(match => match.score >= SEAT_MATCH_THRESHOLD);
+
+  const bestBySeat = new Map();
+  for (const match of matches) {
+    const key = `${match.member.type}|${match.member.state}`;
+    const best = bestBySeat.get(key);
+    if (!best || match.score > best[0].score) {
+      bestBySeat.set(key, [match]);
+    } else if (match.score === best[0].score) {
+      best.push(match);
+    }
+  }
+
+  const seats = [...bestBySeat.values()].flat().map(({ member, score }) => ({
+    seatType: SEAT_TYPES[member.type],
+    constituency: member.constituency,
+    state: member.state,
+    placeScore: Number(score.toFixed(2)),
+    member,
+  }));
+
+  const seatStates = [...new Set(seats.map(seat => seat.state))];
+
+  if (seatStates.length > 1) {
+    return {
+      seats,
+      ambiguous: true,
+      candidates: seatStates.map(seatState => ({
+        state: seatState,
+        constituencies: [
+          ...new Set(seats.filter(s => s.state === seatState).map(s => s.constituency)),
+        ],
+        seatTypes: [...new Set(seats.filter(s => s.state === seatState).map(s => s.seatType))],
+      })),
+    };
+  }
+
+  return {
+    seats: seats.sort((a, b) => SEAT_ORDER.indexOf(a.seatType) - SEAT_ORDER.indexOf(b.seatType)),
+    ambiguous: false,
+  };
+}
+
+export function buildDelegation(members, state, type = null) {
+  const resolvedState = resolveState(members, state);
+  if (!resolvedState) return null;
+
+  const delegation = members
+    .filter(isSittingMember)
+    .filter(member => member.state === resolvedState)
+    .filter(member => !type || member.type === type)
+    .sort(
+      (a, b) =>
+        (a.constituency || '').localeCompare(b.constituency || '') || a.name.localeCompare(b.name)
+    );
+
+  const group = memberType =>
+    delegation
+      .filter(member => member.type === memberType)
+      .map(member => ({
+        name: member.name,
+        constituency: member.constituency,
+        party: member.party,
+        house: member.house,
+        url: member.url,
+      }));
+
+  const countParties = list =>
+    list.reduce((counts, member) => {
+      const party = member.party || 'Unknown';
+      counts[party] = (counts[party] || 0) + 1;
+      return counts;
+    }, {});
+
+  const mps = group('MP');
+  const rajyaSabha = group('RS');
+  const mlas = group('MLA');
+
+  return {
+    state: resolvedState,
+    house: LOK_SABHA_HOUSES[0],
+    members: { MP: mps, RS: rajyaSabha, MLA: mlas },
+    counts: {
+      MP: mps.length,
+      RS: rajyaSabha.length,
+      MLA: mlas.length,
+      byParty: { MP: countParties(mps), RS: countParties(rajyaSabha), MLA: countParties(mlas) },
+    },
+  };
+}
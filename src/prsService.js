@@ -1,43 +1,367 @@
 import * as cheerio from 'cheerio';
 import pLimit from 'p-limit';
 import { fetchHTML } from './webextract.js';
+import { findMembers, isIndexTruncated, loadMemberIndex, tokenSetSimilarity, tokenizeName } from './memberIndex.js';
+import { buildDelegation, matchSeats, normalizePlace, placeSimilarity } from './places.js';
+import { ACTIVITY_SECTION, ASSEMBLY_METRICS, matchAssemblyMetric, recordAssemblyCoverage } from './assemblies.js';
+import { getAffidavit } from './myneta.js';
+import { analyzeMember } from './analysis.js';
+import { toNumber } from './numbers.js';
+import { PERFORMANCE_FIELDS, normalizeMember, parseDate } from './normalize.js';
+import { LOK_SABHA_HOUSES, RAJYA_SABHA_HOUSE, buildCareerHistory, getHouseFromUrl } from './history.js';
+import { SCHEMA_VERSION, validateMember } from './schema.js';
+import { createExtractionHealth, summarizeExtractionHealth } from './extractionHealth.js';
+import { RESULT_TTL, createEntry, getCache, isFresh } from './cache.js';
+import { getSnapshotMode } from './snapshots.js';
+import { classifyLookupFailure } from './upstream.js';
+import { recordMemberSnapshot } from './changes.js';
+
+const PRS_BASE_URL = 'https://prsindia.org';
+
+const FETCH_CONCURRENCY = 4;
+const limit = pLimit(FETCH_CONCURRENCY);
+
+const CONSTITUENCY_WEIGHT = 0.6;
+const STATE_WEIGHT = 0.4;
+const HIGH_CONFIDENCE_SCORE = 0.9;
+const MEDIUM_CONFIDENCE_SCORE = 0.6;
+const AMBIGUITY_MARGIN = 0.15;
+const MAX_INDEX_CANDIDATES = 5;
+const HISTORY_NAME_SCORE = 0.9;
+const HISTORY_CONSTITUENCY_SCORE = 0.95;
+const HISTORY_CONTINUITY_SCORE = 0.8;
+
+const MEMBER_PAGE_MARKERS = {
+  MP: {
+    bodyClass: /^node-type-mp/,
+    path: /^\/mptrack\/\d+(?:st|nd|rd|th)-lok-sabha\/[^/]+\/?$/,
+    selectors: ['.mp-basic-info', '.mp_state', '.mp_constituency', '.mp-attendance', '.mp-debate', '.mp-questions']
+  },
+  RS: {
+    bodyClass: /^node-type-(rs|rajya-sabha)/,
+    path: /^\/mptrack\/rajya-sabha\/[^/]+\/?$/,
+    selectors: ['.mp-basic-info', '.mp_state', '.mp-attendance', '.mp-debate', '.mp-questions'],
+    selectorsNeedPath: true
+  },
+  MLA: {
+    bodyClass: /^node-type-mla/,
+    path: /^\/mlatrack\/[^/]+\/?$/,
+    selectors: ['.mla_state', '.mla_constituency', '.field-name-field-mla-name']
+  }
+};
 
-const limit = pLimit(8);
+export const ALTERNATE_TYPES = {
+  MP: ['RS', 'MLA'],
+  RS: ['MP'],
+  MLA: ['MP']
+};
 
-export async function getPRSData(name, type, constituency = null, state = null) {
-  console.log(`🔍 [PRS] Fetching ${name} (${type})`);
+export async function getPRSData(name, type, constituency = null, state = null, options = {}) {
+  if (!name) {
+    return lookupByPlace(type, constituency, state, options);
+  }
+  
+  const cache = getCache();
+  const cacheKey = getResultCacheKey(name, type, constituency, state, options);
+  const useResultCache = getSnapshotMode() !== 'replay';
+  
+  if (!options.refresh && useResultCache) {
+    const cached = await cache.get(cacheKey);
+    
+    if (isFresh(cached)) {
+      console.log(`💾 [PRS] Serving ${name} (${type}) from cache`);
+      return {
+        ...cached.value,
+        cache: {
+          hit: true,
+          storedAt: new Date(cached.storedAt).toISOString(),
+          expiresAt: new Date(cached.expiresAt).toISOString()
+        }
+      };
+    }
+  }
+  
+  const result = await lookupPRSData(name, type, constituency, state, options);
+  
+  if (result.found && options.includeAffidavit !== false) {
+    result.data.affidavit = await lookupAffidavit(result);
+  }
+  
+  if (result.found && options.history) {
+    result.data.history = await collectHistory(result, options);
+  }
+  
+  if (result.found && options.includeAnalysis !== false) {
+    result.data.analysis = await analyzeMember(result.data);
+  }
+  
+  if (result.found) {
+    const { extractionHealth } = result;
+    
+    if (extractionHealth && extractionHealth.status !== 'ok') {
+      console.log(`⚠️ [PRS] Extraction ${extractionHealth.status}: empty [${extractionHealth.emptyFields.join(', ')}], fallback [${extractionHealth.fallbackFields.join(', ')}]`);
+    }
+    
+    result.validation = validateMember(result.data);
+    
+    if (!result.validation.valid) {
+      console.log(`⚠️ [PRS] Payload failed schema ${SCHEMA_VERSION}: ${result.validation.errors.join('; ')}`);
+    }
+  }
+  
+  if (result.found) {
+    await recordMemberSnapshot(result.sourceUrl, result.data, { extractionStatus: result.extractionHealth?.status });
+    await recordAssemblyCoverage(result.sourceUrl, result.data.performanceCoverage);
+  }
+  
+  if (result.found && useResultCache) {
+    await cache.set(cacheKey, createEntry(result, RESULT_TTL));
+  }
+  
+  return { ...result, cache: { hit: false } };
+}
+
+async function lookupByPlace(type, constituency, state, options) {
+  const mode = constituency ? 'constituency' : 'state';
+  console.log(`📍 [PRS] Looking up by ${mode}: ${[constituency, state].filter(Boolean).join(', ')}${type ? ` (${type})` : ''}`);
+  
+  let index;
+  try {
+    index = await loadMemberIndex({ wait: false });
+  } catch (err) {
+    if (!err.failure) throw err;
+    console.log(`⚠️ [PRS] Member index unavailable: ${err.message}`);
+    return { found: false, mode, error: err.failure };
+  }
+  
+  if (mode === 'state') {
+    const delegation = buildDelegation(index.members, state, type);
+    
+    return delegation
+      ? { found: true, mode, delegation, indexBuiltAt: index.builtAt, indexTruncated: isIndexTruncated(index) }
+      : { found: false, mode, indexTruncated: isIndexTruncated(index) };
+  }
+  
+  const match = matchSeats(index.members, { constituency, state, type });
+  
+  if (match.ambiguous) {
+    console.log(`⚠️ [PRS] "${constituency}" matches seats in ${match.candidates.length} states`);
+    return { found: false, mode, ambiguous: true, candidates: match.candidates };
+  }
+  
+  if (match.seats.length === 0) {
+    return { found: false, mode, indexTruncated: isIndexTruncated(index) };
+  }
+  
+  const seats = await Promise.all(match.seats.map(async seat => {
+    const { member, ...details } = seat;
+    const result = await getPRSData(member.name, member.type, member.constituency, member.state, options);
+    
+    return {
+      ...details,
+      found: result.found,
+      data: result.data,
+      sourceUrl: result.sourceUrl || member.url,
+      match: result.match,
+      validation: result.validation,
+      extractionHealth: result.extractionHealth,
+      fromCache: Boolean(result.cache?.hit),
+      ...(result.error && { error: result.error })
+    };
+  }));
+  
+  return {
+    found: seats.some(seat => seat.found),
+    mode,
+    seats,
+    indexBuiltAt: index.builtAt,
+    indexTruncated: isIndexTruncated(index)
+  };
+}
+
+function getResultCacheKey(name, type, constituency, state, options) {
+  const parts = [type, name, constituency, state].map(v => (v || '').trim().toLowerCase());
+  const flags = [
+    options.includeHtml && 'html',
+    options.includeAffidavit === false && 'noaffidavit',
+    options.includeAnalysis === false && 'noanalysis',
+    options.history && 'history',
+    getSnapshotMode() === 'offline' && 'offline'
+  ];
+  return `result:${[...parts, ...flags.filter(Boolean)].join('|')}`;
+}
+
+async function collectHistory(result, options) {
+  const current = { url: result.sourceUrl, data: result.data };
+  const location = getHouseFromUrl(result.sourceUrl);
+  
+  if (result.data.type !== 'MP' || !location) {
+    return buildCareerHistory([current]);
+  }
+  
+  console.log(`📜 [PRS] Collecting term history for ${result.data.name}`);
+  
+  const urls = new Set(
+    LOK_SABHA_HOUSES
+      .filter(house => house !== location.house)
+      .map(house => `${PRS_BASE_URL}/mptrack/${house}/${location.slug}`)
+  );
   
   try {
-    const result = await tryFetchWithType(name, type, false);
+    const matches = await findMembers(result.data.name, { type: 'MP', wait: false });
+    for (const match of matches) {
+      if (match.house !== location.house && match.nameScore >= HISTORY_NAME_SCORE &&
+          placeSimilarity(match.state, result.data.state) === 1) {
+        urls.add(match.url);
+      }
+    }
+  } catch (err) {
+    console.log(`⚠️ [PRS] Member index unavailable for history: ${err.message}`);
+  }
+  
+  const progress = { checked: 0, total: urls.size };
+  const found = await fetchCandidates([...urls], 'MP', { ...options, includeHtml: false }, progress);
+  
+  const termsByHouse = new Map([[location.house, current]]);
+  const nameTokens = tokenizeName(result.data.name);
+  const ranked = found
+    .map(candidate => ({
+      candidate,
+      house: getHouseFromUrl(candidate.url)?.house,
+      nameScore: tokenSetSimilarity(nameTokens, tokenizeName(candidate.data.name))
+    }))
+    .filter(entry => entry.house && placeSimilarity(entry.candidate.data.state, result.data.state) === 1)
+    .sort((a, b) => houseDistance(a.house, location.house) - houseDistance(b.house, location.house) ||
+      b.nameScore - a.nameScore);
+  
+  for (const { candidate, house, nameScore } of ranked) {
+    if (termsByHouse.has(house)) continue;
+    
+    const continuity = Math.max(...[...termsByHouse.values()]
+      .map(term => placeSimilarity(candidate.data.constituency, term.data.constituency)));
     
-    if (result.found) {
-      result.searchedAs = type;
-      result.foundAs = type;
-      return result;
+    if (continuity >= HISTORY_CONSTITUENCY_SCORE ||
+        (nameScore >= HISTORY_NAME_SCORE && continuity >= HISTORY_CONTINUITY_SCORE)) {
+      termsByHouse.set(house, candidate);
     }
+  }
+  
+  console.log(`📜 [PRS] Found ${termsByHouse.size} term(s) for ${result.data.name}`);
+  return buildCareerHistory([...termsByHouse.values()]);
+}
 
-    const alternateType = type === 'MLA' ? 'MP' : 'MLA';
+function houseDistance(house, from) {
+  return Math.abs(LOK_SABHA_HOUSES.indexOf(house) - LOK_SABHA_HOUSES.indexOf(from));
+}
+
+async function lookupAffidavit(result) {
+  try {
+    return await getAffidavit(result.data, { sourceUrl: result.sourceUrl });
+  } catch (err) {
+    console.error(`❌ [PRS] Affidavit lookup failed: ${err.message}`);
+    return null;
+  }
+}
+
+async function lookupPRSData(name, type, constituency, state, options) {
+  console.log(`🔍 [PRS] Fetching ${name} (${type})`);
+  
+  const hints = { constituency, state };
+  const attemptLog = [];
+  const lookupOptions = { ...options, attemptLog };
+  
+  const result = await resolveMember(name, type, false, hints, lookupOptions);
+  
+  if (result.found || result.ambiguous) {
+    result.searchedAs = type;
+    result.foundAs = type;
+    return result;
+  }
+
+  for (const alternateType of ALTERNATE_TYPES[type]) {
     console.log(`⚠️ [PRS] Trying alternate: ${alternateType}`);
     
-    const altResult = await tryFetchWithType(name, alternateType, true);
+    const altResult = await resolveMember(name, alternateType, true, hints, lookupOptions);
     
-    if (altResult.found) {
+    if (altResult.found || altResult.ambiguous) {
       altResult.searchedAs = type;
       altResult.foundAs = alternateType;
       return altResult;
     }
+  }
 
-    return getEmptyResponse();
-
-  } catch (error) {
-    console.error(`❌ [PRS] Error: ${error.message}`);
-    return getEmptyResponse();
+  const failure = classifyLookupFailure(attemptLog);
+  
+  if (failure) {
+    console.log(`❌ [PRS] Lookup failed upstream: ${failure.code} (${failure.failedUrls}/${failure.checkedUrls} URLs failed)`);
   }
+
+  return {
+    ...getEmptyResponse(),
+    ...(failure && { error: failure }),
+    attempts: attemptLog
+  };
 }
 
 
 
-async function tryFetchWithType(name, type, reduced = false) {
+async function resolveMember(name, type, reduced, hints, options) {
+  const indexResult = await tryFetchFromIndex(name, type, hints, options);
+  
+  if (indexResult.found || indexResult.ambiguous) {
+    return indexResult;
+  }
+  
+  console.log(`🔁 [PRS] Falling back to URL guessing for ${name} (${type})`);
+  return tryFetchWithType(name, type, reduced, hints, options);
+}
+
+async function tryFetchFromIndex(name, type, hints, options) {
+  let matches;
+  
+  try {
+    matches = await findMembers(name, { type, wait: false });
+  } catch (err) {
+    console.log(`⚠️ [PRS] Member index unavailable: ${err.message}`);
+    return getEmptyResponse();
+  }
+  
+  if (matches.length === 0) {
+    console.log(`📚 [PRS] No index match for ${name} (${type})`);
+    return getEmptyResponse();
+  }
+  
+  const topScore = matches[0].nameScore;
+  const seenSlugs = new Set();
+  const shortlist = matches
+    .filter(m => topScore - m.nameScore < AMBIGUITY_MARGIN)
+    .filter(m => !seenSlugs.has(m.slug) && seenSlugs.add(m.slug))
+    .map(m => ({ ...m, placeScore: scoreCandidate(m, hints) }))
+    .sort((a, b) => b.placeScore - a.placeScore)
+    .slice(0, MAX_INDEX_CANDIDATES);
+  
+  console.log(`📚 [PRS] ${shortlist.length} index match(es) for ${name}: ${shortlist.map(m => m.name).join(', ')}`);
+  
+  const progress = { checked: 0, total: shortlist.length, source: 'index' };
+  const candidates = [];
+  addCandidates(candidates, await fetchCandidates(shortlist.map(m => m.url), type, options, progress), hints);
+  
+  if (candidates.length === 0) {
+    return getEmptyResponse();
+  }
+  
+  const result = resolveCandidates(candidates, hints, progress.checked, shortlist.length);
+  
+  if (result.match) {
+    const entry = shortlist.find(m => m.url === result.sourceUrl);
+    result.match.resolvedVia = 'index';
+    result.match.nameScore = entry ? Number(entry.nameScore.toFixed(2)) : null;
+  }
+  
+  return result;
+}
+
+async function tryFetchWithType(name, type, reduced = false, hints = {}, options = {}) {
   const urls = constructURLs(name, type, reduced);
   
   if (urls.length === 0) {
@@ -70,7 +394,9 @@ async function tryFetchWithType(name, type, reduced = false) {
     ];
   }
 
-  let totalChecked = 0;
+  const hasHints = Boolean(hints.constituency || hints.state);
+  const candidates = [];
+  const progress = { checked: 0, total: urls.length, source: 'url-guess' };
 
   for (let groupIndex = 0; groupIndex < priorityGroups.length; groupIndex++) {
     const group = priorityGroups[groupIndex];
@@ -79,63 +405,201 @@ async function tryFetchWithType(name, type, reduced = false) {
     
     console.log(`🔍 [PRS] Priority Group ${groupIndex + 1}/${priorityGroups.length}: Checking ${group.length} URLs`);
     
-    const results = await Promise.allSettled(
-      group.map((url, index) => 
-        limit(async () => {
-          try {
-            const startTime = Date.now();
-            const html = await fetchHTML(url);
-            const duration = Date.now() - startTime;
-            
-            totalChecked++;
-            
-            if (html && validateMemberPage(html, type)) {
-              console.log(`✅ [${totalChecked}/${urls.length}] Found in ${duration}ms - ${url}`);
-              return { url, html, success: true, duration };
-            }
-            
-            console.log(`❌ [${totalChecked}/${urls.length}] Invalid (${duration}ms)`);
-            return { success: false };
-            
-          } catch (err) {
-            totalChecked++;
-            console.log(`❌ [${totalChecked}/${urls.length}] Failed: ${err.message}`);
-            return { success: false, error: err.message };
-          }
-        })
-      )
-    );
+    const groupCandidates = await fetchCandidates(group, type, options, progress);
     
-    for (const result of results) {
-      if (result.status === 'fulfilled' && result.value.success) {
-        const { url, html, duration } = result.value;
-        
-        const parsedData = parseToFlatFormat(html, type);
-        
-        if (parsedData.name && parsedData.name !== 'Unknown') {
-          console.log(`🎯 [PRS] SUCCESS! Found in Priority Group ${groupIndex + 1}`);
-          console.log(`📊 [PRS] Checked ${totalChecked}/${urls.length} URLs (${duration}ms for match)`);
-          
-          return {
-            found: true,
-            data: parsedData,
-            sourceUrl: url,
-            checkedUrls: totalChecked,
-            totalUrls: urls.length
-          };
-        }
+    addCandidates(candidates, groupCandidates, hints);
+    
+    if (candidates.length > 0 && !hasHints) {
+      if (groupIndex % 2 === 0 && priorityGroups[groupIndex + 1]?.length > 0) {
+        console.log(`🔎 [PRS] Found ${candidates.length} candidate(s), checking numbered namesakes in Priority Group ${groupIndex + 2}`);
+        continue;
       }
+      
+      console.log(`🎯 [PRS] Found ${candidates.length} candidate(s) by Priority Group ${groupIndex + 1}`);
+      break;
+    }
+    
+    if (hasHints && candidates.filter(c => c.score >= HIGH_CONFIDENCE_SCORE).length === 1) {
+      console.log(`🎯 [PRS] Confident match in Priority Group ${groupIndex + 1}`);
+      break;
     }
     
     console.log(`⏭️  [PRS] Priority Group ${groupIndex + 1} complete, moving to next group`);
   }
 
-  console.log(`❌ [PRS] No valid pages found among ${totalChecked} URLs checked`);
+  if (candidates.length > 0) {
+    return resolveCandidates(candidates, hints, progress.checked, urls.length);
+  }
+
+  console.log(`❌ [PRS] No valid pages found among ${progress.checked} URLs checked`);
   return getEmptyResponse();
 }
 
 
 
+async function fetchCandidates(urls, type, options, progress) {
+  const results = await Promise.allSettled(
+    urls.map(url =>
+      limit(async () => {
+        try {
+          const startTime = Date.now();
+          const page = await fetchHTML(url, undefined, { revalidate: options.refresh });
+          const duration = Date.now() - startTime;
+          const memberPage = page.status === 'ok' && validateMemberPage(page.html, type, page.finalUrl || url);
+        
+          progress.checked++;
+          recordAttempt(options, progress, {
+            url,
+            status: page.status,
+            httpStatus: page.httpStatus,
+            reason: page.status === 'ok' && !memberPage ? 'Not a member page' : page.reason,
+            attempts: page.attempts,
+            fromCache: page.fromCache,
+            durationMs: duration
+          });
+        
+          if (memberPage) {
+            console.log(`✅ [${progress.checked}/${progress.total}] Found in ${duration}ms - ${url}`);
+            return { url, html: page.html, success: true, duration };
+          }
+        
+          const reason = page.status === 'ok' ? 'not a member page' : page.status;
+          console.log(`❌ [${progress.checked}/${progress.total}] Invalid: ${reason} (${duration}ms)`);
+          return { success: false, status: page.status };
+        
+        } catch (err) {
+          progress.checked++;
+          recordAttempt(options, progress, { url, status: 'error', reason: err.message });
+          console.log(`❌ [${progress.checked}/${progress.total}] Failed: ${err.message}`);
+          return { success: false, error: err.message };
+        }
+      })
+    )
+  );
+  
+  const candidates = [];
+  
+  for (const result of results) {
+    if (result.status === 'fulfilled' && result.value.success) {
+      const { url, html } = result.value;
+      
+      const health = createExtractionHealth();
+      const parsedData = parseToFlatFormat(html, type, { ...options, health });
+      
+      if (parsedData.name && parsedData.name !== 'Unknown') {
+        candidates.push({
+          url,
+          data: parsedData,
+          extractionHealth: summarizeExtractionHealth(health, parsedData)
+        });
+      }
+    }
+  }
+  
+  return candidates;
+}
+
+function recordAttempt(options, progress, attempt) {
+  if (!options.attemptLog) return;
+  
+  options.attemptLog.push({
+    url: attempt.url,
+    status: attempt.status,
+    source: progress.source || null,
+    httpStatus: attempt.httpStatus ?? null,
+    reason: attempt.reason || null,
+    attempts: attempt.attempts ?? 0,
+    fromCache: Boolean(attempt.fromCache),
+    durationMs: attempt.durationMs ?? null
+  });
+}
+
+function addCandidates(candidates, found, hints) {
+  for (const candidate of found) {
+    const key = candidateKey(candidate.data);
+    if (!candidates.some(c => candidateKey(c.data) === key)) {
+      candidate.score = scoreCandidate(candidate.data, hints);
+      candidates.push(candidate);
+    }
+  }
+}
+
+function resolveCandidates(candidates, hints, checkedUrls, totalUrls) {
+  const ranked = [...candidates].sort((a, b) => b.score - a.score);
+  const [best, runnerUp] = ranked;
+  const hasHints = Boolean(hints.constituency || hints.state);
+  
+  const isAmbiguous = runnerUp && (
+    !hasHints || best.score - runnerUp.score < AMBIGUITY_MARGIN
+  );
+  
+  if (isAmbiguous) {
+    console.log(`⚠️ [PRS] Ambiguous: ${ranked.length} members match, cannot pick one`);
+    return {
+      ...getEmptyResponse(),
+      ambiguous: true,
+      candidates: ranked.map(c => ({
+        name: c.data.name,
+        type: c.data.type,
+        state: c.data.state,
+        constituency: c.data.constituency,
+        party: c.data.party,
+        sourceUrl: c.url,
+        score: hasHints ? Number(c.score.toFixed(2)) : null
+      })),
+      checkedUrls,
+      totalUrls
+    };
+  }
+  
+  console.log(`🎯 [PRS] SUCCESS! ${best.data.name} (${best.data.constituency}, ${best.data.state})`);
+  console.log(`📊 [PRS] Checked ${checkedUrls}/${totalUrls} URLs`);
+  
+  return {
+    found: true,
+    data: best.data,
+    sourceUrl: best.url,
+    extractionHealth: best.extractionHealth,
+    match: {
+      confidence: hasHints ? getConfidenceLevel(best.score) : 'unverified',
+      score: hasHints ? Number(best.score.toFixed(2)) : null,
+      candidatesConsidered: ranked.length,
+      resolvedVia: 'url-guess'
+    },
+    checkedUrls,
+    totalUrls
+  };
+}
+
+function candidateKey(data) {
+  return [data.name, data.state, data.constituency].map(normalizePlace).join('|');
+}
+
+function scoreCandidate(data, hints) {
+  let score = 0;
+  let weight = 0;
+  
+  if (hints.constituency) {
+    score += CONSTITUENCY_WEIGHT * placeSimilarity(data.constituency, hints.constituency);
+    weight += CONSTITUENCY_WEIGHT;
+  }
+  
+  if (hints.state) {
+    score += STATE_WEIGHT * placeSimilarity(data.state, hints.state);
+    weight += STATE_WEIGHT;
+  }
+  
+  return weight > 0 ? score / weight : 0;
+}
+
+function getConfidenceLevel(score) {
+  if (score >= HIGH_CONFIDENCE_SCORE) return 'high';
+  if (score >= MEDIUM_CONFIDENCE_SCORE) return 'medium';
+  return 'low';
+}
+
+
+
 function constructURLs(name, type, reduced = false) {
   const nameSlug = name
     .toLowerCase()
@@ -155,11 +619,11 @@ function constructURLs(name, type, reduced = false) {
     }
   };
   
-  if (type === 'MP') {
-    const lokSabhas = ['18th-lok-sabha', '17th-lok-sabha', '16th-lok-sabha'];
+  if (type === 'MP' || type === 'RS') {
+    const houses = type === 'RS' ? [RAJYA_SABHA_HOUSE] : LOK_SABHA_HOUSES;
     const numericSuffixes = ['', '-1', '-2', '-3'];
     
-    for (const sabha of lokSabhas) {
+    for (const sabha of houses) {
       for (const suffix of numericSuffixes) {
         addURL(`https://prsindia.org/mptrack/${sabha}/${nameSlug}${suffix}`);
       }
@@ -180,7 +644,7 @@ function constructURLs(name, type, reduced = false) {
           .replace(/^-|-$/g, '');
         
         if (firstLast !== nameSlug && firstLast.length > 0) {
-          for (const sabha of lokSabhas) {
+          for (const sabha of houses) {
             for (const suffix of numericSuffixes) {
               addURL(`https://prsindia.org/mptrack/${sabha}/${firstLast}${suffix}`);
             }
@@ -199,7 +663,7 @@ function constructURLs(name, type, reduced = false) {
         const firstLast = `${parts[0]}-${parts[parts.length - 1]}`.toLowerCase();
         
         if (skipMiddle !== nameSlug && skipMiddle !== firstLast && skipMiddle.length > 0) {
-          for (const sabha of lokSabhas) {
+          for (const sabha of houses) {
             addURL(`https://prsindia.org/mptrack/${sabha}/${skipMiddle}`);
           }
         }
@@ -212,7 +676,7 @@ function constructURLs(name, type, reduced = false) {
             .replace(/^-|-$/g, '');
           
           if (firstInitialLast !== nameSlug && firstInitialLast.length > 0) {
-            for (const sabha of lokSabhas) {
+            for (const sabha of houses) {
               addURL(`https://prsindia.org/mptrack/${sabha}/${firstInitialLast}`);
             }
           }
@@ -279,41 +743,46 @@ function constructURLs(name, type, reduced = false) {
 
 
 
-function validateMemberPage(html, type) {
-  if (!html || html.length < 500) {
+function validateMemberPage(html, type, url = null) {
+  if (!html) {
     return false;
   }
 
-  const lowerHTML = html.toLowerCase();
-  if (lowerHTML.includes('page not found') || 
-      lowerHTML.includes('404') || 
-      lowerHTML.includes('the requested page') ||
-      lowerHTML.includes('no member found')) {
+  const $ = cheerio.load(html);
+  const markers = MEMBER_PAGE_MARKERS[type];
+  const otherMarkers = Object.entries(MEMBER_PAGE_MARKERS)
+    .filter(([otherType]) => otherType !== type)
+    .map(([, other]) => other);
+
+  const bodyClasses = ($('body').attr('class') || '').split(/\s+/);
+  if (bodyClasses.some(cls => markers.bodyClass.test(cls))) {
+    return true;
+  }
+  if (bodyClasses.some(cls => otherMarkers.some(other => other.bodyClass.test(cls)))) {
     return false;
   }
 
-  if (type === 'MP') {
-    return (
-      html.includes('mp-attendance') || 
-      html.includes('mp-debate') || 
-      html.includes('mp-questions') ||
-      html.includes('mp_state') ||
-      html.includes('mp_constituency') ||
-      html.includes('mptrack')
-    );
-  } else {
-    return (
-      html.includes('mla_state') || 
-      html.includes('mla_constituency') ||
-      html.includes('mlatrack') ||
-      html.includes('field-name-field-mla-name')
-    );
+  const canonical = $('link[rel="canonical"]').attr('href') || $('meta[property="og:url"]').attr('content');
+  if (canonical) {
+    try {
+      if (markers.path.test(new URL(canonical, PRS_BASE_URL).pathname)) {
+        return true;
+      }
+    } catch (e) {
+      console.log(`⚠️ [PRS] Ignoring malformed canonical URL: ${canonical}`);
+    }
   }
+
+  if (markers.selectorsNeedPath && !(url && markers.path.test(new URL(url, PRS_BASE_URL).pathname))) {
+    return false;
+  }
+
+  return markers.selectors.some(selector => $(selector).length > 0);
 }
 
 
 
-function parseToFlatFormat(html, type) {
+export function parseToFlatFormat(html, type, options = {}) {
   const $ = cheerio.load(html);
   
   console.log(`📄 [PRS] Parsing to flat format (${type})...`);
@@ -321,14 +790,17 @@ function parseToFlatFormat(html, type) {
   const dataNotAvailable = $('.text-center h3').text().includes('Data not available');
   
   if (type === 'MP') {
-    return parseMPData($, html, dataNotAvailable);
+    return parseMPData($, html, dataNotAvailable, options);
+  } else if (type === 'RS') {
+    return parseRSData($, html, dataNotAvailable, options);
   } else {
-    return parseMLAData($, html, dataNotAvailable);
+    return parseMLAData($, html, dataNotAvailable, options);
   }
 }
 
-function parseMPData($, html, dataNotAvailable) {
-  const performance = extractParliamentaryPerformance($);
+function parseMPData($, html, dataNotAvailable, options = {}) {
+  const health = options.health || createExtractionHealth();
+  const performance = extractParliamentaryPerformance($, health);
   
   const data = {
     type: 'MP',
@@ -350,61 +822,165 @@ function parseMPData($, html, dataNotAvailable) {
     
     ...performance,
     
-    attendanceTable: extractAttendanceTable($),
-    debatesTable: extractDebatesTable($),
-    questionsTable: extractQuestionsTable($)
+    ...extractTables($, options, health)
+  };
+  
+  data.normalized = normalizeMember(data, health.sources);
+  
+  logDataSummary(data);
+  
+  return data;
+}
+
+function parseRSData($, html, dataNotAvailable, options = {}) {
+  const health = options.health || createExtractionHealth();
+  const performance = extractParliamentaryPerformance($, health);
+  const state = extractState($);
+  const membership = extractMembership($);
+  
+  const data = {
+    type: 'RS',
+    
+    name: extractName($),
+    imageUrl: extractImage($),
+    state,
+    constituency: extractRSConstituency($, state),
+    party: extractParty($),
+    
+    termStart: extractTermStart($),
+    termEnd: extractTermEnd($),
+    noOfTerm: extractNoOfTerm($),
+    membership,
+    membershipType: getRSMembershipType(membership, state),
+    
+    age: extractAge($),
+    gender: extractGender($),
+    education: extractEducation($),
+    
+    ...performance,
+    
+    ...extractTables($, options, health)
   };
   
+  data.normalized = normalizeMember(data, health.sources);
+  
   logDataSummary(data);
   
   return data;
 }
 
-function parseMLAData($, html, dataNotAvailable) {
+function parseMLAData($, html, dataNotAvailable, options = {}) {
+  const health = options.health || createExtractionHealth();
+  const state = extractState($);
+  const coverage = detectAssemblyPerformance($, state);
+  const performance = extractAssemblyPerformance($, coverage);
+  
   const data = {
     type: 'MLA',
     
     name: extractMLAName($),
     imageUrl: extractMLAImage($),
-    state: extractState($),
+    state,
     constituency: extractMLAConstituency($),
     party: extractParty($),
     
     termStart: extractMLATermStart($),
     termEnd: extractMLATermEnd($),
+    noOfTerm: extractNoOfTerm($),
     membership: extractMLAMembership($),
     
     age: extractMLAAge($),
     gender: extractGender($),
     education: extractMLAEducation($),
     
-    attendance: 'N/A',
-    natAttendance: 'N/A',
-    stateAttendance: 'N/A',
-    debates: 'N/A',
-    natDebates: 'N/A',
-    stateDebates: 'N/A',
-    questions: 'N/A',
-    natQuestions: 'N/A',
-    stateQuestions: 'N/A',
-    pmb: 'N/A',
-    natPMB: 'N/A',
-    statePMB: 'N/A',
+    ...performance.metrics,
+    
+    ...(coverage.published ? extractTables($, options, health) : getEmptyTables(options)),
     
-    attendanceTable: '',
-    debatesTable: '',
-    questionsTable: '',
+    performanceCoverage: coverage,
     
-    note: dataNotAvailable ? 'Data not available' : 'Member data is taken from the election affidavits'
+    note: dataNotAvailable
+      ? 'Data not available'
+      : coverage.published
+        ? 'Assembly activity is taken from the PRS MLA Track page; other member data from the election affidavits'
+        : 'Member data is taken from the election affidavits'
   };
   
+  Object.assign(health.sources, performance.sources);
+  
+  data.normalized = normalizeMember(data, performance.sources);
+  
   logDataSummary(data);
   
   return data;
 }
 
 
-function extractParliamentaryPerformance($) {
+function getUnpublishedSources() {
+  return Object.fromEntries(PERFORMANCE_FIELDS.map(key => [key, 'not-published']));
+}
+
+function detectAssemblyPerformance($, state) {
+  let published = false;
+  const metrics = [];
+  
+  $(ACTIVITY_SECTION).find('.field-label').each((i, elem) => {
+    if ($(elem).parent().find('.field-item').length === 0) return;
+    published = true;
+    
+    const metric = matchAssemblyMetric($(elem).text());
+    if (metric && !metrics.includes(metric)) metrics.push(metric);
+  });
+  
+  return { state: state || null, published, metrics };
+}
+
+function extractAssemblyPerformance($, coverage) {
+  const metrics = Object.fromEntries(PERFORMANCE_FIELDS.map(key => [key, 'N/A']));
+  const sources = getUnpublishedSources();
+  
+  if (!coverage.published) {
+    return { metrics, sources };
+  }
+  
+  console.log(`📊 Extracting ${coverage.state || 'assembly'} performance metrics...`);
+  
+  const averageField = metric => `state${metric.charAt(0).toUpperCase()}${metric.slice(1)}`;
+  
+  const expected = coverage.metrics.length > 0 ? coverage.metrics : ASSEMBLY_METRICS;
+  
+  for (const metric of expected) {
+    sources[metric] = 'missing';
+    sources[averageField(metric)] = 'missing';
+  }
+  
+  $(ACTIVITY_SECTION).find('.field-label').each((i, elem) => {
+    const metric = matchAssemblyMetric($(elem).text());
+    if (!metric || sources[metric] === 'page') return;
+    
+    const items = $(elem).parent().find('.field-item');
+    const value = $(items[0]).text().trim();
+    const average = $(items[1]).text().trim();
+    
+    if (value) {
+      metrics[metric] = value;
+      sources[metric] = 'page';
+      console.log(`  ✅ ${metric}: ${value}`);
+    }
+    if (average) {
+      metrics[averageField(metric)] = average;
+      sources[averageField(metric)] = 'page';
+    }
+  });
+  
+  if (coverage.metrics.every(metric => sources[metric] !== 'page')) {
+    console.log(`⚠️ WARNING: ${coverage.state || 'page'} publishes assembly activity but none was extracted!`);
+  }
+  
+  return { metrics, sources };
+}
+
+function extractParliamentaryPerformance($, health = createExtractionHealth()) {
   const metrics = {
     attendance: 'N/A',
     natAttendance: 'N/A',
@@ -444,6 +1020,7 @@ function extractParliamentaryPerformance($) {
     if (!attendance || attendance === '') {
       const attItems = $('.mp-attendance .attendance .field-item');
       console.log(`  Fallback: Found ${attItems.length} attendance field-items`);
+      if (attItems.length >= 1) health.fallbacks.push('attendance', 'natAttendance', 'stateAttendance');
       if (attItems.length >= 1) attendance = $(attItems[0]).text().trim();
       if (attItems.length >= 2) natAttendance = $(attItems[1]).text().trim();
       if (attItems.length >= 3) stateAttendance = $(attItems[2]).text().trim();
@@ -452,6 +1029,7 @@ function extractParliamentaryPerformance($) {
     if (!debates || debates === '') {
       const debItems = $('.mp-debate .debate .field-item');
       console.log(`  Fallback: Found ${debItems.length} debate field-items`);
+      if (debItems.length >= 1) health.fallbacks.push('debates', 'natDebates', 'stateDebates');
       if (debItems.length >= 1) debates = $(debItems[0]).text().trim();
       if (debItems.length >= 2) natDebates = $(debItems[1]).text().trim();
       if (debItems.length >= 3) stateDebates = $(debItems[2]).text().trim();
@@ -460,6 +1038,7 @@ function extractParliamentaryPerformance($) {
     if (!questions || questions === '') {
       const qItems = $('.mp-questions .questions .field-item');
       console.log(`  Fallback: Found ${qItems.length} question field-items`);
+      if (qItems.length >= 1) health.fallbacks.push('questions', 'natQuestions', 'stateQuestions');
       if (qItems.length >= 1) questions = $(qItems[0]).text().trim();
       if (qItems.length >= 2) natQuestions = $(qItems[1]).text().trim();
       if (qItems.length >= 3) stateQuestions = $(qItems[2]).text().trim();
@@ -468,6 +1047,7 @@ function extractParliamentaryPerformance($) {
     if (!pmb || pmb === '') {
       const pmbItems = $('.mp-pmb .pmb .field-item');
       console.log(`  Fallback: Found ${pmbItems.length} PMB field-items`);
+      if (pmbItems.length >= 1) health.fallbacks.push('pmb', 'natPMB', 'statePMB');
       if (pmbItems.length >= 1) pmb = $(pmbItems[0]).text().trim();
       if (pmbItems.length >= 2) natPMB = $(pmbItems[1]).text().trim();
       if (pmbItems.length >= 3) statePMB = $(pmbItems[2]).text().trim();
@@ -479,6 +1059,7 @@ function extractParliamentaryPerformance($) {
         const label = $(elem).text().trim();
         if (label === 'Selected MP') {
           attendance = $(elem).next().find('.field-item').first().text().trim();
+          health.fallbacks.push('attendance');
         } else if (label === 'National Average') {
           natAttendance = $(elem).next().find('.field-item').first().text().trim();
         } else if (label === 'State Average') {
@@ -549,6 +1130,17 @@ function extractParliamentaryPerformance($) {
       metrics.statePMB = 'N/A';
     }
 
+    const extracted = {
+      attendance, natAttendance, stateAttendance,
+      debates, natDebates, stateDebates,
+      questions, natQuestions, stateQuestions,
+      pmb, natPMB, statePMB
+    };
+    
+    for (const key of Object.keys(metrics)) {
+      health.sources[key] = extracted[key] ? 'page' : metrics[key] === 'N/A' ? 'missing' : 'defaulted';
+    }
+
     console.log('📊 Final extracted metrics:', metrics);
     
     if (metrics.attendance === 'N/A') {
@@ -698,6 +1290,17 @@ function extractEducation($) {
 
 
 
+function extractRSConstituency($, state) {
+  const constituency = extractConstituency($);
+  return constituency !== 'Unknown' ? constituency : state;
+}
+
+function getRSMembershipType(membership, state) {
+  if (/nominat/i.test(membership) || /nominat/i.test(state)) return 'nominated';
+  if (/elect/i.test(membership)) return 'elected';
+  return null;
+}
+
 function extractMLAName($) {
   return extractName($);
 }
@@ -735,7 +1338,136 @@ function extractMLAEducation($) {
 }
 
 
-function extractAttendanceTable($) {
+function extractTables($, options = {}, health = createExtractionHealth()) {
+  const attendanceTable = extractAttendanceTable($, health.strategies);
+  const debatesTable = extractDebatesTable($, health.strategies);
+  const questionsTable = extractQuestionsTable($, health.strategies);
+  
+  const tables = {
+    attendanceRows: parseAttendanceRows($, attendanceTable),
+    debatesRows: parseDebatesRows($, debatesTable),
+    questionsRows: parseQuestionsRows($, questionsTable)
+  };
+  
+  if (options.includeHtml) {
+    tables.attendanceTable = attendanceTable ? $.html(attendanceTable) : '';
+    tables.debatesTable = debatesTable ? $.html(debatesTable) : '';
+    tables.questionsTable = questionsTable ? $.html(questionsTable) : '';
+  }
+  
+  return tables;
+}
+
+function getEmptyTables(options = {}) {
+  const tables = {
+    attendanceRows: [],
+    debatesRows: [],
+    questionsRows: []
+  };
+  
+  if (options.includeHtml) {
+    tables.attendanceTable = '';
+    tables.debatesTable = '';
+    tables.questionsTable = '';
+  }
+  
+  return tables;
+}
+
+function parseAttendanceRows($, table) {
+  const { headers, rows } = readTableRows($, table);
+  const sessionCol = findColumn(headers, ['session']);
+  const attendanceCol = findColumn(headers, ['attendance']);
+  
+  return rows
+    .map(cells => ({
+      session: cellText(cells, sessionCol),
+      percentage: toNumber(cellText(cells, attendanceCol))
+    }))
+    .filter(row => row.session);
+}
+
+function parseDebatesRows($, table) {
+  const { headers, rows } = readTableRows($, table);
+  const dateCol = findColumn(headers, ['date']);
+  const titleCol = findColumn(headers, ['title', 'debate']);
+  const typeCol = findColumn(headers, ['debate type', 'type']);
+  
+  return rows
+    .map(cells => ({
+      date: parseDate(cellText(cells, dateCol)),
+      title: cellText(cells, titleCol),
+      debateType: cellText(cells, typeCol),
+      url: cellLink(cells, titleCol)
+    }))
+    .filter(row => row.title);
+}
+
+function parseQuestionsRows($, table) {
+  const { headers, rows } = readTableRows($, table);
+  const dateCol = findColumn(headers, ['date']);
+  const titleCol = findColumn(headers, ['title']);
+  const typeCol = findColumn(headers, ['question type', 'type']);
+  const ministryCol = findColumn(headers, ['ministry', 'category']);
+  
+  return rows
+    .map(cells => ({
+      date: parseDate(cellText(cells, dateCol)),
+      title: cellText(cells, titleCol),
+      type: cellText(cells, typeCol),
+      ministry: cellText(cells, ministryCol),
+      url: cellLink(cells, titleCol)
+    }))
+    .filter(row => row.title);
+}
+
+function readTableRows($, table) {
+  if (!table || !table.length) {
+    return { headers: [], rows: [] };
+  }
+  
+  const headers = table.find('thead th').map((i, th) => $(th).text().trim().toLowerCase()).get();
+  
+  const rows = table.find('tbody tr').map((i, tr) => [
+    $(tr).find('td').map((j, td) => ({
+      text: $(td).text().replace(/\s+/g, ' ').trim(),
+      href: $(td).find('a').first().attr('href') || null
+    })).get()
+  ]).get();
+  
+  return { headers, rows };
+}
+
+function findColumn(headers, keywords) {
+  for (const keyword of keywords) {
+    const index = headers.findIndex(h => h === keyword);
+    if (index !== -1) return index;
+  }
+  for (const keyword of keywords) {
+    const index = headers.findIndex(h => h.includes(keyword));
+    if (index !== -1) return index;
+  }
+  return -1;
+}
+
+function cellText(cells, index) {
+  return index !== -1 && cells[index] ? cells[index].text : '';
+}
+
+function cellLink(cells, index) {
+  const href = index !== -1 && cells[index] ? cells[index].href : null;
+  return href ? toAbsoluteUrl(href) : null;
+}
+
+function toAbsoluteUrl(href) {
+  try {
+    return new URL(href, PRS_BASE_URL).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+function extractAttendanceTable($, strategies = {}) {
   try {
     console.log('🔍 Extracting Attendance Table...');
     let table = null;
@@ -745,13 +1477,15 @@ function extractAttendanceTable($) {
       '#block-views-mps-attendance-block',
       '#block-views-mp-related-views-block-1',
       '#block-views-mp-attendance-block',
-      '#block-views-attendance-block'
+      '#block-views-attendance-block',
+      '#block-views-mlas-attendance-block'
     ];
     
     for (const id of knownIds) {
       table = $(`${id} table`).first();
       if (table && table.length > 0) {
         console.log(`  ✅ Found via ID: ${id}`);
+        strategies.attendanceTable = 'known-id';
         break;
       }
     }
@@ -771,6 +1505,7 @@ function extractAttendanceTable($) {
             if (foundTable.length) {
               table = foundTable;
               console.log(`  ✅ Found via heading: "${$(heading).text().trim()}"`);
+              strategies.attendanceTable = 'heading';
               return false; 
             }
           }
@@ -779,6 +1514,7 @@ function extractAttendanceTable($) {
           if (siblingTable.length) {
             table = siblingTable;
             console.log(`  ✅ Found as sibling of heading`);
+            strategies.attendanceTable = 'heading-sibling';
             return false;
           }
           
@@ -786,6 +1522,7 @@ function extractAttendanceTable($) {
           if (nextDiv.length) {
             table = nextDiv;
             console.log(`  ✅ Found in next div after heading`);
+            strategies.attendanceTable = 'heading-next-div';
             return false;
           }
         }
@@ -800,6 +1537,7 @@ function extractAttendanceTable($) {
         if (foundTable.length) {
           table = foundTable;
           console.log(`  ✅ Found in section: ${$(section).attr('id')}`);
+          strategies.attendanceTable = 'section-id';
           return false;
         }
       });
@@ -816,6 +1554,7 @@ function extractAttendanceTable($) {
         if (headers.includes('session') && headers.includes('attendance')) {
           table = $(tbl);
           console.log(`  ✅ Found by table headers: [${headers.join(', ')}]`);
+          strategies.attendanceTable = 'table-headers';
           return false;
         }
       });
@@ -831,6 +1570,7 @@ function extractAttendanceTable($) {
           if (headers.includes('session') || headers.includes('attendance')) {
             table = foundTable;
             console.log(`  ✅ Found in .table-responsive div`);
+            strategies.attendanceTable = 'table-responsive';
             return false;
           }
         }
@@ -846,7 +1586,7 @@ function extractAttendanceTable($) {
       const headers = table.find('thead th').map((i, th) => $(th).text().trim()).get();
       console.log(`  📋 Headers: [${headers.join(', ')}]`);
       
-      return $.html(table);
+      return table;
     }
     
     console.log(`  ⚠️ Attendance table not found after all strategies`);
@@ -864,10 +1604,10 @@ function extractAttendanceTable($) {
   } catch (e) {
     console.error(`  ❌ Error extracting attendance table:`, e.message);
   }
-  return '';
+  return null;
 }
 
-function extractDebatesTable($) {
+function extractDebatesTable($, strategies = {}) {
   try {
     console.log('🔍 Extracting Debates Table...');
     let table = null;
@@ -876,13 +1616,15 @@ function extractDebatesTable($) {
       '#block-views-mps-debate-related-views-block',
       '#block-views-mp-related-views-block',
       '#block-views-mp-debate-block',
-      '#block-views-debate-block'
+      '#block-views-debate-block',
+      '#block-views-mlas-debate-block'
     ];
     
     for (const id of knownIds) {
       table = $(`${id} table`).first();
       if (table && table.length > 0) {
         console.log(`  ✅ Found via ID: ${id}`);
+        strategies.debatesTable = 'known-id';
         break;
       }
     }
@@ -900,6 +1642,7 @@ function extractDebatesTable($) {
             if (foundTable.length) {
               table = foundTable;
               console.log(`  ✅ Found via heading`);
+              strategies.debatesTable = 'heading';
               return false;
             }
           }
@@ -913,6 +1656,7 @@ function extractDebatesTable($) {
         if (foundTable.length) {
           table = foundTable;
           console.log(`  ✅ Found in section: ${$(section).attr('id')}`);
+          strategies.debatesTable = 'section-id';
           return false;
         }
       });
@@ -925,6 +1669,7 @@ function extractDebatesTable($) {
             headers.includes('debate type')) {
           table = $(tbl);
           console.log(`  ✅ Found by headers`);
+          strategies.debatesTable = 'table-headers';
           return false;
         }
       });
@@ -933,17 +1678,17 @@ function extractDebatesTable($) {
     if (table && table.length > 0) {
       const rowCount = table.find('tbody tr').length;
       console.log(`  ✅ Debates table extracted (${rowCount} rows)`);
-      return $.html(table);
+      return table;
     }
     
     console.log(`  ⚠️ Debates table not found`);
   } catch (e) {
     console.error(`  ❌ Error extracting debates table:`, e.message);
   }
-  return '';
+  return null;
 }
 
-function extractQuestionsTable($) {
+function extractQuestionsTable($, strategies = {}) {
   try {
     console.log('🔍 Extracting Questions Table...');
     let table = null;
@@ -952,13 +1697,15 @@ function extractQuestionsTable($) {
       '#block-views-mps-questions-block',
       '#block-views-mp-questions-block',
       '#block-views-mp-related-views-block-2',
-      '#block-views-questions-block'
+      '#block-views-questions-block',
+      '#block-views-mlas-questions-block'
     ];
     
     for (const id of knownIds) {
       table = $(`${id} table`).first();
       if (table && table.length > 0) {
         console.log(`  ✅ Found via ID: ${id}`);
+        strategies.questionsTable = 'known-id';
         break;
       }
     }
@@ -976,6 +1723,7 @@ function extractQuestionsTable($) {
             if (foundTable.length) {
               table = foundTable;
               console.log(`  ✅ Found via heading`);
+              strategies.questionsTable = 'heading';
               return false;
             }
           }
@@ -989,6 +1737,7 @@ function extractQuestionsTable($) {
         if (foundTable.length) {
           table = foundTable;
           console.log(`  ✅ Found in section: ${$(section).attr('id')}`);
+          strategies.questionsTable = 'section-id';
           return false;
         }
       });
@@ -1002,6 +1751,7 @@ function extractQuestionsTable($) {
             (headers.includes('title') && headers.includes('type') && headers.includes('ministry'))) {
           table = $(tbl);
           console.log(`  ✅ Found by headers`);
+          strategies.questionsTable = 'table-headers';
           return false;
         }
       });
@@ -1010,47 +1760,53 @@ function extractQuestionsTable($) {
     if (table && table.length > 0) {
       const rowCount = table.find('tbody tr').length;
       console.log(`  ✅ Questions table extracted (${rowCount} rows)`);
-      return $.html(table);
+      return table;
     }
     
     console.log(`  ⚠️ Questions table not found`);
   } catch (e) {
     console.error(`  ❌ Error extracting questions table:`, e.message);
   }
-  return '';
+  return null;
 }
 
 function getEmptyResponse() {
+  const data = {
+    type: 'Unknown',
+    name: 'Unknown',
+    imageUrl: '',
+    state: 'Unknown',
+    constituency: 'Unknown',
+    party: 'Unknown',
+    termStart: 'N/A',
+    termEnd: 'N/A',
+    noOfTerm: 'N/A',
+    membership: 'N/A',
+    age: 'N/A',
+    gender: 'N/A',
+    education: 'N/A',
+    attendance: 'N/A',
+    natAttendance: 'N/A',
+    stateAttendance: 'N/A',
+    debates: 'N/A',
+    natDebates: 'N/A',
+    stateDebates: 'N/A',
+    questions: 'N/A',
+    natQuestions: 'N/A',
+    stateQuestions: 'N/A',
+    pmb: 'N/A',
+    natPMB: 'N/A',
+    statePMB: 'N/A',
+    attendanceRows: [],
+    debatesRows: [],
+    questionsRows: []
+  };
+  
+  data.normalized = normalizeMember(data);
+  
   return {
     found: false,
-    data: {
-      type: 'Unknown',
-      name: 'Unknown',
-      imageUrl: '',
-      state: 'N/A',
-      constituency: 'N/A',
-      party: 'N/A',
-      termStart: 'N/A',
-      termEnd: 'N/A',
-      age: 'N/A',
-      gender: 'N/A',
-      education: 'N/A',
-      attendance: 'N/A',
-      natAttendance: 'N/A',
-      stateAttendance: 'N/A',
-      debates: 'N/A',
-      natDebates: 'N/A',
-      stateDebates: 'N/A',
-      questions: 'N/A',
-      natQuestions: 'N/A',
-      stateQuestions: 'N/A',
-      pmb: 'N/A',
-      natPMB: 'N/A',
-      statePMB: 'N/A',
-      attendanceTable: '',
-      debatesTable: '',
-      questionsTable: ''
-    }
+    data
   };
 }
 
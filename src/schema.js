@@ -0,0 +1,239 @@
+import Ajv from 'ajv';
+import { PERFORMANCE_FIELDS } from './normalize.js';
+
+export const SCHEMA_VERSION = '1.2.0';
+
+export const MEMBER_TYPES = ['MP', 'RS', 'MLA'];
+
+const nullableString = { type: ['string', 'null'] };
+const nullableNumber = { type: ['number', 'null'] };
+const isoDate = { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+
+const normalizedValue = {
+  type: 'object',
+  required: ['value', 'unit', 'available'],
+  properties: {
+    value: nullableNumber,
+    unit: { type: 'string' },
+    available: { type: 'boolean' },
+    source: { enum: ['page', 'defaulted', 'missing', 'not-published'] },
+  },
+};
+
+const normalizedDate = {
+  type: 'object',
+  required: ['value', 'unit', 'available'],
+  properties: {
+    value: isoDate,
+    unit: { const: 'date' },
+    available: { type: 'boolean' },
+    inOffice: { type: 'boolean' },
+  },
+};
+
+const stringFields = [
+  'name',
+  'imageUrl',
+  'state',
+  'constituency',
+  'party',
+  'termStart',
+  'termEnd',
+  'noOfTerm',
+  'membership',
+  'age',
+  'gender',
+  'education',
+  ...PERFORMANCE_FIELDS,
+];
+
+export const MEMBER_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: `urn:prs-scraper:member:${SCHEMA_VERSION}`,
+  title: 'PRS member profile',
+  description: 'Member payload returned as `data` by the PRS scraper function',
+  version: SCHEMA_VERSION,
+  type: 'object',
+  required: [
+    'type',
+    ...stringFields,
+    'attendanceRows',
+    'debatesRows',
+    'questionsRows',
+    'normalized',
+  ],
+  additionalProperties: false,
+  properties: {
+    type: { enum: [...MEMBER_TYPES, 'Unknown'] },
+    ...Object.fromEntries(stringFields.map(field => [field, { type: 'string' }])),
+
+    attendanceRows: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['session', 'percentage'],
+        additionalProperties: false,
+        properties: {
+          session: { type: 'string' },
+          percentage: nullableNumber,
+        },
+      },
+    },
+    debatesRows: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['date', 'title', 'debateType', 'url'],
+        additionalProperties: false,
+        properties: {
+          date: isoDate,
+          title: { type: 'string' },
+          debateType: { type: 'string' },
+          url: nullableString,
+        },
+      },
+    },
+    questionsRows: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['date', 'title', 'type', 'ministry', 'url'],
+        additionalProperties: false,
+        properties: {
+          date: isoDate,
+          title: { type: 'string' },
+          type: { type: 'string' },
+          ministry: { type: 'string' },
+          url: nullableString,
+        },
+      },
+    },
+
+    attendanceTable: { type: 'string' },
+    debatesTable: { type: 'string' },
+    questionsTable: { type: 'string' },
+    note: { type: 'string' },
+    membershipType: { enum: ['elected', 'nominated', null] },
+    performanceCoverage: {
+      type: 'object',
+      required: ['state', 'published', 'metrics'],
+      additionalProperties: false,
+      properties: {
+        state: nullableString,
+        published: { type: 'boolean' },
+        metrics: { type: 'array', items: { enum: ['attendance', 'debates', 'questions'] } },
+      },
+    },
+
+    normalized: {
+      type: 'object',
+      required: ['age', 'noOfTerm', 'termStart', 'termEnd', ...PERFORMANCE_FIELDS],
+      additionalProperties: false,
+      properties: {
+        age: normalizedValue,
+        noOfTerm: normalizedValue,
+        termStart: normalizedDate,
+        termEnd: normalizedDate,
+        ...Object.fromEntries(PERFORMANCE_FIELDS.map(field => [field, normalizedValue])),
+      },
+    },
+
+    affidavit: {
+      type: ['object', 'null'],
+      required: [
+        'source',
+        'url',
+        'election',
+        'assets',
+        'liabilities',
+        'criminalCases',
+        'education',
+        'panItr',
+      ],
+      properties: {
+        source: { const: 'MyNeta' },
+        url: { type: 'string' },
+        election: nullableString,
+        candidateName: nullableString,
+        assets: { $ref: '#/definitions/amount' },
+        liabilities: { $ref: '#/definitions/amount' },
+        criminalCases: {
+          type: 'object',
+          required: ['count', 'ipcSections', 'cases'],
+          properties: {
+            count: { type: 'integer', minimum: 0 },
+            declaredNone: { type: 'boolean' },
+            ipcSections: { type: 'array', items: { type: 'string' } },
+            cases: { type: 'array', items: { type: 'object' } },
+          },
+        },
+        education: {
+          type: 'object',
+          properties: { category: nullableString, details: nullableString },
+        },
+        panItr: { type: 'array', items: { type: 'object' } },
+      },
+    },
+
+    analysis: {
+      type: 'object',
+      required: ['metrics', 'flags', 'summary'],
+      properties: {
+        metrics: { type: 'object' },
+        flags: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['code', 'severity', 'message'],
+            properties: {
+              code: { type: 'string' },
+              severity: { enum: ['info', 'warning', 'positive'] },
+              message: { type: 'string' },
+            },
+          },
+        },
+        summary: { type: 'string' },
+        narrative: nullableString,
+      },
+    },
+
+    history: {
+      type: 'object',
+      required: ['terms', 'partySwitches', 'constituencyChanges', 'career'],
+      properties: {
+        terms: { type: 'array', items: { type: 'object' } },
+        partySwitches: { type: 'array', items: { type: 'object' } },
+        constituencyChanges: { type: 'array', items: { type: 'object' } },
+        career: { type: 'object' },
+      },
+    },
+  },
+  definitions: {
+    amount: {
+      type: 'object',
+      required: ['total', 'display'],
+      properties: {
+        total: nullableNumber,
+        display: nullableString,
+      },
+    },
+  },
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validate = ajv.compile(MEMBER_SCHEMA);
+
+export function validateMember(data) {
+  const valid = validate(data);
+
+  return {
+    valid,
+    schemaVersion: SCHEMA_VERSION,
+    errors: valid ? [] : validate.errors.map(formatError),
+  };
+}
+
+function formatError(err) {
+  const detail = err.params?.additionalProperty ? ` (${err.params.additionalProperty})` : '';
+  return `${err.instancePath || '/'} ${err.message}${detail}`;
+}
@@ -0,0 +1,71 @@
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { exportSnapshots, getSnapshotDir, importSnapshots, listSnapshots } from './snapshots.js';
+import { fetchHTML } from './webextract.js';
+
+const USAGE = `Usage:
+  npm run snapshots -- list
+  npm run snapshots -- export <dir> [--latest] [--at <ISO date>]
+  npm run snapshots -- import <dir>
+  npm run snapshots -- capture <url> <file>`;
+
+async function run(args) {
+  const [command, target] = args;
+
+  if (command === 'list') {
+    const pages = await listSnapshots();
+    for (const page of pages) {
+      const latest = page.snapshots[page.snapshots.length - 1];
+      console.log(
+        `${latest?.fetchedAt || '-'}  ${String(page.snapshots.length).padStart(3)}  ${page.url}`
+      );
+    }
+    console.log(`📦 ${pages.length} pages in ${getSnapshotDir()}`);
+    return;
+  }
+
+  if (command === 'export' && target) {
+    const atIndex = args.indexOf('--at');
+    const at = atIndex !== -1 ? Date.parse(args[atIndex + 1]) : null;
+    if (Number.isNaN(at)) {
+      throw new Error(`Invalid --at date: ${args[atIndex + 1]}`);
+    }
+
+    await exportSnapshots(path.resolve(target), { at, latestOnly: args.includes('--latest') });
+    return;
+  }
+
+  if (command === 'import' && target) {
+    await importSnapshots(path.resolve(target));
+    return;
+  }
+
+  if (command === 'capture' && target && args[2]) {
+    await captureFixture(target, path.resolve(args[2]));
+    return;
+  }
+
+  console.log(USAGE);
+  process.exitCode = 1;
+}
+
+async function captureFixture(url, file) {
+  const page = await fetchHTML(url, undefined, { revalidate: true });
+  if (page.status !== 'ok') {
+    throw new Error(
+      `Cannot capture ${url}: ${page.status}${page.reason ? ` (${page.reason})` : ''}`
+    );
+  }
+
+  const capturedAt = new Date().toISOString();
+  await writeFile(
+    file,
+    `<!-- captured from ${page.finalUrl || url} at ${capturedAt} -->\n${page.html}`
+  );
+  console.log(`📸 Captured ${url} at ${capturedAt} into ${file}`);
+}
+
+run(process.argv.slice(2)).catch(err => {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,248 @@
+import { createHash } from 'node:crypto';
+import { copyFile, mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { readJSON, resolveDataPath, writeJSON } from './dataStore.js';
+
+export const SNAPSHOT_MODES = ['off', 'record', 'offline', 'replay'];
+
+const SNAPSHOT_FORMAT = 'prs-snapshots';
+const SNAPSHOT_FORMAT_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+const META_FILE = 'meta.json';
+const PAGES_DIR = 'pages';
+
+let activeMode = null;
+const pendingWrites = new Map();
+
+export function getSnapshotMode() {
+  if (!activeMode) {
+    const mode = (process.env.PRS_SNAPSHOTS || 'off').toLowerCase();
+    activeMode = SNAPSHOT_MODES.includes(mode) ? mode : 'off';
+  }
+  return activeMode;
+}
+
+export function setSnapshotMode(mode) {
+  if (!SNAPSHOT_MODES.includes(mode)) {
+    throw new Error(`Unknown snapshot mode "${mode}" (expected ${SNAPSHOT_MODES.join(', ')})`);
+  }
+  activeMode = mode;
+}
+
+export function isSnapshotOnly() {
+  const mode = getSnapshotMode();
+  return mode === 'offline' || mode === 'replay';
+}
+
+export function getSnapshotDir() {
+  return process.env.PRS_SNAPSHOT_DIR
+    ? path.resolve(process.env.PRS_SNAPSHOT_DIR)
+    : resolveDataPath('snapshots');
+}
+
+function getSnapshotTime() {
+  const raw = process.env.PRS_SNAPSHOT_AT;
+  if (!raw) return null;
+
+  const time = /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+  return Number.isNaN(time) ? null : time;
+}
+
+export async function saveSnapshot(url, { html = null, notFound = false } = {}) {
+  const previous = pendingWrites.get(url) || Promise.resolve();
+  const write = previous
+    .then(() => writeSnapshot(getSnapshotDir(), url, html, notFound))
+    .catch(err => console.log(`⚠️ [Snapshots] Could not save ${url}: ${err.message}`));
+
+  pendingWrites.set(url, write);
+  await write;
+
+  if (pendingWrites.get(url) === write) {
+    pendingWrites.delete(url);
+  }
+}
+
+async function writeSnapshot(root, url, html, notFound) {
+  const dir = getPageDir(root, url);
+  const meta = await readJSON(path.join(dir, META_FILE), { url, snapshots: [] });
+  const sha1 = notFound ? null : hash(html);
+  const latest = meta.snapshots[meta.snapshots.length - 1];
+
+  if (latest && latest.sha1 === sha1) {
+    return;
+  }
+
+  const timestamp = Math.max(Date.now(), latest ? Date.parse(latest.fetchedAt) + 1 : 0);
+  const snapshot = {
+    fetchedAt: new Date(timestamp).toISOString(),
+    status: notFound ? 404 : 200,
+    file: notFound ? null : `${timestamp}.html`,
+    sha1,
+  };
+
+  await mkdir(dir, { recursive: true });
+  if (snapshot.file) {
+    await writeFile(path.join(dir, snapshot.file), html);
+  }
+
+  meta.snapshots.push(snapshot);
+  await writeJSON(path.join(dir, META_FILE), meta);
+  console.log(
+    `📸 [Snapshots] Saved ${notFound ? 'not-found marker' : `${html.length} bytes`} - ${url}`
+  );
+}
+
+export async function loadSnapshot(url, { at = getSnapshotTime() } = {}) {
+  const dir = getPageDir(getSnapshotDir(), url);
+  const meta = await readJSON(path.join(dir, META_FILE));
+  const snapshot = pickSnapshot(meta?.snapshots || [], at);
+
+  if (!snapshot) {
+    return null;
+  }
+
+  let html = null;
+  if (snapshot.file) {
+    try {
+      html = await readFile(path.join(dir, snapshot.file), 'utf8');
+    } catch (err) {
+      console.log(`⚠️ [Snapshots] Missing file ${snapshot.file} for ${url}: ${err.message}`);
+      return null;
+    }
+  }
+
+  return {
+    url,
+    fetchedAt: snapshot.fetchedAt,
+    status: snapshot.status,
+    notFound: snapshot.status === 404,
+    html,
+  };
+}
+
+function pickSnapshot(snapshots, at) {
+  const eligible =
+    at === null ? snapshots : snapshots.filter(snapshot => Date.parse(snapshot.fetchedAt) <= at);
+
+  return eligible[eligible.length - 1] || null;
+}
+
+export async function listSnapshots(root = getSnapshotDir()) {
+  const pagesDir = path.join(root, PAGES_DIR);
+  let names;
+
+  try {
+    names = await readdir(pagesDir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const pages = [];
+  for (const name of names) {
+    const meta = await readJSON(path.join(pagesDir, name, META_FILE));
+    if (meta?.url) {
+      pages.push({ dir: path.join(pagesDir, name), ...meta });
+    }
+  }
+
+  return pages.sort((a, b) => a.url.localeCompare(b.url));
+}
+
+export async function exportSnapshots(targetDir, { at = null, latestOnly = false } = {}) {
+  const pages = await listSnapshots();
+  let snapshotCount = 0;
+
+  for (const page of pages) {
+    const snapshots =
+      latestOnly || at !== null
+        ? [pickSnapshot(page.snapshots, at)].filter(Boolean)
+        : page.snapshots;
+
+    if (snapshots.length === 0) continue;
+
+    const dir = getPageDir(targetDir, page.url);
+    await mkdir(dir, { recursive: true });
+
+    for (const snapshot of snapshots) {
+      if (snapshot.file) {
+        await copyFile(path.join(page.dir, snapshot.file), path.join(dir, snapshot.file));
+      }
+    }
+
+    await writeJSON(path.join(dir, META_FILE), { url: page.url, snapshots });
+    snapshotCount += snapshots.length;
+  }
+
+  const manifest = {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    snapshotAt: at !== null ? new Date(at).toISOString() : null,
+    pages: pages.length,
+    snapshots: snapshotCount,
+  };
+
+  await writeJSON(path.join(targetDir, MANIFEST_FILE), manifest);
+  console.log(
+    `📦 [Snapshots] Exported ${snapshotCount} snapshots of ${pages.length} pages to ${targetDir}`
+  );
+
+  return manifest;
+}
+
+export async function importSnapshots(sourceDir) {
+  const manifest = await readJSON(path.join(sourceDir, MANIFEST_FILE));
+
+  if (manifest?.format !== SNAPSHOT_FORMAT) {
+    throw new Error(`${sourceDir} is not a snapshot export (missing ${MANIFEST_FILE})`);
+  }
+  if (manifest.version > SNAPSHOT_FORMAT_VERSION) {
+    throw new Error(
+      `Snapshot export version ${manifest.version} is newer than supported version ${SNAPSHOT_FORMAT_VERSION}`
+    );
+  }
+
+  const root = getSnapshotDir();
+  const pages = await listSnapshots(sourceDir);
+  let imported = 0;
+  let skipped = 0;
+
+  for (const page of pages) {
+    const dir = getPageDir(root, page.url);
+    const meta = await readJSON(path.join(dir, META_FILE), { url: page.url, snapshots: [] });
+    const known = new Set(meta.snapshots.map(snapshot => `${snapshot.fetchedAt}|${snapshot.sha1}`));
+
+    await mkdir(dir, { recursive: true });
+
+    for (const snapshot of page.snapshots) {
+      if (known.has(`${snapshot.fetchedAt}|${snapshot.sha1}`)) {
+        skipped++;
+        continue;
+      }
+
+      if (snapshot.file) {
+        await copyFile(path.join(page.dir, snapshot.file), path.join(dir, snapshot.file));
+      }
+      meta.snapshots.push(snapshot);
+      imported++;
+    }
+
+    meta.snapshots.sort((a, b) => a.fetchedAt.localeCompare(b.fetchedAt));
+    await writeJSON(path.join(dir, META_FILE), meta);
+  }
+
+  console.log(
+    `📦 [Snapshots] Imported ${imported} snapshots (${skipped} already present) from ${sourceDir}`
+  );
+
+  return { pages: pages.length, imported, skipped, exportedAt: manifest.exportedAt };
+}
+
+function getPageDir(root, url) {
+  return path.join(root, PAGES_DIR, hash(url));
+}
+
+function hash(value) {
+  return createHash('sha1').update(value).digest('hex');
+}
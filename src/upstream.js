@@ -0,0 +1,88 @@
+import { ROBOTS_DISALLOWED_REASON } from './fetchPolicy.js';
+
+export const UPSTREAM_FAILURES = {
+  timeout: {
+    code: 'UPSTREAM_TIMEOUT',
+    httpStatus: 504,
+    message: 'PRS India did not respond in time',
+    retryAfterSeconds: 10,
+  },
+  blocked: {
+    code: 'UPSTREAM_BLOCKED',
+    httpStatus: 503,
+    message: 'PRS India refused or rate-limited our requests',
+    retryAfterSeconds: 60,
+  },
+  error: {
+    code: 'UPSTREAM_UNAVAILABLE',
+    httpStatus: 502,
+    message: 'PRS India returned errors for the pages we tried',
+    retryAfterSeconds: 30,
+  },
+};
+
+export const NOT_FOUND_ERROR = {
+  code: 'MEMBER_NOT_FOUND',
+  httpStatus: 404,
+  message: 'Member not found in PRS India database',
+  retryable: false,
+};
+
+export const AMBIGUOUS_ERROR = {
+  code: 'MEMBER_AMBIGUOUS',
+  httpStatus: 409,
+  retryable: false,
+};
+
+export const INDEX_UNAVAILABLE_ERROR = {
+  code: 'INDEX_UNAVAILABLE',
+  httpStatus: 502,
+  message: 'The PRS member index could not be built from the listing pages',
+  retryable: true,
+  retryAfterSeconds: 30,
+};
+
+export const INDEX_BUILDING_ERROR = {
+  code: 'INDEX_BUILDING',
+  httpStatus: 503,
+  message: 'The PRS member index is being built; retry shortly',
+  retryable: true,
+  retryAfterSeconds: 30,
+};
+
+export const INTERNAL_ERROR = {
+  code: 'INTERNAL_ERROR',
+  httpStatus: 500,
+  retryable: false,
+};
+
+export function isUpstreamFailure(status) {
+  return Object.hasOwn(UPSTREAM_FAILURES, status);
+}
+
+export function classifyLookupFailure(attemptLog) {
+  const failed = attemptLog.filter(attempt => isUpstreamFailure(attempt.status));
+  if (failed.length === 0) return null;
+
+  const reachedSite = attemptLog.some(
+    attempt => attempt.status === 'ok' || attempt.status === 'notFound'
+  );
+  const indexMatchFailed = failed.some(attempt => attempt.source === 'index');
+
+  if (reachedSite && !indexMatchFailed) return null;
+
+  let status = 'error';
+  if (failed.some(attempt => attempt.status === 'blocked')) status = 'blocked';
+  else if (failed.every(attempt => attempt.status === 'timeout')) status = 'timeout';
+
+  const { retryAfterSeconds, ...failure } = UPSTREAM_FAILURES[status];
+  const retryable = !failed.every(attempt => attempt.reason === ROBOTS_DISALLOWED_REASON);
+
+  return {
+    ...failure,
+    retryable,
+    retryAfterSeconds: retryable ? retryAfterSeconds : null,
+    failedUrls: failed.length,
+    checkedUrls: attemptLog.length,
+  };
+}
@@ -1,13 +1,113 @@
+import { HTML_TTL, NEGATIVE_TTL, createEntry, getCache, isFresh } from './cache.js';
+import { getSnapshotMode, isSnapshotOnly, loadSnapshot, saveSnapshot } from './snapshots.js';
+import { ROBOTS_DISALLOWED_REASON, acquireFetchSlot, getPoliteHeaders, getRetryDelay } from './fetchPolicy.js';
 
 
 const MAX_RETRIES = 3;
-const RETRY_DELAY = 1000; 
 const TIMEOUT = 15000; 
 
 
-export async function fetchHTML(url, retries = MAX_RETRIES) {
+export async function fetchHTML(url, retries = MAX_RETRIES, { revalidate = false } = {}) {
+  if (isSnapshotOnly()) {
+    return readSnapshotHTML(url);
+  }
+  
+  // Recording always revalidates so a cached copy is never stored with a fresh fetchedAt
+  const recording = getSnapshotMode() === 'record';
+  const page = await loadHTML(url, retries, revalidate || recording);
+  
+  if (recording && !page.fromCache && (page.status === 'ok' || page.status === 'notFound')) {
+    await saveSnapshot(url, { html: page.html, notFound: page.status === 'notFound' });
+  }
+  
+  return page;
+}
+
+
+function createFetchResult(url, status, details = {}) {
+  return {
+    status,
+    url,
+    finalUrl: details.finalUrl || url,
+    httpStatus: details.httpStatus ?? null,
+    html: status === 'ok' ? details.html : null,
+    reason: details.reason || null,
+    attempts: details.attempts ?? 0,
+    fromCache: Boolean(details.fromCache)
+  };
+}
+
+
+async function readSnapshotHTML(url) {
+  const snapshot = await loadSnapshot(url);
+  
+  if (!snapshot) {
+    console.log(`📼 No snapshot (${getSnapshotMode()} mode) - ${url}`);
+    return createFetchResult(url, 'notFound', { reason: 'No snapshot stored for this URL' });
+  }
+  
+  console.log(`📼 Snapshot from ${snapshot.fetchedAt}${snapshot.notFound ? ' (not found)' : ''} - ${url}`);
+  return snapshot.notFound
+    ? createFetchResult(url, 'notFound', { httpStatus: 404, reason: `Not found when captured at ${snapshot.fetchedAt}`, fromCache: true })
+    : createFetchResult(url, 'ok', { html: snapshot.html, httpStatus: 200, fromCache: true });
+}
+
+
+async function loadHTML(url, retries, revalidate) {
+  const cache = getCache();
+  const key = `html:${url}`;
+  const cached = await cache.get(key);
+  
+  if (isFresh(cached) && !revalidate) {
+    console.log(`💾 Cache hit${cached.notFound ? ' (not found)' : ''} - ${url}`);
+    return cached.notFound
+      ? createFetchResult(url, 'notFound', { reason: cached.reason || 'Cached not-found', fromCache: true })
+      : createFetchResult(url, 'ok', { html: cached.value, fromCache: true });
+  }
+  
+  const validators = cached && !cached.notFound ? cached : null;
+  const result = await requestHTML(url, retries, validators);
+  
+  if (result.status === 'notModified' && validators) {
+    console.log(`♻️ Not modified, revalidated cache - ${url}`);
+    await cache.set(key, createEntry(validators.value, HTML_TTL, {
+      etag: validators.etag,
+      lastModified: validators.lastModified
+    }));
+    return createFetchResult(url, 'ok', { ...result, html: validators.value });
+  }
+  
+  if (result.status === 'notModified') {
+    return createFetchResult(url, 'error', { ...result, reason: 'Unexpected 304 without a cached copy' });
+  }
+  
+  if (result.status === 'notFound') {
+    await cache.set(key, createEntry(null, NEGATIVE_TTL, { notFound: true, reason: result.reason }));
+  }
+  
+  if (result.status !== 'ok') {
+    return createFetchResult(url, result.status, result);
+  }
+  
+  await cache.set(key, createEntry(result.html, HTML_TTL, {
+    etag: result.etag,
+    lastModified: result.lastModified
+  }));
+  return createFetchResult(url, 'ok', result);
+}
+
+
+async function requestHTML(url, retries, validators) {
+  const attempt = MAX_RETRIES - retries;
+  const attempts = attempt + 1;
+  const slot = await acquireFetchSlot(url);
+  
+  if (!slot.allowed) {
+    return { status: 'blocked', reason: ROBOTS_DISALLOWED_REASON, attempts: attempt };
+  }
+  
   try {
-    console.log(`🌐 Fetching: ${url} (${MAX_RETRIES - retries + 1}/${MAX_RETRIES})`);
+    console.log(`🌐 Fetching: ${url} (${attempts}/${MAX_RETRIES})`);
     
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), TIMEOUT);
@@ -15,31 +115,33 @@ export async function fetchHTML(url, retries = MAX_RETRIES) {
     const response = await fetch(url, {
       method: 'GET',
       headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        ...getPoliteHeaders(),
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
         'Accept-Language': 'en-US,en;q=0.9',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1',
-        'Cache-Control': 'max-age=0',
-        'Referer': 'https://prsindia.org/',
+        ...(validators?.etag && { 'If-None-Match': validators.etag }),
+        ...(validators?.lastModified && { 'If-Modified-Since': validators.lastModified }),
       },
       signal: controller.signal,
       redirect: 'follow',
     });
 
     clearTimeout(timeoutId);
+    
+    const httpStatus = response.status;
+    const finalUrl = response.url || url;
+
+    if (httpStatus === 304) {
+      return { status: 'notModified', httpStatus, finalUrl, attempts };
+    }
 
     if (!response.ok) {
-      console.log(`❌ HTTP ${response.status} - ${url}`);
+      console.log(`❌ HTTP ${httpStatus} - ${url}`);
       
-      if ((response.status >= 500 || response.status === 429) && retries > 0) {
-        console.log(`🔄 Retrying in ${RETRY_DELAY}ms...`);
-        await sleep(RETRY_DELAY);
-        return fetchHTML(url, retries - 1);
+      if ((httpStatus >= 500 || httpStatus === 429) && retries > 0) {
+        return retryRequest(url, retries, validators, response);
       }
       
-      return null;
+      return { status: classifyHttpStatus(httpStatus), reason: `HTTP ${httpStatus}`, httpStatus, finalUrl, attempts };
     }
 
     const html = await response.text();
@@ -48,35 +150,141 @@ export async function fetchHTML(url, retries = MAX_RETRIES) {
       console.log(`⚠️ Response too short (${html?.length || 0} bytes)`);
       
       if (retries > 0) {
-        await sleep(RETRY_DELAY);
-        return fetchHTML(url, retries - 1);
+        return retryRequest(url, retries, validators);
       }
       
-      return null;
+      return { status: 'error', reason: `Response too short (${html?.length || 0} bytes)`, httpStatus, finalUrl, attempts };
+    }
+    
+    const blockedReason = detectBlockPage(html);
+    if (blockedReason) {
+      console.log(`🚫 Blocked (${blockedReason}) - ${url}`);
+      return { status: 'blocked', reason: blockedReason, httpStatus, finalUrl, attempts };
     }
 
-    if (html.includes('404') && html.includes('not found')) {
-      console.log(`📄 404 Not Found - ${url}`);
-      return null;
+    const missingReason = detectMissingPage(html, url, finalUrl);
+    if (missingReason) {
+      console.log(`📄 Not Found (${missingReason}) - ${url}`);
+      return { status: 'notFound', reason: missingReason, httpStatus, finalUrl, attempts };
     }
 
     console.log(`✅ Fetched ${html.length} bytes`);
-    return html;
+    return {
+      status: 'ok',
+      html,
+      httpStatus,
+      finalUrl,
+      attempts,
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified')
+    };
 
   } catch (err) {
-    if (err.name === 'AbortError') {
+    const timedOut = err.name === 'AbortError';
+    
+    if (timedOut) {
       console.log(`⏱️ Timeout after ${TIMEOUT}ms - ${url}`);
     } else {
       console.log(`❌ Fetch error: ${err.message}`);
     }
 
     if (retries > 0) {
-      console.log(`🔄 Retrying in ${RETRY_DELAY}ms... (${retries} attempts left)`);
-      await sleep(RETRY_DELAY);
-      return fetchHTML(url, retries - 1);
+      return retryRequest(url, retries, validators);
     }
 
-    return null;
+    return {
+      status: timedOut ? 'timeout' : 'error',
+      reason: timedOut ? `Timed out after ${TIMEOUT}ms` : err.message,
+      attempts
+    };
+  }
+}
+
+
+async function retryRequest(url, retries, validators, response = null) {
+  const attempt = MAX_RETRIES - retries;
+  const delay = getRetryDelay(attempt, response);
+  
+  if (delay === null) {
+    console.log(`🛑 Retry-After exceeds the retry budget, giving up - ${url}`);
+    return {
+      status: response.status === 429 ? 'blocked' : 'error',
+      reason: `HTTP ${response.status} with Retry-After beyond the retry budget`,
+      httpStatus: response.status,
+      attempts: attempt + 1
+    };
+  }
+  
+  console.log(`🔄 Retrying in ${delay}ms... (${retries} attempts left)`);
+  await sleep(delay);
+  return requestHTML(url, retries - 1, validators);
+}
+
+
+function classifyHttpStatus(httpStatus) {
+  if (httpStatus === 404 || httpStatus === 410) return 'notFound';
+  if ([401, 403, 429, 451].includes(httpStatus)) return 'blocked';
+  if (httpStatus === 408 || httpStatus === 504) return 'timeout';
+  return 'error';
+}
+
+
+function getPageTitle(html) {
+  const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return match ? match[1].replace(/\s+/g, ' ').trim() : '';
+}
+
+
+function getBodyClasses(html) {
+  const match = html.match(/<body[^>]*\sclass=["']([^"']*)["']/i);
+  return match ? match[1].split(/\s+/) : [];
+}
+
+
+function detectBlockPage(html) {
+  const title = getPageTitle(html);
+  
+  if (/^(just a moment|attention required|access denied|request rejected)\b/i.test(title)) {
+    return `challenge page "${title}"`;
+  }
+  
+  return null;
+}
+
+
+function detectMissingPage(html, requestedUrl, finalUrl) {
+  if (isRedirectedToAncestor(requestedUrl, finalUrl)) {
+    return `redirected to ${finalUrl}`;
+  }
+  
+  const title = getPageTitle(html);
+  if (/^(page not found|404\b|not found\b)/i.test(title)) {
+    return `page title "${title}"`;
+  }
+  
+  const notFoundClass = getBodyClasses(html).find(cls => /^(page-404|error-404|page-not-found|not-found)$/.test(cls));
+  if (notFoundClass) {
+    return `body class "${notFoundClass}"`;
+  }
+  
+  return null;
+}
+
+
+function isRedirectedToAncestor(requestedUrl, finalUrl) {
+  if (!finalUrl || finalUrl === requestedUrl) return false;
+  
+  try {
+    const requested = new URL(requestedUrl);
+    const final = new URL(finalUrl);
+    const requestedPath = requested.pathname.replace(/\/+$/, '');
+    const finalPath = final.pathname.replace(/\/+$/, '');
+    
+    return requested.host === final.host &&
+      requestedPath !== finalPath &&
+      (finalPath === '' || requestedPath.startsWith(`${finalPath}/`));
+  } catch (e) {
+    return false;
   }
 }
 
@@ -91,7 +299,7 @@ export async function fetchMultipleHTML(urls, concurrency = 3) {
   const executing = [];
 
   for (const url of urls) {
-    const promise = fetchHTML(url).then(html => ({ url, html }));
+    const promise = fetchHTML(url).then(page => ({ url, html: page.html, status: page.status }));
     results.push(promise);
 
     if (concurrency <= urls.length) {
@@ -110,14 +318,15 @@ export async function fetchMultipleHTML(urls, concurrency = 3) {
 
 export async function isURLAccessible(url) {
   try {
+    const slot = await acquireFetchSlot(url);
+    if (!slot.allowed) return false;
+
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 5000);
 
     const response = await fetch(url, {
       method: 'HEAD',
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-      },
+      headers: getPoliteHeaders(),
       signal: controller.signal,
     });
 
@@ -0,0 +1,495 @@
+import { createHmac, randomBytes } from 'node:crypto';
+import { lookup } from 'node:dns/promises';
+import { appendFile, mkdir, readFile } from 'node:fs/promises';
+import { BlockList, isIP } from 'node:net';
+import path from 'node:path';
+import { readJSON, resolveDataPath, writeJSON } from './dataStore.js';
+import { toNumber } from './numbers.js';
+
+export const WEBHOOK_EVENTS = [
+  'question.new',
+  'debate.new',
+  'attendance.below',
+  'party.changed',
+  'field.changed',
+];
+
+const SUBSCRIPTIONS_FILE = 'subscriptions.json';
+const OUTBOX_FILE = 'outbox.json';
+const DEAD_LETTER_FILE = 'dead-letter.jsonl';
+
+const MAX_DELIVERY_ATTEMPTS = 6;
+const RETRY_BASE = 30000;
+const RETRY_CAP = 3600000;
+const DELIVERY_TIMEOUT = 10000;
+const MIN_SECRET_LENGTH = 16;
+const USER_AGENT = 'PRS-Scraper-Webhooks/1.0';
+const MEMBER_URL_PATTERN = /^https:\/\/prsindia\.org\/(mptrack|mlatrack)\/[^?#]+$/;
+
+const PRIVATE_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+const privateAddresses = new BlockList();
+for (const [network, prefix, family] of PRIVATE_RANGES) {
+  privateAddresses.addSubnet(network, prefix, family);
+}
+
+let storeLock = Promise.resolve();
+const inFlight = new Set();
+
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+export function getMemberTypeFromUrl(url) {
+  if (!MEMBER_URL_PATTERN.test(url || '')) return null;
+  if (url.includes('/mlatrack/')) return 'MLA';
+  return url.includes('/mptrack/rajya-sabha/') ? 'RS' : 'MP';
+}
+
+export async function createSubscription({
+  callbackUrl,
+  members,
+  events = WEBHOOK_EVENTS,
+  attendanceBelow = null,
+  secret = null,
+}) {
+  const error =
+    validateSubscription({ callbackUrl, members, events, attendanceBelow, secret }) ||
+    (await validateCallbackUrl(callbackUrl));
+  if (error) return { error };
+
+  const subscription = {
+    id: `sub_${randomBytes(8).toString('hex')}`,
+    callbackUrl,
+    secret: secret || randomBytes(32).toString('hex'),
+    members: members.map(member => ({
+      url: member.url,
+      name: member.name || null,
+      type: member.type || getMemberTypeFromUrl(member.url),
+    })),
+    events: [...new Set(events)],
+    attendanceBelow: attendanceBelow === null ? null : Number(attendanceBelow),
+    active: true,
+    createdAt: new Date().toISOString(),
+  };
+
+  await withStore(async () => {
+    const store = await readSubscriptions();
+    store.subscriptions.push(subscription);
+    await writeJSON(getStorePath(SUBSCRIPTIONS_FILE), store);
+  });
+
+  console.log(
+    `🔔 [Webhooks] Subscription ${subscription.id} created for ${subscription.members.length} members -> ${callbackUrl}`
+  );
+  return { subscription };
+}
+
+export async function listSubscriptions() {
+  const { subscriptions } = await readSubscriptions();
+  return subscriptions.map(toPublicSubscription);
+}
+
+export async function getSubscription(id) {
+  const { subscriptions } = await readSubscriptions();
+  const subscription = subscriptions.find(item => item.id === id);
+  return subscription ? toPublicSubscription(subscription) : null;
+}
+
+export async function deleteSubscription(id) {
+  return withStore(async () => {
+    const store = await readSubscriptions();
+    const remaining = store.subscriptions.filter(item => item.id !== id);
+    if (remaining.length === store.subscriptions.length) return false;
+
+    await writeJSON(getStorePath(SUBSCRIPTIONS_FILE), { subscriptions: remaining });
+    console.log(`🔕 [Webhooks] Subscription ${id} deleted`);
+    return true;
+  });
+}
+
+export async function listSubscribedMembers() {
+  const { subscriptions } = await readSubscriptions();
+  const members = new Map();
+
+  for (const subscription of subscriptions.filter(item => item.active)) {
+    for (const member of subscription.members) {
+      if (!members.has(member.url)) members.set(member.url, member);
+    }
+  }
+
+  return [...members.values()];
+}
+
+export async function notifySubscribers(change) {
+  const { subscriptions } = await readSubscriptions();
+  const deliveries = [];
+
+  for (const subscription of subscriptions) {
+    if (!subscription.active || !subscription.members.some(member => member.url === change.url))
+      continue;
+
+    const events = matchEvents(subscription, change);
+    if (events.length === 0) continue;
+
+    const id = `dlv_${randomBytes(8).toString('hex')}`;
+    deliveries.push({
+      id,
+      subscriptionId: subscription.id,
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString(),
+      payload: {
+        id,
+        event: 'member.changed',
+        subscriptionId: subscription.id,
+        createdAt: new Date().toISOString(),
+        member: { url: change.url, name: change.name, type: change.type },
+        events,
+        changes: {
+          from: change.from,
+          to: change.to,
+          fields: change.fields,
+          newRows: change.newRows,
+        },
+      },
+    });
+  }
+
+  if (deliveries.length === 0) return { queued: 0 };
+
+  await withStore(async () => {
+    const outbox = await readOutbox();
+    outbox.deliveries.push(...deliveries);
+    await writeJSON(getStorePath(OUTBOX_FILE), outbox);
+  });
+
+  console.log(
+    `🔔 [Webhooks] Queued ${deliveries.length} deliveries for ${change.name || change.url}`
+  );
+  return { queued: deliveries.length };
+}
+
+export async function processDeliveries({
+  now = Date.now(),
+  maxAttempts = MAX_DELIVERY_ATTEMPTS,
+  timeoutMs = DELIVERY_TIMEOUT,
+} = {}) {
+  const [{ deliveries }, { subscriptions }] = await Promise.all([
+    readOutbox(),
+    readSubscriptions(),
+  ]);
+  const due = deliveries.filter(
+    delivery => !inFlight.has(delivery.id) && Date.parse(delivery.nextAttemptAt) <= now
+  );
+  const summary = { attempted: due.length, delivered: 0, retrying: 0, deadLettered: 0, pending: 0 };
+
+  if (due.length === 0) {
+    return { ...summary, pending: deliveries.length };
+  }
+
+  due.forEach(delivery => inFlight.add(delivery.id));
+
+  try {
+    const outcomes = await Promise.all(
+      due.map(async delivery => {
+        const subscription = subscriptions.find(item => item.id === delivery.subscriptionId);
+        if (!subscription) return { id: delivery.id, discard: true };
+
+        return { id: delivery.id, ...(await sendDelivery(subscription, delivery, timeoutMs)) };
+      })
+    );
+
+    await withStore(async () => {
+      const outbox = await readOutbox();
+      const remaining = [];
+      const deadLetters = [];
+
+      for (const delivery of outbox.deliveries) {
+        const outcome = outcomes.find(item => item.id === delivery.id);
+        if (!outcome) {
+          remaining.push(delivery);
+          continue;
+        }
+
+        if (outcome.discard) continue;
+        if (outcome.ok) {
+          summary.delivered++;
+          continue;
+        }
+
+        const attempts = delivery.attempts + 1;
+        const updated = {
+          ...delivery,
+          attempts,
+          lastError: outcome.error,
+          lastAttemptAt: new Date().toISOString(),
+        };
+
+        if (!outcome.retryable || attempts >= maxAttempts) {
+          deadLetters.push({ ...updated, deadLetteredAt: new Date().toISOString() });
+          summary.deadLettered++;
+        } else {
+          updated.nextAttemptAt = new Date(
+            Date.now() + Math.min(RETRY_CAP, RETRY_BASE * 2 ** (attempts - 1))
+          ).toISOString();
+          remaining.push(updated);
+          summary.retrying++;
+        }
+      }
+
+      if (deadLetters.length > 0) {
+        await mkdir(path.dirname(getStorePath(DEAD_LETTER_FILE)), { recursive: true });
+        await appendFile(
+          getStorePath(DEAD_LETTER_FILE),
+          deadLetters.map(entry => `${JSON.stringify(entry)}\n`).join('')
+        );
+      }
+
+      await writeJSON(getStorePath(OUTBOX_FILE), { deliveries: remaining });
+      summary.pending = remaining.length;
+    });
+  } finally {
+    due.forEach(delivery => inFlight.delete(delivery.id));
+  }
+
+  if (summary.attempted > 0) {
+    console.log(
+      `📬 [Webhooks] ${summary.delivered}/${summary.attempted} delivered, ${summary.retrying} retrying, ${summary.deadLettered} dead-lettered, ${summary.pending} pending`
+    );
+  }
+
+  return summary;
+}
+
+export async function readDeadLetters({ limit = 50 } = {}) {
+  const entries = [];
+
+  try {
+    const raw = await readFile(getStorePath(DEAD_LETTER_FILE), 'utf8');
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (e) {
+        console.log('⚠️ [Webhooks] Skipping truncated line in dead-letter log');
+      }
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  return entries.slice(-limit).reverse();
+}
+
+export async function validateCallbackUrl(callbackUrl) {
+  const allowLocal = process.env.PRS_WEBHOOK_ALLOW_LOCAL === 'true';
+  let url;
+
+  try {
+    url = new URL(callbackUrl);
+  } catch (e) {
+    return 'callbackUrl must be an absolute https URL';
+  }
+
+  if (url.protocol !== 'https:' && !(allowLocal && url.protocol === 'http:')) {
+    return 'callbackUrl must be an absolute https URL';
+  }
+
+  if (allowLocal) return null;
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+
+  try {
+    addresses = isIP(hostname)
+      ? [{ address: hostname }]
+      : await lookup(hostname, { all: true, verbatim: true });
+  } catch (err) {
+    return `callbackUrl host could not be resolved: ${err.code || err.message}`;
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    return 'callbackUrl must resolve to a public address (loopback, link-local and private ranges are refused)';
+  }
+
+  return null;
+}
+
+function isPrivateAddress(address) {
+  return privateAddresses.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+async function sendDelivery(subscription, delivery, timeoutMs) {
+  const refused = await validateCallbackUrl(subscription.callbackUrl);
+  if (refused) {
+    return { ok: false, error: refused, retryable: false };
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(subscription.callbackUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-PRS-Event': delivery.payload.event,
+        'X-PRS-Delivery': delivery.id,
+        'X-PRS-Timestamp': timestamp,
+        'X-PRS-Signature': signPayload(subscription.secret, timestamp, body),
+      },
+      body,
+      signal: controller.signal,
+      redirect: 'manual',
+    });
+
+    if (response.ok) {
+      return { ok: true };
+    }
+
+    const status = response.status;
+    return {
+      ok: false,
+      error: `HTTP ${status}`,
+      retryable: status >= 500 || status === 429 || status === 408,
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      error: err.name === 'AbortError' ? `Timed out after ${timeoutMs}ms` : err.message,
+      retryable: true,
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function matchEvents(subscription, change) {
+  const events = [];
+  const wants = type => subscription.events.includes(type);
+  const field = name => change.fields.find(item => item.field === name);
+
+  if (wants('question.new') && change.newRows.questions.length > 0) {
+    events.push({
+      type: 'question.new',
+      count: change.newRows.questions.length,
+      rows: change.newRows.questions,
+    });
+  }
+
+  if (wants('debate.new') && change.newRows.debates.length > 0) {
+    events.push({
+      type: 'debate.new',
+      count: change.newRows.debates.length,
+      rows: change.newRows.debates,
+    });
+  }
+
+  const attendance = field('attendance');
+  if (wants('attendance.below') && subscription.attendanceBelow !== null && attendance) {
+    const before = toNumber(attendance.from);
+    const after = toNumber(attendance.to);
+
+    if (
+      after !== null &&
+      after < subscription.attendanceBelow &&
+      (before === null || before >= subscription.attendanceBelow)
+    ) {
+      events.push({
+        type: 'attendance.below',
+        threshold: subscription.attendanceBelow,
+        from: attendance.from,
+        to: attendance.to,
+      });
+    }
+  }
+
+  const party = field('party');
+  if (wants('party.changed') && party) {
+    events.push({ type: 'party.changed', from: party.from, to: party.to });
+  }
+
+  if (wants('field.changed') && change.fields.length > 0) {
+    events.push({ type: 'field.changed', fields: change.fields });
+  }
+
+  return events;
+}
+
+function validateSubscription({ callbackUrl, members, events, attendanceBelow, secret }) {
+  if (typeof callbackUrl !== 'string' || !callbackUrl) {
+    return 'callbackUrl must be an absolute https URL';
+  }
+
+  if (!Array.isArray(members) || members.length === 0) {
+    return 'members must list at least one member';
+  }
+  if (members.some(member => !getMemberTypeFromUrl(member.url))) {
+    return 'members must be PRS member profile URLs';
+  }
+
+  if (
+    !Array.isArray(events) ||
+    events.length === 0 ||
+    events.some(event => !WEBHOOK_EVENTS.includes(event))
+  ) {
+    return `events must be a non-empty list of ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+
+  if (
+    attendanceBelow !== null &&
+    !(Number(attendanceBelow) > 0 && Number(attendanceBelow) <= 100)
+  ) {
+    return 'attendanceBelow must be a percentage between 0 and 100';
+  }
+  if (events.includes('attendance.below') && attendanceBelow === null && events.length === 1) {
+    return 'attendance.below needs an attendanceBelow threshold';
+  }
+
+  if (secret !== null && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH)) {
+    return `secret must be a string of at least ${MIN_SECRET_LENGTH} characters`;
+  }
+
+  return null;
+}
+
+function toPublicSubscription({ secret: _secret, ...subscription }) {
+  return subscription;
+}
+
+async function readSubscriptions() {
+  return readJSON(getStorePath(SUBSCRIPTIONS_FILE), { subscriptions: [] });
+}
+
+async function readOutbox() {
+  return readJSON(getStorePath(OUTBOX_FILE), { deliveries: [] });
+}
+
+function withStore(task) {
+  const run = storeLock.then(task);
+  storeLock = run.catch(() => {});
+  return run;
+}
+
+function getStorePath(file) {
+  return resolveDataPath('webhooks', file);
+}
@@ -0,0 +1,119 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { memberPage, setupTestEnv, teardownTestEnv } from './helpers.js';
+
+const BASE = 'https://prsindia.org/mptrack';
+const SLOW_DELAY = 1500;
+const PMB_FIELD = /<div class="field-name-field-source">.*<\/div>\n/;
+
+const MEMBERS = [
+  { slug: 'shashi-tharoor', state: 'Kerala', party: 'Indian National Congress', attendance: '89%', debates: '23', gender: 'Male' },
+  { slug: 'hibi-eden', state: 'Kerala', party: 'Indian National Congress', attendance: '95%', debates: '10', gender: 'Male', pmbMissing: true },
+  { slug: 'k-radhakrishnan', state: 'Kerala', party: 'Communist Party of India (Marxist)', attendance: '60%', debates: '4', gender: 'Female' },
+  { slug: 'shafi-parambil', state: 'Kerala', party: 'Indian National Congress', attendance: 'N/A', debates: 'N/A', gender: 'N/A' },
+  { slug: 'missing-member', state: 'Kerala', party: 'Indian National Congress' },
+  { slug: 'earlier-member', state: 'Kerala', party: 'Indian National Congress', house: '17th-lok-sabha' },
+  { slug: 'goa-member', state: 'Goa', party: 'Bharatiya Janata Party', attendance: '70%', debates: '1', gender: 'Male' },
+  { slug: 'slow-member', state: 'Goa', party: 'Bharatiya Janata Party', attendance: '80%', debates: '2', gender: 'Male' }
+].map(member => {
+  const house = member.house || '18th-lok-sabha';
+  return { type: 'MP', name: member.slug, constituency: member.slug, ...member, house, url: `${BASE}/${house}/${member.slug}` };
+});
+
+let dataDir;
+let getAggregateStats;
+const requested = [];
+
+before(async () => {
+  dataDir = setupTestEnv('aggregate', {
+    members: MEMBERS,
+    fetch: async url => {
+      if (String(url).endsWith('/robots.txt')) return new Response('', { status: 404 });
+
+      requested.push(String(url));
+      const member = MEMBERS.find(m => m.url === String(url));
+      if (!member?.attendance) return new Response('', { status: 404 });
+      if (member.slug === 'slow-member') {
+        await new Promise(resolve => setTimeout(resolve, SLOW_DELAY));
+      }
+      const html = memberPage(member);
+      return new Response(member.pmbMissing ? html.replace(PMB_FIELD, '') : html, { status: 200 });
+    }
+  });
+
+  ({ getAggregateStats } = await import('../src/aggregates.js'));
+});
+
+after(() => teardownTestEnv(dataDir));
+
+test('state aggregates average, total and count across sitting members', async () => {
+  const { found, aggregate, fromCache } = await getAggregateStats({ state: 'kerala' });
+
+  assert.equal(found, true);
+  assert.equal(fromCache, false);
+  assert.deepEqual(aggregate.scope, {
+    type: 'MP',
+    house: '18th-lok-sabha',
+    state: 'Kerala',
+    party: null,
+    parties: ['Communist Party of India (Marxist)', 'Indian National Congress']
+  });
+
+  assert.deepEqual(aggregate.metrics.attendance, { unit: 'percent', mean: 81.33, median: 89, min: 60, max: 95, reported: 3 });
+  assert.deepEqual(aggregate.metrics.debates, { unit: 'count', total: 37, mean: 12.33, median: 10, min: 4, max: 23, reported: 3 });
+  assert.deepEqual(aggregate.metrics.pmb, { unit: 'count', total: 9, mean: 3, median: 3, min: 3, max: 3, reported: 3 });
+  assert.deepEqual(aggregate.gender, { Male: 2, Female: 1, Unknown: 1 });
+  assert.deepEqual(aggregate.education, { Doctorate: 4 });
+
+  assert.equal(aggregate.complete, false);
+  assert.deepEqual(aggregate.coverage, { members: 5, covered: 4, missing: 1, fromSnapshots: 0, oldestSnapshotAt: null, schemaInvalid: 0 });
+  assert.deepEqual(aggregate.missing.map(m => [m.name, m.status]), [['missing-member', 'notFound']]);
+  assert.ok(!requested.includes(`${BASE}/17th-lok-sabha/earlier-member`));
+});
+
+test('partial aggregates are not cached; members seen recently come from stored snapshots unless refreshed', async () => {
+  const repeated = await getAggregateStats({ state: 'Kerala' });
+  assert.equal(repeated.fromCache, false);
+  assert.equal(repeated.aggregate.complete, false);
+  assert.equal(repeated.aggregate.coverage.fromSnapshots, 4);
+  assert.deepEqual(repeated.aggregate.metrics.attendance, { unit: 'percent', mean: 81.33, median: 89, min: 60, max: 95, reported: 3 });
+  assert.equal(repeated.aggregate.metrics.pmb.reported, 3);
+  assert.deepEqual(repeated.aggregate.missing.map(m => m.name), ['missing-member']);
+
+  const refreshed = await getAggregateStats({ state: 'Kerala', refresh: true });
+  assert.equal(refreshed.aggregate.coverage.fromSnapshots, 0);
+  assert.equal(refreshed.aggregate.coverage.covered, 4);
+});
+
+test('party filters match by name or acronym, and unmatched filters are reported', async () => {
+  const { aggregate } = await getAggregateStats({ state: 'Kerala', party: 'cpim' });
+  assert.deepEqual(aggregate.members.map(m => m.name), ['k-radhakrishnan']);
+  assert.equal(aggregate.complete, true);
+  assert.equal((await getAggregateStats({ state: 'Kerala', party: 'cpim' })).fromCache, true);
+
+  assert.deepEqual(await getAggregateStats({ state: 'Atlantis' }), { found: false, reason: 'Unknown state "Atlantis"' });
+  assert.deepEqual(await getAggregateStats({ state: 'Kerala', type: 'MLA' }), { found: false, reason: 'No sitting members match these filters' });
+});
+
+test('the deadline cuts off slow fetches and returns what was collected', async () => {
+  const startedAt = Date.now();
+  const { aggregate } = await getAggregateStats({ state: 'Goa', concurrency: 1, deadlineMs: 1000 });
+
+  assert.ok(Date.now() - startedAt < SLOW_DELAY);
+  assert.equal(aggregate.complete, false);
+  assert.equal(aggregate.metrics.attendance.mean, 70);
+  assert.deepEqual(aggregate.missing.map(m => [m.name, m.status, m.reason]), [
+    ['slow-member', 'timeout', 'Aggregate deadline of 1000ms exceeded']
+  ]);
+});
+
+test('members that missed the deadline are served from the snapshot their late fetch stored', async () => {
+  await new Promise(resolve => setTimeout(resolve, SLOW_DELAY));
+  requested.length = 0;
+
+  const { aggregate } = await getAggregateStats({ state: 'Goa', concurrency: 1, deadlineMs: 1000 });
+  assert.equal(aggregate.complete, true);
+  assert.equal(aggregate.coverage.fromSnapshots, 2);
+  assert.equal(aggregate.metrics.attendance.mean, 75);
+  assert.deepEqual(requested, []);
+});
@@ -0,0 +1,102 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { analyzeMember, setAnalysisProvider } from '../src/analysis.js';
+
+let providerDir;
+
+function member(overrides = {}) {
+  return {
+    name: 'Shashi Tharoor',
+    party: 'Indian National Congress',
+    state: 'Kerala',
+    constituency: 'Thiruvananthapuram',
+    attendance: '70%',
+    natAttendance: '84%',
+    stateAttendance: '82%',
+    debates: '5',
+    natDebates: '14.6',
+    stateDebates: '12.1',
+    questions: '112',
+    natQuestions: '60.4',
+    stateQuestions: '70.2',
+    pmb: '0',
+    natPMB: '0.8',
+    statePMB: '0.5',
+    ...overrides
+  };
+}
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  providerDir = mkdtempSync(path.join(tmpdir(), 'prs-analysis-'));
+});
+
+after(() => {
+  rmSync(providerDir, { recursive: true, force: true });
+});
+
+test('PRS_ANALYSIS_PROVIDER loads a narrative provider module', async () => {
+  const modulePath = path.join(providerDir, 'provider.mjs');
+  writeFileSync(modulePath, 'export default ({ member, analysis }) => `${member.name}: ${analysis.flags.map(flag => flag.code).join(",")}`;\n');
+  process.env.PRS_ANALYSIS_PROVIDER = modulePath;
+
+  try {
+    const analysis = await analyzeMember(member());
+    assert.equal(analysis.narrative, 'Shashi Tharoor: LOW_ATTENDANCE,ZERO_PMB,LOW_DEBATES,HIGH_QUESTIONS');
+
+    const skipped = await analyzeMember(member(), { useProvider: false });
+    assert.equal(skipped.narrative, null);
+  } finally {
+    delete process.env.PRS_ANALYSIS_PROVIDER;
+  }
+});
+
+test('stub provider receives the member and analysis, and failures leave the narrative empty', async () => {
+  const calls = [];
+  setAnalysisProvider(async input => {
+    calls.push(input);
+    return '  Attendance is low.  ';
+  });
+
+  const analysis = await analyzeMember(member());
+  assert.equal(analysis.narrative, 'Attendance is low.');
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].member.name, 'Shashi Tharoor');
+  assert.equal(calls[0].analysis.metrics.attendance.deltaNational, -14);
+
+  setAnalysisProvider(async () => {
+    throw new Error('model unavailable');
+  });
+  assert.equal((await analyzeMember(member())).narrative, null);
+
+  setAnalysisProvider(null);
+  assert.equal((await analyzeMember(member())).narrative, null);
+});
+
+test('state and national comparisons come from the page; percentiles need batch peers', async () => {
+  const single = await analyzeMember(member(), { useProvider: false });
+  assert.deepEqual(single.metrics.attendance, {
+    value: 70,
+    unit: 'percent',
+    national: 84,
+    state: 82,
+    deltaNational: -14,
+    deltaState: -12,
+    ratioNational: 0.83,
+    ratioState: 0.85,
+    percentile: null,
+    peerCount: 0
+  });
+
+  const peers = [member(), member({ name: 'A', attendance: '90%' }), member({ name: 'B', attendance: '60%' })];
+  const ranked = await analyzeMember(member(), { peers, useProvider: false });
+  assert.equal(ranked.metrics.attendance.percentile, 50);
+  assert.equal(ranked.metrics.attendance.peerCount, 3);
+
+  const unpublished = await analyzeMember(member({ natAttendance: 'N/A', stateAttendance: 'N/A' }), { useProvider: false });
+  assert.equal(unpublished.metrics.attendance.deltaNational, null);
+  assert.equal(unpublished.metrics.attendance.deltaState, null);
+});
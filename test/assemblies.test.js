@@ -0,0 +1,51 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { listAssemblyCoverage, matchAssemblyMetric, recordAssemblyCoverage } from '../src/assemblies.js';
+
+const BASE = 'https://prsindia.org/mlatrack';
+
+let dataDir;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  dataDir = mkdtempSync(path.join(tmpdir(), 'prs-assemblies-'));
+  process.env.PRS_DATA_DIR = dataDir;
+});
+
+after(() => {
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('activity labels match a metric by name or prefix', () => {
+  assert.equal(matchAssemblyMetric('Attendance :'), 'attendance');
+  assert.equal(matchAssemblyMetric('Questions asked*'), 'questions');
+  assert.equal(matchAssemblyMetric('Debates participated'), 'debates');
+  assert.equal(matchAssemblyMetric('Sitting attendance'), null);
+});
+
+test('coverage lists only states seen on parsed pages, published when a page showed activity', async () => {
+  assert.deepEqual(await listAssemblyCoverage(), []);
+
+  await Promise.all([
+    recordAssemblyCoverage(`${BASE}/a`, { state: 'Kerala', published: true, metrics: ['questions'] }),
+    recordAssemblyCoverage(`${BASE}/b`, { state: 'Kerala', published: true, metrics: ['attendance'] }),
+    recordAssemblyCoverage(`${BASE}/c`, { state: 'Kerala', published: false, metrics: [] }),
+    recordAssemblyCoverage(`${BASE}/d`, { state: 'Delhi', published: false, metrics: [] }),
+    recordAssemblyCoverage(`${BASE}/e`, { state: null, published: false, metrics: [] })
+  ]);
+  await recordAssemblyCoverage(`${BASE}/d`, { state: 'Delhi', published: false, metrics: [] });
+
+  const coverage = await listAssemblyCoverage();
+
+  assert.deepEqual(
+    coverage.map(({ lastSeenAt, ...entry }) => entry),
+    [
+      { state: 'Delhi', published: false, pagesSeen: 1, pagesWithActivity: 0, metrics: [] },
+      { state: 'Kerala', published: true, pagesSeen: 3, pagesWithActivity: 2, metrics: ['attendance', 'questions'] }
+    ]
+  );
+  assert.ok(coverage.every(entry => !Number.isNaN(Date.parse(entry.lastSeenAt))));
+});
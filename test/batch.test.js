@@ -0,0 +1,103 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { memberPage, setupTestEnv, teardownTestEnv } from './helpers.js';
+
+const BASE = 'https://prsindia.org/mptrack/18th-lok-sabha';
+const SLOW_DELAY = 1500;
+
+const MEMBERS = [
+  { slug: 'shashi-tharoor', name: 'Shashi Tharoor', state: 'Kerala', constituency: 'Thiruvananthapuram', attendance: '89%' },
+  { slug: 'supriya-sule', name: 'Supriya Sule', state: 'Maharashtra', constituency: 'Baramati', attendance: '95%' },
+  { slug: 'karti-chidambaram', name: 'Karti Chidambaram', state: 'Tamil Nadu', constituency: 'Sivaganga', attendance: '60%' },
+  { slug: 'slow-member', name: 'Slow Member', state: 'Goa', constituency: 'North Goa', attendance: '70%' }
+].map(member => ({ type: 'MP', house: '18th-lok-sabha', url: `${BASE}/${member.slug}`, party: 'Independent', ...member }));
+
+let dataDir;
+let getPRSDataBatch;
+let clamp;
+
+const OPTIONS = { includeAffidavit: false };
+
+before(async () => {
+  mock.method(console, 'error', () => {});
+  dataDir = setupTestEnv('batch', {
+    members: MEMBERS,
+    fetch: async url => {
+      const member = MEMBERS.find(m => m.url === String(url));
+      if (!member) return new Response('', { status: 404 });
+      if (member.slug === 'slow-member') {
+        await new Promise(resolve => setTimeout(resolve, SLOW_DELAY));
+      }
+      return new Response(memberPage(member), { status: 200 });
+    }
+  });
+
+  ({ getPRSDataBatch, clamp } = await import('../src/batch.js'));
+});
+
+after(() => teardownTestEnv(dataDir));
+
+test('invalid items fail on their own while the rest resolve, in request order', async () => {
+  const { results, summary } = await getPRSDataBatch([
+    { name: 'Shashi Tharoor', type: 'mp' },
+    { name: 'Supriya Sule' },
+    { name: 'Supriya Sule', type: 'MLC' },
+    { name: 'Supriya Sule', type: 'MP', state: ['Maharashtra'] },
+    'Karti Chidambaram',
+    { name: 'Karti Chidambaram', type: 'MP', constituency: ' Sivaganga ' }
+  ], { options: OPTIONS });
+
+  assert.deepEqual(results.map(item => [item.index, item.status]), [
+    [0, 'success'],
+    [1, 'error'],
+    [2, 'error'],
+    [3, 'error'],
+    [4, 'error'],
+    [5, 'success']
+  ]);
+  assert.equal(results[1].error, 'Missing required parameters: name, type');
+  assert.equal(results[2].error, 'Invalid type. Must be MP, RS or MLA');
+  assert.equal(results[3].error, 'Invalid state. Must be a string');
+  assert.equal(results[4].error, 'Query must be an object with name and type');
+  assert.deepEqual(results[5].query, { name: 'Karti Chidambaram', type: 'MP', constituency: 'Sivaganga', state: null });
+  assert.equal(results[5].meta.sourceUrl, `${BASE}/karti-chidambaram`);
+  assert.equal(results[5].meta.schemaValid, true);
+  assert.deepEqual(summary, { total: 6, success: 2, error: 4 });
+});
+
+test('found members are ranked against each other in the batch', async () => {
+  const { results } = await getPRSDataBatch([
+    { name: 'Shashi Tharoor', type: 'MP' },
+    { name: 'Supriya Sule', type: 'MP' },
+    { name: 'Karti Chidambaram', type: 'MP' }
+  ], { options: OPTIONS });
+
+  const attendance = results.map(item => item.data.analysis.metrics.attendance);
+  assert.deepEqual(attendance.map(metric => metric.peerCount), [3, 3, 3]);
+  assert.deepEqual(attendance.map(metric => metric.percentile), [50, 83.33, 16.67]);
+});
+
+test('the deadline returns partial results and times out in-flight and queued lookups', async () => {
+  const startedAt = Date.now();
+  const { results, summary } = await getPRSDataBatch([
+    { name: 'Shashi Tharoor', type: 'MP' },
+    { name: 'Slow Member', type: 'MP' },
+    { name: 'Supriya Sule', type: 'MP', state: 'Maharashtra' }
+  ], { concurrency: 1, deadlineMs: 1000, options: { ...OPTIONS, refresh: true } });
+
+  assert.ok(Date.now() - startedAt < SLOW_DELAY);
+  assert.equal(results[0].status, 'success');
+  assert.deepEqual(results.slice(1).map(item => [item.status, item.error]), [
+    ['timeout', 'Batch deadline of 1000ms exceeded'],
+    ['timeout', 'Batch deadline of 1000ms exceeded']
+  ]);
+  assert.deepEqual(summary, { total: 3, success: 1, timeout: 2 });
+});
+
+test('concurrency and deadline are clamped to their limits', () => {
+  assert.equal(clamp(undefined, 1, 6, 3), 3);
+  assert.equal(clamp('abc', 1, 6, 3), 3);
+  assert.equal(clamp(0, 1, 6, 3), 1);
+  assert.equal(clamp(99, 1, 6, 3), 6);
+  assert.equal(clamp('2.6', 1, 6, 3), 3);
+});
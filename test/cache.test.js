@@ -0,0 +1,121 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createEntry, createFileCache, createMemoryCache, createTieredCache, isFresh, setCache } from '../src/cache.js';
+import { fetchHTML } from '../src/webextract.js';
+
+const PAGE_URL = 'https://prsindia.org/mptrack/18th-lok-sabha/shashi-tharoor';
+const MISSING_URL = 'https://prsindia.org/mptrack/18th-lok-sabha/nobody';
+const HTML = `<html><head><title>Shashi Tharoor | PRSIndia</title></head><body class="node-type-mp-track">${'<p>profile</p>'.repeat(60)}</body></html>`;
+
+let dataDir;
+const requests = [];
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  dataDir = mkdtempSync(path.join(tmpdir(), 'prs-cache-'));
+  process.env.PRS_DATA_DIR = dataDir;
+  process.env.PRS_HOST_RATE = '1000';
+
+  mock.method(globalThis, 'fetch', async (url, init = {}) => {
+    if (String(url).endsWith('/robots.txt')) return new Response('', { status: 404 });
+
+    requests.push({ url: String(url), headers: init.headers || {} });
+    if (String(url) === MISSING_URL) return new Response('', { status: 404 });
+    if (init.headers?.['If-None-Match'] === '"v1"') return new Response(null, { status: 304 });
+    return new Response(HTML, { status: 200, headers: { ETag: '"v1"', 'Last-Modified': 'Mon, 01 Jul 2024 00:00:00 GMT' } });
+  });
+});
+
+after(() => {
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('entries are fresh until their TTL passes', () => {
+  const entry = createEntry({ a: 1 }, 1000, { etag: '"x"' });
+  assert.equal(entry.expiresAt - entry.storedAt, 1000);
+  assert.equal(entry.etag, '"x"');
+  assert.equal(isFresh(entry), true);
+  assert.equal(isFresh(createEntry({ a: 1 }, -1)), false);
+  assert.equal(isFresh(null), false);
+});
+
+test('memory cache evicts the least recently used entry', async () => {
+  const cache = createMemoryCache({ maxEntries: 2 });
+  await cache.set('a', createEntry(1, 1000));
+  await cache.set('b', createEntry(2, 1000));
+  await cache.get('a');
+  await cache.set('c', createEntry(3, 1000));
+
+  assert.equal((await cache.get('a')).value, 1);
+  assert.equal(await cache.get('b'), null);
+  assert.equal((await cache.get('c')).value, 3);
+});
+
+test('file cache persists entries, keeps expired ones for revalidation and drops them after the retention window', async () => {
+  const dir = path.join(dataDir, 'file-cache');
+  await createFileCache({ dir }).set('page', createEntry('<html>', -1000, { etag: '"v1"' }));
+
+  const reopened = createFileCache({ dir });
+  const stale = await reopened.get('page');
+  assert.equal(stale.value, '<html>');
+  assert.equal(isFresh(stale), false);
+
+  await reopened.set('old', { value: 'x', storedAt: 0, expiresAt: 0 });
+  assert.equal(await reopened.get('old'), null);
+  assert.equal(readdirSync(dir).length, 1);
+});
+
+test('tiered cache promotes lower-layer hits into the memory layer', async () => {
+  const memory = createMemoryCache();
+  const file = createFileCache({ dir: path.join(dataDir, 'tiered') });
+  await file.set('k', createEntry('v', 1000));
+
+  const tiered = createTieredCache([memory, file]);
+  assert.equal(tiered.name, 'memory+file');
+  assert.equal((await tiered.get('k')).value, 'v');
+  assert.equal((await memory.get('k')).value, 'v');
+});
+
+test('fetchHTML serves fresh pages from cache and revalidates stale ones with validators', async () => {
+  const cache = createMemoryCache();
+  setCache(cache);
+  requests.length = 0;
+
+  const first = await fetchHTML(PAGE_URL);
+  assert.equal(first.status, 'ok');
+  assert.equal(first.fromCache, false);
+  assert.equal((await cache.get(`html:${PAGE_URL}`)).etag, '"v1"');
+
+  const cached = await fetchHTML(PAGE_URL);
+  assert.equal(cached.fromCache, true);
+  assert.equal(requests.length, 1);
+
+  const entry = await cache.get(`html:${PAGE_URL}`);
+  await cache.set(`html:${PAGE_URL}`, { ...entry, expiresAt: Date.now() - 1 });
+
+  const revalidated = await fetchHTML(PAGE_URL);
+  assert.equal(revalidated.status, 'ok');
+  assert.equal(revalidated.html, HTML);
+  assert.equal(requests.length, 2);
+  assert.equal(requests[1].headers['If-None-Match'], '"v1"');
+  assert.equal(requests[1].headers['If-Modified-Since'], 'Mon, 01 Jul 2024 00:00:00 GMT');
+  assert.equal(isFresh(await cache.get(`html:${PAGE_URL}`)), true);
+
+  await fetchHTML(PAGE_URL, undefined, { revalidate: true });
+  assert.equal(requests.length, 3);
+  assert.equal(requests[2].headers['If-None-Match'], '"v1"');
+});
+
+test('not-found pages are cached negatively', async () => {
+  setCache(createMemoryCache());
+  requests.length = 0;
+
+  assert.equal((await fetchHTML(MISSING_URL)).status, 'notFound');
+  const again = await fetchHTML(MISSING_URL);
+  assert.equal(again.status, 'notFound');
+  assert.equal(again.fromCache, true);
+  assert.equal(requests.length, 1);
+});
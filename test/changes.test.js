@@ -0,0 +1,175 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { memberPage, setupTestEnv, teardownTestEnv } from './helpers.js';
+import { getMemberChanges, listChanges, loadLatestSnapshot, recordMemberSnapshot } from '../src/changes.js';
+
+const MEMBER_URL = 'https://prsindia.org/mptrack/18th-lok-sabha/ram-kumar';
+const MLA_URL = 'https://prsindia.org/mlatrack/atishi';
+const DEGRADED_URL = 'https://prsindia.org/mptrack/18th-lok-sabha/sita-devi';
+const TRACKED_URL = 'https://prsindia.org/mptrack/18th-lok-sabha/shashi-tharoor';
+
+let dataDir;
+let main;
+let attendance = '89%';
+
+function member(overrides = {}) {
+  return {
+    type: 'MP',
+    name: 'Ram Kumar',
+    state: 'Bihar',
+    constituency: 'Patna Sahib',
+    party: 'Independent',
+    attendance: '80%',
+    questions: '10',
+    debatesRows: [
+      { date: '2024-07-02', title: 'Motion of Thanks', debateType: 'Discussion', url: null }
+    ],
+    questionsRows: [
+      { date: '2024-07-22', title: 'Flood relief', type: 'Starred', ministry: 'Jal Shakti', url: 'https://prsindia.org/q/1' }
+    ],
+    ...overrides
+  };
+}
+
+function pause() {
+  return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+function invoke(query) {
+  let response;
+  const res = { json: (body, status) => (response = { body, status }) };
+  return main({ req: { method: 'GET', path: '/changes', query, headers: {} }, res, log: () => {}, error: () => {} })
+    .then(() => response);
+}
+
+before(async () => {
+  dataDir = setupTestEnv('changes', {
+    members: [{
+      type: 'MP',
+      name: 'Shashi Tharoor',
+      slug: 'shashi-tharoor',
+      house: '18th-lok-sabha',
+      url: TRACKED_URL,
+      state: 'Kerala',
+      constituency: 'Thiruvananthapuram',
+      party: 'Indian National Congress'
+    }],
+    fetch: async url => {
+      if (String(url) !== TRACKED_URL) return new Response('', { status: 404 });
+      return new Response(memberPage({ attendance }), { status: 200 });
+    }
+  });
+
+  ({ default: main } = await import('../src/main.js'));
+});
+
+after(() => teardownTestEnv(dataDir));
+
+test('unchanged content only refreshes lastSeenAt', async () => {
+  await recordMemberSnapshot(MEMBER_URL, member());
+  const first = await getMemberChanges(MEMBER_URL);
+  await pause();
+  await recordMemberSnapshot(MEMBER_URL, member());
+  const second = await getMemberChanges(MEMBER_URL);
+
+  assert.equal(second.snapshots, 1);
+  assert.equal(second.changed, false);
+  assert.equal(second.from, null);
+  assert.equal(second.to, first.to);
+  assert.ok(second.lastSeenAt > first.lastSeenAt);
+  assert.equal(await getMemberChanges('https://prsindia.org/mptrack/18th-lok-sabha/untracked'), null);
+});
+
+test('field changes carry numeric deltas and new rows are keyed by URL or date and title', async () => {
+  await pause();
+  await recordMemberSnapshot(MEMBER_URL, member({
+    party: 'Janata Dal (United)',
+    attendance: '72.5%',
+    questions: '12',
+    debatesRows: [
+      { date: '2024-07-02', title: 'MOTION OF THANKS', debateType: 'Discussion', url: null },
+      { date: '2024-12-10', title: 'Waqf Amendment Bill', debateType: 'Bill', url: null }
+    ],
+    questionsRows: [
+      { date: '2024-07-22', title: 'Flood relief (revised)', type: 'Starred', ministry: 'Jal Shakti', url: 'https://prsindia.org/q/1' },
+      { date: '2024-12-02', title: 'Rail links', type: 'Unstarred', ministry: 'Railways', url: 'https://prsindia.org/q/2' }
+    ]
+  }));
+
+  const changes = await getMemberChanges(MEMBER_URL);
+  assert.equal(changes.changed, true);
+  assert.equal(changes.snapshots, 2);
+  assert.deepEqual(changes.fields, [
+    { field: 'party', from: 'Independent', to: 'Janata Dal (United)' },
+    { field: 'attendance', from: '80%', to: '72.5%', delta: -7.5 },
+    { field: 'questions', from: '10', to: '12', delta: 2 }
+  ]);
+  assert.deepEqual(changes.newRows.debates.map(row => row.title), ['Waqf Amendment Bill']);
+  assert.deepEqual(changes.newRows.questions.map(row => row.title), ['Rail links']);
+});
+
+test('since picks the snapshot in force at that time as the baseline', async () => {
+  const { to: secondAt } = await getMemberChanges(MEMBER_URL);
+  await pause();
+  await recordMemberSnapshot(MEMBER_URL, member({ party: 'Janata Dal (United)', attendance: '75%', questions: '12' }));
+
+  const sinceSecond = await getMemberChanges(MEMBER_URL, { since: Date.parse(secondAt) });
+  assert.equal(sinceSecond.from, secondAt);
+  assert.deepEqual(sinceSecond.fields.map(f => [f.field, f.delta]), [['attendance', 2.5]]);
+
+  const sinceStart = await getMemberChanges(MEMBER_URL, { since: 0 });
+  assert.deepEqual(sinceStart.fields.map(f => f.field), ['party', 'attendance', 'questions']);
+  assert.equal(sinceStart.since, '1970-01-01T00:00:00.000Z');
+});
+
+test('changes are listed across tracked members with an optional type filter', async () => {
+  await recordMemberSnapshot(MLA_URL, member({ type: 'MLA', name: 'Atishi', state: 'Delhi', constituency: 'Kalkaji' }));
+
+  const all = await listChanges({ since: 0 });
+  assert.equal(all.tracked, 2);
+  assert.deepEqual(all.members.map(m => m.name), ['Ram Kumar']);
+
+  const mlas = await listChanges({ since: 0, type: 'MLA' });
+  assert.deepEqual([mlas.tracked, mlas.members.length], [1, 0]);
+});
+
+test('/changes re-fetches the member on every call instead of serving a cached lookup', async () => {
+  const first = await invoke({ name: 'Shashi Tharoor', type: 'MP' });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.changed, false);
+
+  attendance = '91%';
+  const second = await invoke({ name: 'Shashi Tharoor', type: 'mp' });
+  assert.equal(second.status, 200);
+  assert.equal(second.body.changed, true);
+  assert.deepEqual(second.body.fields.find(f => f.field === 'attendance'), { field: 'attendance', from: '89%', to: '91%', delta: 2 });
+  assert.equal(second.body.meta.fromCache, undefined);
+
+  const listed = await invoke({ since: '2000-01-01' });
+  assert.equal(listed.body.changed, 2);
+
+  assert.equal((await invoke({ since: 'yesterday' })).status, 400);
+  assert.equal((await invoke({ name: 'Shashi Tharoor' })).status, 400);
+});
+
+test('degraded and failed parses are kept out of diffs and the latest snapshot', async () => {
+  await recordMemberSnapshot(DEGRADED_URL, member({ name: 'Sita Devi' }), { extractionStatus: 'degraded' });
+  assert.equal(await getMemberChanges(DEGRADED_URL), null);
+  assert.equal(await loadLatestSnapshot(DEGRADED_URL), null);
+
+  await recordMemberSnapshot(DEGRADED_URL, member({ name: 'Sita Devi' }), { extractionStatus: 'ok' });
+  await pause();
+  await recordMemberSnapshot(DEGRADED_URL, member({ name: 'Sita Devi', attendance: 'N/A', questionsRows: [] }), { extractionStatus: 'failed' });
+
+  const changes = await getMemberChanges(DEGRADED_URL);
+  assert.equal(changes.changed, false);
+  assert.equal(changes.snapshots, 1);
+  assert.equal(changes.nonComparable.extractionStatus, 'failed');
+  assert.equal((await loadLatestSnapshot(DEGRADED_URL)).data.attendance, '80%');
+
+  await pause();
+  await recordMemberSnapshot(DEGRADED_URL, member({ name: 'Sita Devi', attendance: '82%' }), { extractionStatus: 'ok' });
+  const recovered = await getMemberChanges(DEGRADED_URL);
+  assert.deepEqual(recovered.fields.map(f => [f.field, f.delta]), [['attendance', 2]]);
+  assert.equal(recovered.nonComparable, null);
+});
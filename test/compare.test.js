@@ -0,0 +1,125 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MP_FIXTURE, setupTestEnv, teardownTestEnv } from './helpers.js';
+
+const BASE = 'https://prsindia.org/mptrack/18th-lok-sabha';
+const MOTION_ROW = /<tr><td>02 Jul, 2024<\/td>.*<\/tr>\n/;
+const BUDGET_ROW = /<tr><td>30 Jul, 2024<\/td>.*<\/tr>\n/;
+
+const MEMBERS = [
+  { slug: 'shashi-tharoor', name: 'Shashi Tharoor', constituency: 'Thiruvananthapuram', html: MP_FIXTURE },
+  {
+    slug: 'supriya-sule',
+    name: 'Supriya Sule',
+    constituency: 'Baramati',
+    html: MP_FIXTURE
+      .replace('<div class="field-item even">89%</div>', '<div class="field-item even">95%</div>')
+      .replace(BUDGET_ROW, '')
+      .replace('Earth Sciences', 'External Affairs')
+  },
+  {
+    slug: 'karti-chidambaram',
+    name: 'Karti Chidambaram',
+    constituency: 'Sivaganga',
+    html: MP_FIXTURE
+      .replace('<div class="field-item even">89%</div>', '<div class="field-item even">N/A</div>')
+      .replace(MOTION_ROW, '')
+  }
+].map(member => ({
+  type: 'MP',
+  house: '18th-lok-sabha',
+  url: `${BASE}/${member.slug}`,
+  state: 'Kerala',
+  party: 'Independent',
+  ...member,
+  html: member.html.replaceAll('Shashi Tharoor', member.name).replace('Constituency : Thiruvananthapuram', `Constituency : ${member.constituency}`)
+}));
+
+let dataDir;
+let main;
+const requested = [];
+
+function invoke(body) {
+  let response;
+  const res = { json: (payload, status) => (response = { body: payload, status }) };
+  return main({ req: { method: 'POST', path: '/compare', bodyJson: body, headers: {} }, res, log: () => {}, error: () => {} })
+    .then(() => response);
+}
+
+before(async () => {
+  dataDir = setupTestEnv('compare', {
+    members: MEMBERS.map(member => ({ ...member, html: undefined })),
+    fetch: async url => {
+      if (String(url).endsWith('/robots.txt')) return new Response('', { status: 404 });
+
+      requested.push(String(url));
+      const member = MEMBERS.find(m => m.url === String(url));
+      return member ? new Response(member.html, { status: 200 }) : new Response('', { status: 404 });
+    }
+  });
+
+  ({ default: main } = await import('../src/main.js'));
+});
+
+after(() => teardownTestEnv(dataDir));
+
+test('metrics are aligned by position with ranks, ties and gaps to the leader', async () => {
+  const { status, body } = await invoke({
+    members: MEMBERS.map(member => ({ name: member.name, type: 'MP' }))
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.members.map(m => [m.position, m.name]), [[0, 'Shashi Tharoor'], [1, 'Supriya Sule'], [2, 'Karti Chidambaram']]);
+
+  assert.deepEqual(body.metrics.attendance, {
+    unit: 'percent',
+    values: [89, 95, null],
+    ranks: [2, 1, null],
+    leader: 1,
+    tied: false,
+    differences: [-6, 0, null],
+    spread: 6
+  });
+  assert.deepEqual(body.metrics.pmb, {
+    unit: 'count',
+    values: [3, 3, 3],
+    ranks: [1, 1, 1],
+    leader: null,
+    tied: true,
+    differences: [0, 0, 0],
+    spread: 0
+  });
+  assert.deepEqual(body.metrics.membership, { unit: 'text', values: ['Elected', 'Elected', 'Elected'], same: true });
+
+  assert.ok(requested.every(url => url.startsWith(BASE)), 'compare skips affidavit lookups');
+});
+
+test('debates and ministries shared by two or more members are listed', async () => {
+  const { body } = await invoke({
+    members: MEMBERS.map(member => ({ name: member.name, type: 'MP' }))
+  });
+
+  assert.deepEqual(body.commonDebates.map(d => [d.title, d.members]), [
+    ['The Union Budget 2024-25', [0, 2]],
+    ['Motion of Thanks on the President\'s Address', [0, 1]]
+  ]);
+  assert.deepEqual(body.commonMinistries.map(m => [m.ministry, m.counts, m.total]), [
+    ['External Affairs', [1, 2, 1], 4],
+    ['Ports, Shipping and Waterways', [1, 1, 1], 3],
+    ['Earth Sciences', [1, 0, 1], 2]
+  ]);
+});
+
+test('members that cannot be resolved are reported, and too few resolved is a 404', async () => {
+  const partial = await invoke({
+    members: [{ name: 'Shashi Tharoor', type: 'MP' }, { name: 'Supriya Sule', type: 'MP' }, { name: 'Nobody Atall', type: 'MP' }]
+  });
+  assert.equal(partial.status, 200);
+  assert.deepEqual(partial.body.unresolved.map(item => [item.index, item.status]), [[2, 'not_found']]);
+
+  const failed = await invoke({ members: [{ name: 'Shashi Tharoor', type: 'MP' }, { name: 'Nobody Atall', type: 'MP' }] });
+  assert.equal(failed.status, 404);
+  assert.equal(failed.body.code, 'MEMBER_NOT_FOUND');
+
+  assert.equal((await invoke({ members: [{ name: 'Shashi Tharoor', type: 'MP' }] })).status, 400);
+});
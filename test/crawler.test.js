@@ -0,0 +1,133 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import { MP_FIXTURE, setupTestEnv, teardownTestEnv } from './helpers.js';
+
+const MLA_FIXTURE = readFileSync(new URL('./fixtures/mla-profile.html', import.meta.url), 'utf8');
+const BASE = 'https://prsindia.org';
+
+const MEMBERS = [
+  { type: 'MP', name: 'Shashi Tharoor', slug: 'shashi-tharoor', house: '18th-lok-sabha', state: 'Kerala' },
+  { type: 'MP', name: 'Supriya Sule', slug: 'supriya-sule', house: '18th-lok-sabha', state: 'Maharashtra' },
+  { type: 'MP', name: 'Gone Member', slug: 'gone-member', house: '18th-lok-sabha', state: 'Goa' },
+  { type: 'MP', name: 'Shashi Tharoor', slug: 'shashi-tharoor', house: '17th-lok-sabha', state: 'Kerala' },
+  { type: 'MLA', name: 'Atishi', slug: 'atishi', house: null, state: 'Delhi' }
+].map(member => ({
+  ...member,
+  url: member.type === 'MLA' ? `${BASE}/mlatrack/${member.slug}` : `${BASE}/mptrack/${member.house}/${member.slug}`
+}));
+
+const TRUNCATED_SOURCES = [
+  { type: 'RS', house: 'rajya-sabha', url: `${BASE}/mptrack/rajya-sabha`, members: 0, reason: 'page 0 failed: HTTP 403' },
+  { type: 'MLA', house: null, url: `${BASE}/mlatrack`, members: 1, reason: 'page 1 failed: HTTP 403' }
+];
+
+const PAGES = new Map([
+  [`${BASE}/mptrack/18th-lok-sabha/shashi-tharoor`, MP_FIXTURE],
+  [`${BASE}/mptrack/18th-lok-sabha/supriya-sule`, MP_FIXTURE.replaceAll('Shashi Tharoor', 'Supriya Sule')],
+  [`${BASE}/mptrack/17th-lok-sabha/shashi-tharoor`, MP_FIXTURE],
+  [`${BASE}/mlatrack/atishi`, MLA_FIXTURE]
+]);
+
+let dataDir;
+let outputDir;
+let crawlMembers;
+const requested = [];
+
+function crawl(options = {}) {
+  return crawlMembers({ outputDir, rate: 1000, ...options });
+}
+
+function readLines(file) {
+  return readFileSync(path.join(outputDir, file), 'utf8').split('\n').filter(Boolean);
+}
+
+before(async () => {
+  dataDir = setupTestEnv('crawl', {
+    cache: 'off',
+    members: MEMBERS,
+    index: { truncated: true, truncatedSources: TRUNCATED_SOURCES },
+    fetch: async url => {
+      if (String(url).endsWith('/robots.txt')) return new Response('', { status: 404 });
+
+      requested.push(String(url));
+      const html = PAGES.get(String(url));
+      return html ? new Response(html, { status: 200 }) : new Response('', { status: 404 });
+    }
+  });
+  outputDir = path.join(dataDir, 'crawl');
+
+  ({ crawlMembers } = await import('../src/crawler.js'));
+});
+
+after(() => teardownTestEnv(dataDir));
+
+test('a crawl covers current MPs and MLAs and writes JSONL, CSV and a manifest', async () => {
+  const manifest = await crawl();
+
+  assert.deepEqual(requested.sort(), [
+    `${BASE}/mlatrack/atishi`,
+    `${BASE}/mptrack/18th-lok-sabha/gone-member`,
+    `${BASE}/mptrack/18th-lok-sabha/shashi-tharoor`,
+    `${BASE}/mptrack/18th-lok-sabha/supriya-sule`
+  ]);
+
+  const records = readLines('members.jsonl').map(line => JSON.parse(line));
+  assert.deepEqual(records.map(record => [record.type, record.name]).sort(), [
+    ['MLA', 'Atishi'],
+    ['MP', 'Shashi Tharoor'],
+    ['MP', 'Supriya Sule']
+  ]);
+
+  const csv = readLines('members.csv');
+  assert.equal(csv.length, 4);
+  assert.match(csv[0], /^type,house,url,name,state,constituency,party,/);
+  assert.match(csv[0], /,extractionStatus,schemaValid,crawledAt$/);
+  assert.equal(records.every(record => record.schemaValid), true);
+
+  assert.deepEqual(manifest.counts, {
+    members: 4,
+    succeeded: 3,
+    failed: 1,
+    resumed: 0,
+    byType: { MP: 2, MLA: 1 },
+    byExtractionStatus: { ok: 3 },
+    schemaInvalid: 0
+  });
+  assert.deepEqual(manifest.failures.map(failure => [failure.name, failure.attempts, failure.exhausted]), [['Gone Member', 1, true]]);
+  assert.match(manifest.failures[0].lastError, /^notFound/);
+  assert.equal(manifest.complete, false);
+  assert.deepEqual(manifest.index.truncatedSources, [TRUNCATED_SOURCES[1]]);
+  assert.deepEqual(JSON.parse(readFileSync(path.join(outputDir, 'manifest.json'), 'utf8')).counts, manifest.counts);
+});
+
+test('a resumed crawl skips finished and exhausted members and recovers a truncated dataset', async () => {
+  const [first] = readLines('members.jsonl');
+  writeFileSync(path.join(outputDir, 'members.jsonl'), `${first}\n`);
+  appendFileSync(path.join(outputDir, 'members.jsonl'), '{"url":"https://prsindia.org/mlatr');
+  requested.length = 0;
+
+  const manifest = await crawl();
+
+  assert.equal(manifest.counts.resumed, 2);
+  assert.equal(manifest.counts.succeeded, 3);
+  assert.equal(requested.length, 2);
+  assert.ok(!requested.includes(JSON.parse(first).url));
+  assert.equal(readLines('members.csv').length, 4);
+});
+
+test('retryFailed re-queues exhausted failures and fresh starts over', async () => {
+  requested.length = 0;
+  const retried = await crawl({ retryFailed: true });
+  assert.deepEqual(requested, [`${BASE}/mptrack/18th-lok-sabha/gone-member`]);
+  assert.equal(retried.failures[0].attempts, 1);
+
+  requested.length = 0;
+  const fresh = await crawl({ fresh: true, types: ['MLA'] });
+  assert.deepEqual(requested, [`${BASE}/mlatrack/atishi`]);
+  assert.deepEqual([fresh.counts.members, fresh.counts.succeeded, fresh.counts.resumed, fresh.counts.failed], [1, 1, 0, 0]);
+  assert.equal(fresh.complete, false);
+  assert.equal(fresh.index.truncated, true);
+  assert.equal(readLines('members.jsonl').length, 1);
+});
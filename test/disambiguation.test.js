@@ -0,0 +1,98 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { memberPage, setupTestEnv, teardownTestEnv } from './helpers.js';
+
+const BASE = 'https://prsindia.org/mptrack/18th-lok-sabha';
+
+const MEMBERS = [
+  { slug: 'ram-kumar', name: 'Ram Kumar', state: 'Bihar', constituency: 'Patna Sahib' },
+  { slug: 'ram-kumar-1', name: 'Ram Kumar', state: 'Uttar Pradesh', constituency: 'Ghazipur' }
+];
+
+const UNINDEXED = [
+  { slug: 'sita-devi', name: 'Sita Devi', state: 'Bihar', constituency: 'Sheohar' },
+  { slug: 'sita-devi-1', name: 'Sita Devi', state: 'Jharkhand', constituency: 'Dumka' }
+];
+
+const pages = new Map([...MEMBERS, ...UNINDEXED].map(member => [`${BASE}/${member.slug}`, memberPage(member)]));
+
+let dataDir;
+let getPRSData;
+let main;
+
+function lookup(constituency, state, name = 'Ram Kumar') {
+  return getPRSData(name, 'MP', constituency, state, { includeAffidavit: false, includeAnalysis: false });
+}
+
+before(async () => {
+  dataDir = setupTestEnv('disambiguation', {
+    members: MEMBERS.map(member => ({ type: 'MP', house: '18th-lok-sabha', url: `${BASE}/${member.slug}`, party: 'Independent', ...member })),
+    fetch: async url => {
+      const html = pages.get(String(url));
+      return html ? new Response(html, { status: 200 }) : new Response('', { status: 404 });
+    }
+  });
+
+  ({ getPRSData } = await import('../src/prsService.js'));
+  ({ default: main } = await import('../src/main.js'));
+});
+
+after(() => teardownTestEnv(dataDir));
+
+test('constituency or state hints pick the matching namesake', async () => {
+  const byConstituency = await lookup('Ghazipur', null);
+  assert.equal(byConstituency.found, true);
+  assert.equal(byConstituency.sourceUrl, `${BASE}/ram-kumar-1`);
+  assert.deepEqual(byConstituency.match, {
+    confidence: 'high',
+    score: 1,
+    candidatesConsidered: 2,
+    resolvedVia: 'index',
+    nameScore: 1
+  });
+
+  const byState = await lookup(null, 'bihar');
+  assert.equal(byState.found, true);
+  assert.equal(byState.data.constituency, 'Patna Sahib');
+});
+
+test('misspelt places still score the intended seat', async () => {
+  const result = await lookup('Gazipur', 'Uttar Pradesh');
+  assert.equal(result.found, true);
+  assert.equal(result.data.state, 'Uttar Pradesh');
+  assert.ok(result.match.score >= 0.6 && result.match.score < 1);
+});
+
+test('namesakes without hints, or with hints matching neither, are ambiguous', async () => {
+  const unhinted = await lookup(null, null);
+  assert.equal(unhinted.found, false);
+  assert.equal(unhinted.ambiguous, true);
+  assert.deepEqual(unhinted.candidates.map(c => [c.constituency, c.score]).sort(), [['Ghazipur', null], ['Patna Sahib', null]]);
+
+  const neither = await lookup(null, 'Kerala');
+  assert.equal(neither.ambiguous, true);
+  assert.equal(neither.candidates.length, 2);
+  assert.ok(neither.candidates.every(c => c.score < 0.6));
+});
+
+test('guessed URLs check numbered namesakes before settling on the plain slug', async () => {
+  const unhinted = await lookup(null, null, 'Sita Devi');
+  assert.equal(unhinted.found, false);
+  assert.equal(unhinted.ambiguous, true);
+  assert.deepEqual(unhinted.candidates.map(c => c.sourceUrl).sort(), [`${BASE}/sita-devi`, `${BASE}/sita-devi-1`]);
+
+  const hinted = await lookup('Dumka', null, 'Sita Devi');
+  assert.equal(hinted.found, true);
+  assert.equal(hinted.sourceUrl, `${BASE}/sita-devi-1`);
+  assert.equal(hinted.match.resolvedVia, 'url-guess');
+});
+
+test('an ambiguous lookup answers 409 with the candidates', async () => {
+  let response;
+  const res = { json: (body, status) => (response = { body, status }) };
+  await main({ req: { method: 'POST', path: '/', bodyJson: { name: 'Ram Kumar', type: 'MP' }, headers: {} }, res, log: () => {}, error: () => {} });
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.code, 'MEMBER_AMBIGUOUS');
+  assert.equal(response.body.candidates.length, 2);
+});
@@ -0,0 +1,158 @@
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { inflateRawSync } from 'node:zlib';
+import { renderExport, toCSV } from '../src/exporters.js';
+import { createZip } from '../src/zip.js';
+
+const MEMBERS = [
+  {
+    type: 'MP',
+    name: 'Shashi Tharoor',
+    state: 'Kerala',
+    constituency: 'Thiruvananthapuram',
+    party: 'Indian National Congress',
+    attendance: '89%',
+    questions: '112',
+    attendanceRows: [{ session: 'Budget Session 2024', percentage: 92 }],
+    debatesRows: [
+      { date: '2024-07-30', title: 'The Union Budget, 2024-25', debateType: 'Budget', url: 'https://prsindia.org/debates/1' }
+    ],
+    questionsRows: [
+      { date: '2024-07-22', title: '=HYPERLINK("http://evil.example","click")', type: 'Starred', ministry: 'Earth Sciences', url: null }
+    ]
+  }
+];
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) {
+      crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function readZip(buffer) {
+  const end = buffer.length - 22;
+  assert.equal(buffer.readUInt32LE(end), 0x06054b50);
+
+  const count = buffer.readUInt16LE(end + 10);
+  const files = new Map();
+  let cursor = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < count; i++) {
+    assert.equal(buffer.readUInt32LE(cursor), 0x02014b50);
+    const checksum = buffer.readUInt32LE(cursor + 16);
+    const compressedSize = buffer.readUInt32LE(cursor + 20);
+    const size = buffer.readUInt32LE(cursor + 24);
+    const nameLength = buffer.readUInt16LE(cursor + 28);
+    const offset = buffer.readUInt32LE(cursor + 42);
+    const name = buffer.toString('utf8', cursor + 46, cursor + 46 + nameLength);
+
+    assert.equal(buffer.readUInt32LE(offset), 0x04034b50);
+    assert.equal(buffer.readUInt16LE(offset + 8), 8);
+    assert.equal(buffer.readUInt32LE(offset + 14), checksum);
+    assert.equal(buffer.toString('utf8', offset + 30, offset + 30 + nameLength), name);
+
+    const start = offset + 30 + nameLength;
+    const data = inflateRawSync(buffer.subarray(start, start + compressedSize));
+    assert.equal(data.length, size);
+    assert.equal(crc32(data), checksum);
+
+    files.set(name, data.toString('utf8'));
+    cursor += 46 + nameLength;
+  }
+
+  return files;
+}
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+test('zip archives round-trip with matching CRCs, sizes and UTF-8 names', () => {
+  const zip = createZip([
+    { name: 'a.txt', data: 'hello\n' },
+    { name: 'régions/ದಕ್ಷಿಣ.csv', data: Buffer.from('x,y\n1,2\n') }
+  ], { modifiedAt: new Date(2024, 5, 4, 10, 30, 0) });
+
+  const files = readZip(zip);
+  assert.deepEqual([...files.keys()], ['a.txt', 'régions/ದಕ್ಷಿಣ.csv']);
+  assert.equal(files.get('a.txt'), 'hello\n');
+  assert.equal(files.get('régions/ದಕ್ಷಿಣ.csv'), 'x,y\n1,2\n');
+  assert.equal(zip.readUInt16LE(6) & 0x0800, 0x0800);
+  assert.equal(zip.readUInt16LE(12), ((2024 - 1980) << 9) | (6 << 5) | 4);
+});
+
+test('csv export is a zip with one CSV per table and an attachment filename', () => {
+  const { body, filename, headers } = renderExport('csv', MEMBERS, { baseName: 'Shashi Tharoor' });
+
+  assert.equal(filename, 'shashi-tharoor.zip');
+  assert.equal(headers['Content-Type'], 'application/zip');
+  assert.equal(headers['Content-Disposition'], 'attachment; filename="shashi-tharoor.zip"');
+
+  const files = readZip(body);
+  assert.deepEqual([...files.keys()], ['profile.csv', 'attendance.csv', 'debates.csv', 'questions.csv']);
+  assert.equal(files.get('attendance.csv'), 'member,session,percentage\nShashi Tharoor,Budget Session 2024,92\n');
+  assert.equal(
+    files.get('debates.csv'),
+    'member,date,title,debateType,url\nShashi Tharoor,2024-07-30,"The Union Budget, 2024-25",Budget,https://prsindia.org/debates/1\n'
+  );
+  assert.match(files.get('profile.csv'), /^type,name,state,constituency,party,/);
+});
+
+test('csv cells that would start a spreadsheet formula are neutralized', () => {
+  const csv = toCSV(['value'], [
+    { value: '=SUM(A1:A2)' },
+    { value: '+91 98765' },
+    { value: '@cmd' },
+    { value: '-2+3' },
+    { value: '-12.5' },
+    { value: '+4%' },
+    { value: 'plain' }
+  ]);
+
+  assert.deepEqual(csv.trim().split('\n'), ['value', "'=SUM(A1:A2)", "'+91 98765", "'@cmd", "'-2+3", '-12.5', '+4%', 'plain']);
+
+  const files = readZip(renderExport('csv', MEMBERS).body);
+  assert.match(files.get('questions.csv'), /,"'=HYPERLINK\(""http:\/\/evil\.example"",""click""\)",/);
+});
+
+test('xlsx export has one sheet per table with numeric metrics and inline string cells', () => {
+  const { body, filename, headers } = renderExport('xlsx', MEMBERS);
+
+  assert.equal(filename, 'prs-members.xlsx');
+  assert.equal(headers['Content-Type'], 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+  const files = readZip(body);
+  assert.ok(files.has('[Content_Types].xml'));
+  assert.match(files.get('xl/workbook.xml'), /<sheet name="Profile" sheetId="1" r:id="rId1"\/><sheet name="Attendance"/);
+
+  const attendance = files.get('xl/worksheets/sheet2.xml');
+  assert.match(attendance, /<c r="C2"><v>92<\/v><\/c>/);
+  assert.match(attendance, /<c r="B2" t="inlineStr"><is><t xml:space="preserve">Budget Session 2024<\/t><\/is><\/c>/);
+
+  const profile = files.get('xl/worksheets/sheet1.xml');
+  assert.match(profile, /<c r="M2"><v>89<\/v><\/c>/);
+  assert.match(profile, /<c r="S2"><v>112<\/v><\/c>/);
+  assert.doesNotMatch(profile, /89%|N\/A/);
+
+  const questions = files.get('xl/worksheets/sheet4.xml');
+  assert.match(questions, /t="inlineStr"><is><t xml:space="preserve">=HYPERLINK\(&quot;http:\/\/evil\.example&quot;,&quot;click&quot;\)<\/t>/);
+  assert.doesNotMatch(questions, /<f>/);
+});
+
+test('ndjson export writes one tagged line per row', () => {
+  const { body, headers } = renderExport('ndjson', MEMBERS);
+
+  assert.equal(headers['Content-Type'], 'application/x-ndjson; charset=utf-8');
+
+  const lines = body.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(lines.map(line => line.table), ['profile', 'attendance', 'debates', 'questions']);
+  assert.deepEqual(lines[1], { table: 'attendance', member: 'Shashi Tharoor', session: 'Budget Session 2024', percentage: 92 });
+  assert.equal(lines[0].termStart, null);
+  assert.equal(lines[0].attendance, 89);
+  assert.equal(renderExport('ndjson', []).body, '');
+});
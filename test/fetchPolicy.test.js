@@ -0,0 +1,121 @@
+import { test, before, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  acquireFetchSlot,
+  getPoliteHeaders,
+  getRetryDelay,
+  getUserAgent,
+  isPathAllowed,
+  parseRobots,
+  resetFetchPolicy
+} from '../src/fetchPolicy.js';
+
+const ROBOTS = `
+# PRS robots
+User-agent: *
+Disallow: /admin
+Disallow: /search
+Allow: /search/help
+
+User-agent: BadBot
+User-agent: prs-scraper-function
+Disallow: /mptrack/*/print$
+Disallow: /private
+Crawl-delay: 0.2
+`;
+
+const robotsBodies = new Map();
+
+function headers(values) {
+  return { headers: new Headers(values) };
+}
+
+before(() => {
+  mock.method(console, 'log', () => {});
+
+  mock.method(globalThis, 'fetch', async url => {
+    const body = robotsBodies.get(new URL(url).origin);
+    return body ? new Response(body, { status: 200 }) : new Response('', { status: 404 });
+  });
+});
+
+beforeEach(() => {
+  resetFetchPolicy();
+  delete process.env.PRS_CONTACT;
+  delete process.env.PRS_USER_AGENT;
+  process.env.PRS_HOST_RATE = '10';
+  process.env.PRS_HOST_BURST = '2';
+});
+
+test('robots.txt groups are chosen by our agent token, falling back to *', () => {
+  const ours = parseRobots(ROBOTS);
+  assert.deepEqual(ours, {
+    rules: [{ allow: false, path: '/mptrack/*/print$' }, { allow: false, path: '/private' }],
+    crawlDelay: 0.2
+  });
+
+  const other = parseRobots(ROBOTS, 'SomeoneElse');
+  assert.equal(other.crawlDelay, null);
+  assert.equal(other.rules.length, 3);
+  assert.deepEqual(parseRobots(''), { rules: [], crawlDelay: null });
+});
+
+test('the longest matching rule wins, with wildcards and end anchors', () => {
+  const generic = parseRobots(ROBOTS, 'SomeoneElse');
+  assert.equal(isPathAllowed(generic, '/search?q=tharoor'), false);
+  assert.equal(isPathAllowed(generic, '/search/help'), true);
+  assert.equal(isPathAllowed(generic, '/administrator'), false);
+  assert.equal(isPathAllowed(generic, '/mptrack/18th-lok-sabha/shashi-tharoor'), true);
+
+  const ours = parseRobots(ROBOTS);
+  assert.equal(isPathAllowed(ours, '/mptrack/18th-lok-sabha/print'), false);
+  assert.equal(isPathAllowed(ours, '/mptrack/18th-lok-sabha/print/page'), true);
+  assert.equal(isPathAllowed(ours, '/admin'), true);
+});
+
+test('retries honour Retry-After and otherwise back off exponentially with jitter', () => {
+  assert.equal(getRetryDelay(0, headers({ 'Retry-After': '7' })), 7000);
+  assert.equal(getRetryDelay(0, headers({ 'Retry-After': '600' })), null);
+
+  const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+  const dated = getRetryDelay(0, headers({ 'Retry-After': inTenSeconds }));
+  assert.ok(dated > 8000 && dated <= 10000);
+  assert.equal(getRetryDelay(0, headers({ 'Retry-After': 'Mon, 01 Jan 2001 00:00:00 GMT' })), 0);
+
+  for (const [attempt, low, high] of [[0, 500, 1000], [2, 2000, 4000], [10, 15000, 30000]]) {
+    const delay = getRetryDelay(attempt, headers({ 'Retry-After': 'soon' }));
+    assert.ok(delay >= low && delay <= high, `attempt ${attempt}: ${delay}`);
+  }
+});
+
+test('requests identify the scraper with a configurable contact', () => {
+  const { version } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+  assert.equal(getUserAgent(), `prs-scraper-function/${version} (+https://github.com/Rex1671/prsScrapper)`);
+  assert.equal(getPoliteHeaders().From, undefined);
+
+  process.env.PRS_CONTACT = 'mailto:data@newsroom.example';
+  assert.match(getUserAgent(), /; mailto:data@newsroom\.example\)$/);
+  assert.equal(getPoliteHeaders().From, 'data@newsroom.example');
+
+  process.env.PRS_USER_AGENT = 'newsroom-bot/2.0';
+  assert.equal(getPoliteHeaders()['User-Agent'], 'newsroom-bot/2.0');
+});
+
+test('fetch slots are refused by robots.txt and rate limited per host', async () => {
+  robotsBodies.set('https://prs.example', ROBOTS);
+
+  assert.deepEqual(await acquireFetchSlot('https://prs.example/private/page'), { allowed: false });
+
+  const started = Date.now();
+  await acquireFetchSlot('https://prs.example/a');
+  await acquireFetchSlot('https://prs.example/b');
+  assert.ok(Date.now() - started >= 150, 'crawl-delay of 0.2s allows one request at a time');
+
+  const open = Date.now();
+  await acquireFetchSlot('https://open.example/a');
+  await acquireFetchSlot('https://open.example/b');
+  assert.ok(Date.now() - open < 50, 'a burst of two is free');
+  await acquireFetchSlot('https://open.example/c');
+  assert.ok(Date.now() - open >= 80, 'the third request waits for a token at 10/s');
+});
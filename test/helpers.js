@@ -0,0 +1,43 @@
+import { mock } from 'node:test';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+export const MP_FIXTURE = readFileSync(new URL('./fixtures/mp-18th-lok-sabha.html', import.meta.url), 'utf8');
+
+export function memberPage({ slug, name, state, constituency, attendance, debates, gender } = {}, html = MP_FIXTURE) {
+  let page = html;
+
+  if (name) page = page.replaceAll('Shashi Tharoor', name);
+  if (slug) page = page.replaceAll('shashi-tharoor', slug);
+  if (state) page = page.replace('Kerala (19 more MPs)', `${state} (19 more MPs)`);
+  if (constituency) page = page.replace('Constituency : Thiruvananthapuram', `Constituency : ${constituency}`);
+  if (attendance) page = page.replace('<div class="field-item even">89%</div>', `<div class="field-item even">${attendance}</div>`);
+  if (debates) page = page.replace('<div class="field-item even">23</div>', `<div class="field-item even">${debates}</div>`);
+  if (gender) page = page.replace('>Male</a>', `>${gender}</a>`);
+
+  return page;
+}
+
+export function setupTestEnv(name, { cache = 'memory', members = null, index = {}, fetch = null } = {}) {
+  mock.method(console, 'log', () => {});
+
+  const dataDir = mkdtempSync(path.join(tmpdir(), `prs-${name}-`));
+  process.env.PRS_DATA_DIR = dataDir;
+  process.env.PRS_CACHE = cache;
+  process.env.PRS_HOST_RATE = '1000';
+
+  if (members) {
+    writeFileSync(path.join(dataDir, 'member-index.json'), JSON.stringify({ builtAt: new Date().toISOString(), ...index, members }));
+  }
+
+  if (fetch) {
+    mock.method(globalThis, 'fetch', fetch);
+  }
+
+  return dataDir;
+}
+
+export function teardownTestEnv(dataDir) {
+  rmSync(dataDir, { recursive: true, force: true });
+}
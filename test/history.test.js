@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { memberPage, setupTestEnv, teardownTestEnv } from './helpers.js';
+import { buildCareerHistory, getHouseFromUrl } from '../src/history.js';
+
+const BASE = 'https://prsindia.org/mptrack';
+
+const CURRENT = { house: '18th-lok-sabha', slug: 'ram-kumar', name: 'Ram Kumar', state: 'Bihar', constituency: 'Patna Sahib' };
+
+const PAGES = [
+  CURRENT,
+  { house: '17th-lok-sabha', slug: 'ram-kumar', name: 'Ram Kumar', state: 'Bihar', constituency: 'Patna' },
+  { house: '16th-lok-sabha', slug: 'ram-kumar', name: 'Ram Kumar', state: 'Bihar', constituency: 'Gaya' }
+];
+
+const pages = new Map(PAGES.map(member => [`${BASE}/${member.house}/${member.slug}`, memberPage(member)]));
+
+let dataDir;
+let getPRSData;
+
+function term(house, fields) {
+  return { url: `${BASE}/${house}/ram-kumar`, data: { party: 'INC', constituency: 'Patna Sahib', state: 'Bihar', ...fields } };
+}
+
+before(async () => {
+  dataDir = setupTestEnv('history', {
+    members: [{ type: 'MP', url: `${BASE}/${CURRENT.house}/${CURRENT.slug}`, party: 'Independent', ...CURRENT }],
+    fetch: async url => {
+      const html = pages.get(String(url));
+      return html ? new Response(html, { status: 200 }) : new Response('', { status: 404 });
+    }
+  });
+
+  ({ getPRSData } = await import('../src/prsService.js'));
+});
+
+after(() => teardownTestEnv(dataDir));
+
+test('house and slug are read from Lok Sabha URLs only', () => {
+  assert.deepEqual(getHouseFromUrl(`${BASE}/17th-lok-sabha/ram-kumar?tab=debates`), { house: '17th-lok-sabha', slug: 'ram-kumar', number: 17 });
+  assert.equal(getHouseFromUrl(`${BASE}/rajya-sabha/ram-kumar`), null);
+  assert.equal(getHouseFromUrl(null), null);
+});
+
+test('career history orders terms and reports switches, seat changes and totals', () => {
+  const history = buildCareerHistory([
+    term('18th-lok-sabha', { party: 'BJP', constituency: 'Pataliputra', attendance: '90%', debates: '12', questions: '40', pmb: '0' }),
+    term('16th-lok-sabha', { attendance: '80%', debates: '8', questions: 'N/A', pmb: '1' }),
+    term('17th-lok-sabha', { party: 'N/A', attendance: 'N/A', debates: '5', questions: '10', pmb: null })
+  ]);
+
+  assert.deepEqual(history.terms.map(t => [t.lokSabha, t.attendance, t.debates]), [[16, 80, 8], [17, null, 5], [18, 90, 12]]);
+  assert.deepEqual(history.partySwitches, []);
+  assert.deepEqual(history.constituencyChanges, [{
+    from: { constituency: 'Patna Sahib', state: 'Bihar' },
+    to: { constituency: 'Pataliputra', state: 'Bihar' },
+    house: '18th-lok-sabha'
+  }]);
+  assert.deepEqual(history.career, {
+    termsFound: 3,
+    houses: ['16th-lok-sabha', '17th-lok-sabha', '18th-lok-sabha'],
+    totalDebates: 25,
+    totalQuestions: 50,
+    totalPMBs: 1,
+    averageAttendance: 85,
+    parties: ['INC', 'BJP'],
+    constituencies: ['Patna Sahib', 'Pataliputra']
+  });
+
+  const switched = buildCareerHistory([term('17th-lok-sabha', {}), term('18th-lok-sabha', { party: 'BJP' })]);
+  assert.deepEqual(switched.partySwitches, [{ from: 'INC', to: 'BJP', house: '18th-lok-sabha' }]);
+});
+
+test('earlier terms need a continuing seat, not just the same slug', async () => {
+  const result = await getPRSData('Ram Kumar', 'MP', null, null, { history: true, includeAffidavit: false, includeAnalysis: false });
+
+  assert.equal(result.found, true);
+  assert.equal(result.sourceUrl, `${BASE}/18th-lok-sabha/ram-kumar`);
+  assert.deepEqual(result.data.history.terms.map(t => [t.url, t.constituency]), [
+    [`${BASE}/17th-lok-sabha/ram-kumar`, 'Patna'],
+    [`${BASE}/18th-lok-sabha/ram-kumar`, 'Patna Sahib']
+  ]);
+  assert.deepEqual(result.data.history.career.constituencies, ['Patna', 'Patna Sahib']);
+});
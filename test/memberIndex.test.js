@@ -0,0 +1,151 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { memberPage, setupTestEnv, teardownTestEnv } from './helpers.js';
+import { buildMemberIndex, parseListingPage, rankMembers, tokenSetSimilarity, tokenizeName } from '../src/memberIndex.js';
+
+const BASE = 'https://prsindia.org/mptrack/18th-lok-sabha';
+
+const MEMBERS = [
+  { slug: 'ram-kumar', name: 'Ram Kumar', state: 'Bihar', constituency: 'Patna Sahib' },
+  { slug: 'ram-kumar-sharma', name: 'Ram Kumar Sharma', state: 'Uttar Pradesh', constituency: 'Ghazipur' },
+  { slug: 'ram-kumar-yadav', name: 'Ram Kumar Yadav', state: 'Bihar', constituency: 'Gaya' },
+  { slug: 'shashi-tharoor', name: 'Shashi Tharoor', state: 'Kerala', constituency: 'Thiruvananthapuram' }
+].map(member => ({ type: 'MP', house: '18th-lok-sabha', url: `${BASE}/${member.slug}`, party: 'Independent', ...member }));
+
+const LISTINGS = {
+  [BASE]: listingPage(['ram-kumar', 'ram-kumar-sharma'], [1, 2]),
+  [`${BASE}?page=1`]: listingPage(['ram-kumar-yadav'], [1, 2]),
+  [`${BASE}?page=2`]: listingPage(['shashi-tharoor'], [1, 2]),
+  'https://prsindia.org/mptrack/17th-lok-sabha': listingPage(['ram-kumar'], [1], '17th-lok-sabha')
+};
+
+const requested = [];
+let dataDir;
+let getPRSData;
+
+function listingPage(slugs, pages, house = '18th-lok-sabha') {
+  const rows = slugs.map(slug => `<div class="views-row"><a href="/mptrack/${house}/${slug}">${slug.replaceAll('-', ' ')}</a></div>`);
+  const pager = pages.map(page => `<a href="/mptrack/${house}?page=${page}">${page + 1}</a>`);
+  return `<html><body>${'<p>listing</p>'.repeat(40)}${rows.join('')}<nav class="pager">${pager.join('')}</nav></body></html>`;
+}
+
+function score(query, name) {
+  return Number(tokenSetSimilarity(tokenizeName(query), tokenizeName(name)).toFixed(3));
+}
+
+before(async () => {
+  dataDir = setupTestEnv('index', {
+    members: MEMBERS,
+    fetch: async url => {
+      requested.push(String(url));
+      if (LISTINGS[String(url)]) return new Response(LISTINGS[String(url)], { status: 200 });
+      if (String(url) === 'https://prsindia.org/mptrack/17th-lok-sabha?page=1') return new Response('', { status: 403 });
+
+      const member = MEMBERS.find(m => m.url === String(url));
+      return member ? new Response(memberPage(member), { status: 200 }) : new Response('', { status: 404 });
+    }
+  });
+
+  ({ getPRSData } = await import('../src/prsService.js'));
+});
+
+after(() => teardownTestEnv(dataDir));
+
+test('listing pages yield member entries with their place and party', () => {
+  const html = `<html><body>
+    <div class="views-row">
+      <a href="/mptrack/18th-lok-sabha/shashi-tharoor/">Shashi  Tharoor</a>
+      <div class="mp_state"><span class="field-label">State :</span> <a>Kerala (19 more MPs)</a></div>
+      <div class="mp_state"><span class="field-label">Party :</span> <a>Indian National Congress</a></div>
+      <div class="mp_constituency">Constituency : Thiruvananthapuram</div>
+    </div>
+    <div class="views-row"><a href="/mptrack">MP Track</a><a href="/mptrack/17th-lok-sabha/someone">Someone</a></div>
+  </body></html>`;
+
+  const entries = parseListingPage(html, { type: 'MP', house: '18th-lok-sabha' });
+  assert.deepEqual(entries, [
+    {
+      type: 'MP',
+      name: 'Shashi Tharoor',
+      slug: 'shashi-tharoor',
+      house: '18th-lok-sabha',
+      url: `${BASE}/shashi-tharoor`,
+      state: 'Kerala',
+      constituency: 'Thiruvananthapuram',
+      party: 'Indian National Congress'
+    },
+    {
+      type: 'MP',
+      name: 'Someone',
+      slug: 'someone',
+      house: '17th-lok-sabha',
+      url: 'https://prsindia.org/mptrack/17th-lok-sabha/someone',
+      state: null,
+      constituency: null,
+      party: null
+    }
+  ]);
+
+  const mla = parseListingPage('<a href="/mlatrack/atishi">Atishi</a><a href="/mptrack/18th-lok-sabha/x">X</a>', { type: 'MLA', house: null });
+  assert.deepEqual(mla.map(entry => [entry.slug, entry.house]), [['atishi', null]]);
+});
+
+test('name similarity ignores honorifics, word order and common spelling variants', () => {
+  assert.deepEqual(tokenizeName('Smt. Supriya  SULE'), ['supriya', 'sule']);
+  assert.equal(score('Dr. Shashi Tharoor', 'Shashi Tharoor'), 1);
+  assert.equal(score('Kumar Ram', 'Ram Kumar'), 1);
+  assert.equal(score('Sasi Taroor', 'Shashi Tharoor'), 0.9);
+  assert.equal(score('S Tharoor', 'Shashi Tharoor'), 0.9);
+  assert.equal(score('Ram Kumar', 'Ram Kumar Sharma'), 0.9);
+  assert.equal(score('Ram Kumar', 'Ramesh Kumar'), 0.5);
+  assert.equal(score('Supriya Sule', 'Shashi Tharoor'), 0);
+});
+
+test('rankMembers keeps matches above the threshold, best first, with type and state filters', () => {
+  const ranked = rankMembers(MEMBERS, 'Ram Kumar');
+  assert.deepEqual(ranked.map(m => [m.slug, Number(m.nameScore.toFixed(2))]), [
+    ['ram-kumar', 1],
+    ['ram-kumar-sharma', 0.9],
+    ['ram-kumar-yadav', 0.9]
+  ]);
+
+  assert.deepEqual(rankMembers(MEMBERS, 'Ram Kumar', { state: 'uttar pradesh' }).map(m => m.slug), ['ram-kumar-sharma']);
+  assert.deepEqual(rankMembers(MEMBERS, 'Ram Kumar', { type: 'MLA' }), []);
+  assert.deepEqual(rankMembers(MEMBERS, 'Tharoor'), []);
+  assert.deepEqual(rankMembers(MEMBERS, 'Dr.'), []);
+});
+
+test('index matches within 0.15 of the best name score are resolved by place', async () => {
+  const result = await getPRSData('Ram Kumar', 'MP', 'Ghazipur', null, { includeAffidavit: false, includeAnalysis: false });
+
+  assert.equal(result.found, true);
+  assert.equal(result.sourceUrl, `${BASE}/ram-kumar-sharma`);
+  assert.equal(result.match.resolvedVia, 'index');
+  assert.equal(result.match.nameScore, 0.9);
+  assert.equal(result.match.candidatesConsidered, 3);
+});
+
+test('index matches further than 0.15 behind the best are never fetched', async () => {
+  requested.length = 0;
+  const result = await getPRSData('Ram Kumar Yadav', 'MP', null, 'Uttar Pradesh', { refresh: true, includeAffidavit: false, includeAnalysis: false });
+
+  assert.equal(rankMembers(MEMBERS, 'Ram Kumar Yadav').find(m => m.slug === 'ram-kumar').nameScore, 0.8);
+  assert.equal(result.found, true);
+  assert.equal(result.sourceUrl, `${BASE}/ram-kumar-yadav`);
+  assert.equal(result.match.confidence, 'low');
+  assert.deepEqual(requested.filter(url => url.startsWith(BASE)), [`${BASE}/ram-kumar-yadav`]);
+});
+
+test('index builds follow the pager to its last page and record listings that stopped early', async () => {
+  requested.length = 0;
+  const index = await buildMemberIndex();
+
+  assert.deepEqual(index.members.filter(m => m.house === '18th-lok-sabha').map(m => m.slug),
+    ['ram-kumar', 'ram-kumar-sharma', 'ram-kumar-yadav', 'shashi-tharoor']);
+  assert.equal(requested.includes(`${BASE}?page=3`), false);
+
+  assert.equal(index.truncated, true);
+  assert.deepEqual(index.truncatedSources.find(source => source.url.endsWith('17th-lok-sabha')),
+    { type: 'MP', house: '17th-lok-sabha', url: 'https://prsindia.org/mptrack/17th-lok-sabha', members: 1, reason: 'page 1 failed: HTTP 403' });
+  assert.equal(index.truncatedSources.some(source => source.url === BASE), false);
+});
@@ -0,0 +1,140 @@
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { getAffidavit, parseAffidavitPage, parseRupees, parseSearchResults } from '../src/myneta.js';
+
+const SEARCH_HTML = readFileSync(new URL('./fixtures/myneta-search.html', import.meta.url), 'utf8');
+const CANDIDATE_HTML = readFileSync(new URL('./fixtures/myneta-candidate.html', import.meta.url), 'utf8');
+
+const NAMESAKE_HTML = `<html><head><title>Search Results | MyNeta</title></head><body>${'<p>results</p>'.repeat(40)}
+  <table>
+    <tr><td><a href="/LokSabha2024/candidate.php?candidate_id=3301">Ram Kumar</a></td><td>GHAZIPUR</td><td>BJP</td><td>Lok Sabha 2024</td></tr>
+    <tr><td><a href="/Delhi2020/candidate.php?candidate_id=812">Atishi</a></td><td>KALKAJI</td><td>AAP</td><td>Delhi 2020</td></tr>
+  </table>
+</body></html>`;
+
+const requested = [];
+
+const MEMBER = {
+  type: 'MP',
+  name: 'Shashi Tharoor',
+  state: 'Kerala',
+  constituency: 'Thiruvananthapuram',
+  termStart: '04 Jun, 2024'
+};
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  process.env.PRS_CACHE = 'off';
+  process.env.PRS_HOST_RATE = '1000';
+
+  mock.method(globalThis, 'fetch', async url => {
+    const target = String(url);
+    if (target.endsWith('/robots.txt')) return new Response('', { status: 404 });
+
+    requested.push(target);
+    if (target.includes('search_myneta.php')) {
+      return new Response(/q=(Ram|Atishi)/.test(target) ? NAMESAKE_HTML : SEARCH_HTML, { status: 200 });
+    }
+    if (target.includes('candidate.php')) return new Response(CANDIDATE_HTML, { status: 200 });
+    return new Response('', { status: 404 });
+  });
+});
+
+test('search results list candidate links with their election', () => {
+  const results = parseSearchResults(SEARCH_HTML);
+
+  assert.deepEqual(results.map(r => [r.name, r.election]), [
+    ['Shashi Tharoor', 'LokSabha2024'],
+    ['Shashi Tharur', 'LokSabha2024'],
+    ['Shashi Tharoor', 'LokSabha2019'],
+    ['Sasidharan Pillai', 'Kerala2021']
+  ]);
+  assert.equal(results[0].url, 'https://myneta.info/LokSabha2024/candidate.php?candidate_id=1042');
+  assert.deepEqual(results[0].cells, ['Shashi Tharoor', 'THIRUVANANTHAPURAM', 'INC', 'Lok Sabha 2024']);
+});
+
+test('affidavit page yields assets, liabilities, cases, education and PAN rows', () => {
+  const affidavit = parseAffidavitPage(CANDIDATE_HTML);
+
+  assert.equal(affidavit.candidateName, 'Shashi Tharoor');
+  assert.deepEqual(affidavit.assets, { total: 557800000, display: 'Rs 55,78,00,000 ~ 55 Crore+' });
+  assert.deepEqual(affidavit.liabilities, { total: 1785000, display: 'Rs 17,85,000 ~ 17 Lacs+' });
+
+  assert.equal(affidavit.criminalCases.count, 2);
+  assert.equal(affidavit.criminalCases.declaredNone, false);
+  assert.deepEqual(affidavit.criminalCases.ipcSections, ['153A', '295A', '505(2)', '499', '500']);
+  assert.deepEqual(affidavit.criminalCases.cases[0], {
+    firNo: '112/2021',
+    caseNo: 'CC 45/2021',
+    court: 'CJM Thiruvananthapuram',
+    ipcSections: ['153A', '295A', '505(2)'],
+    otherActs: 'Sec 66A IT Act',
+    convicted: false
+  });
+
+  assert.deepEqual(affidavit.education, {
+    category: 'Doctorate',
+    details: 'PhD, Fletcher School of Law and Diplomacy, Tufts University, 1978; MA, Fletcher School, 1976'
+  });
+  assert.deepEqual(affidavit.panItr, [
+    { relation: 'self', panGiven: true, financialYear: '2022 - 2023', totalIncome: 43210000 },
+    { relation: 'spouse', panGiven: false, financialYear: 'None', totalIncome: 0 }
+  ]);
+});
+
+test('a page without cases reports that none were declared', () => {
+  const affidavit = parseAffidavitPage('<html><body><h2>A Candidate</h2><p>No criminal cases</p></body></html>');
+  assert.deepEqual(affidavit.criminalCases, { count: 0, declaredNone: true, ipcSections: [], cases: [] });
+  assert.deepEqual(affidavit.assets, { total: null, display: null });
+  assert.deepEqual(affidavit.education, { category: null, details: null });
+});
+
+test('rupee amounts are read from MyNeta display strings', () => {
+  assert.equal(parseRupees('Rs 1,23,45,678 ~ 1 Crore+'), 12345678);
+  assert.equal(parseRupees('Rs. 500'), 500);
+  assert.equal(parseRupees('2,000'), 2000);
+  assert.equal(parseRupees('Nil'), null);
+  assert.equal(parseRupees(null), null);
+});
+
+test('affidavit lookup picks the candidate for the member\'s election and constituency', async () => {
+  requested.length = 0;
+  const current = await getAffidavit(MEMBER, { sourceUrl: 'https://prsindia.org/mptrack/18th-lok-sabha/shashi-tharoor' });
+
+  assert.equal(current.source, 'MyNeta');
+  assert.equal(current.election, 'LokSabha2024');
+  assert.equal(current.url, 'https://myneta.info/LokSabha2024/candidate.php?candidate_id=1042');
+  assert.equal(current.assets.total, 557800000);
+  assert.equal(requested[0], 'https://myneta.info/search_myneta.php?q=Shashi%20Tharoor');
+
+  const previous = await getAffidavit(MEMBER, { sourceUrl: 'https://prsindia.org/mptrack/17th-lok-sabha/shashi-tharoor' });
+  assert.equal(previous.url, 'https://myneta.info/LokSabha2019/candidate.php?candidate_id=771');
+
+  requested.length = 0;
+  assert.equal(await getAffidavit({ ...MEMBER, type: 'RS' }), null);
+  assert.equal(await getAffidavit({ ...MEMBER, type: 'MLA', name: 'Someone Else', termStart: '2021' }), null);
+  assert.deepEqual(requested, ['https://myneta.info/search_myneta.php?q=Someone%20Else']);
+});
+
+test('a namesake elected from another seat is never taken for the member', async () => {
+  requested.length = 0;
+  const member = { type: 'MP', name: 'Ram Kumar', state: 'Bihar', constituency: 'Patna Sahib', termStart: '04 Jun, 2024' };
+
+  assert.equal(await getAffidavit(member, { sourceUrl: 'https://prsindia.org/mptrack/18th-lok-sabha/ram-kumar' }), null);
+  assert.equal(await getAffidavit({ ...member, constituency: null }), null);
+  assert.equal(requested.some(url => url.includes('candidate.php')), false);
+});
+
+test('assembly elections are looked up under MyNeta\'s name for the state', async () => {
+  const member = { type: 'MLA', name: 'Atishi', state: 'NCT of Delhi', constituency: 'Kalkaji', termStart: '2020' };
+
+  const affidavit = await getAffidavit(member);
+  assert.equal(affidavit.election, 'Delhi2020');
+  assert.equal(affidavit.url, 'https://myneta.info/Delhi2020/candidate.php?candidate_id=812');
+
+  requested.length = 0;
+  assert.equal(await getAffidavit({ ...member, state: 'Jammu & Kashmir' }), null);
+  assert.equal(await getAffidavit({ ...member, state: 'Atlantis' }), null);
+  assert.deepEqual(requested, ['https://myneta.info/search_myneta.php?q=Atishi']);
+});
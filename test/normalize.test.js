@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PERFORMANCE_FIELDS, normalizeMember, parseDate } from '../src/normalize.js';
+import { toNumber } from '../src/numbers.js';
+
+test('metric strings become numbers or null', () => {
+  assert.equal(toNumber('85%'), 85);
+  assert.equal(toNumber(' 1,204 '), 1204);
+  assert.equal(toNumber('14.6'), 14.6);
+  assert.equal(toNumber('.5'), 0.5);
+  assert.equal(toNumber('-3'), -3);
+  assert.equal(toNumber('0'), 0);
+  assert.equal(toNumber(7), 7);
+  assert.equal(toNumber(NaN), null);
+  assert.equal(toNumber('N/A'), null);
+  assert.equal(toNumber(''), null);
+  assert.equal(toNumber('12 sessions'), null);
+  assert.equal(toNumber(null), null);
+});
+
+test('dates in PRS and ISO layouts parse to ISO days, invalid days do not', () => {
+  assert.equal(parseDate('04 Jun, 2024'), '2024-06-04');
+  assert.equal(parseDate('4 June 2024'), '2024-06-04');
+  assert.equal(parseDate('June 4, 2024'), '2024-06-04');
+  assert.equal(parseDate('2024-06-04T10:00:00Z'), '2024-06-04');
+  assert.equal(parseDate('04/06/2024'), '2024-06-04');
+  assert.equal(parseDate('31-02-2024'), null);
+  assert.equal(parseDate('In Office'), null);
+  assert.equal(parseDate(undefined), null);
+});
+
+test('members get a typed view of every metric with unit and source', () => {
+  const normalized = normalizeMember({
+    age: '68 years',
+    noOfTerm: 'N/A',
+    termStart: '04 Jun, 2024',
+    termEnd: 'In Office',
+    attendance: '89%',
+    natAttendance: '87.5%',
+    debates: '0',
+    questions: '',
+    pmb: 'N/A'
+  }, { pmb: 'defaulted', stateAttendance: 'not-published' });
+
+  assert.deepEqual(Object.keys(normalized), ['age', 'noOfTerm', 'termStart', 'termEnd', ...PERFORMANCE_FIELDS]);
+  assert.deepEqual(normalized.age, { value: 68, unit: 'years', available: true });
+  assert.deepEqual(normalized.noOfTerm, { value: null, unit: 'terms', available: false });
+  assert.deepEqual(normalized.termStart, { value: '2024-06-04', unit: 'date', available: true });
+  assert.deepEqual(normalized.termEnd, { value: null, unit: 'date', available: false, inOffice: true });
+
+  assert.deepEqual(normalized.attendance, { value: 89, unit: 'percent', available: true, source: 'page' });
+  assert.deepEqual(normalized.natAttendance, { value: 87.5, unit: 'percent', available: true, source: 'page' });
+  assert.deepEqual(normalized.debates, { value: 0, unit: 'count', available: true, source: 'page' });
+  assert.deepEqual(normalized.questions, { value: null, unit: 'count', available: false, source: 'missing' });
+  assert.deepEqual(normalized.pmb, { value: null, unit: 'count', available: false, source: 'defaulted' });
+  assert.deepEqual(normalized.stateAttendance, { value: null, unit: 'percent', available: false, source: 'not-published' });
+});
@@ -0,0 +1,242 @@
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { parseToFlatFormat } from '../src/prsService.js';
+import { createExtractionHealth, summarizeExtractionHealth } from '../src/extractionHealth.js';
+import { validateMember } from '../src/schema.js';
+
+function parseFixture(file, type, edit = html => html) {
+  const html = edit(readFileSync(new URL(`./fixtures/${file}`, import.meta.url), 'utf8'));
+  const health = createExtractionHealth();
+  const data = parseToFlatFormat(html, type, { health });
+  return { data, report: summarizeExtractionHealth(health, data) };
+}
+
+const CAPTURED = readdirSync(new URL('./fixtures/', import.meta.url)).filter(file => file.startsWith('captured-'));
+
+function getCapturedType(html) {
+  const [, url = ''] = html.match(/^<!-- captured from (\S+)/) || [];
+  if (url.includes('/mlatrack/')) return 'MLA';
+  return url.includes('/rajya-sabha/') ? 'RS' : 'MP';
+}
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+test('MP page with the current PRS layout parses every field', () => {
+  const { data, report } = parseFixture('mp-18th-lok-sabha.html', 'MP');
+
+  assert.equal(data.name, 'Shashi Tharoor');
+  assert.equal(data.state, 'Kerala');
+  assert.equal(data.constituency, 'Thiruvananthapuram');
+  assert.equal(data.party, 'Indian National Congress');
+  assert.equal(data.imageUrl, 'https://prsindia.org/sites/default/files/mp-images/shashi-tharoor.jpg');
+  assert.equal(data.noOfTerm, '4');
+  assert.equal(data.membership, 'Elected');
+  assert.equal(data.age, '68');
+  assert.equal(data.gender, 'Male');
+  assert.equal(data.education, 'Doctorate');
+
+  assert.equal(data.attendance, '89%');
+  assert.equal(data.natDebates, '14.6');
+  assert.equal(data.questions, '112');
+  assert.equal(data.pmb, '3');
+
+  assert.equal(data.normalized.attendance.value, 89);
+  assert.equal(data.normalized.termStart.value, '2024-06-04');
+  assert.equal(data.normalized.termEnd.inOffice, true);
+  assert.equal(data.normalized.age.value, 68);
+
+  assert.equal(report.status, 'ok');
+  assert.deepEqual(report.emptyFields, []);
+  assert.deepEqual(report.fallbackFields, []);
+  assert.equal(validateMember(data).valid, true);
+});
+
+test('MP session tables are parsed into rows', () => {
+  const { data } = parseFixture('mp-18th-lok-sabha.html', 'MP');
+
+  assert.deepEqual(data.attendanceRows, [
+    { session: 'Budget Session 2024', percentage: 92 },
+    { session: 'Winter Session 2024', percentage: 86 },
+    { session: 'Monsoon Session 2025', percentage: null }
+  ]);
+  assert.deepEqual(data.debatesRows[1], {
+    date: '2024-07-30',
+    title: 'The Union Budget 2024-25',
+    debateType: 'Budget',
+    url: 'https://prsindia.org/parliamenttrack/debates/union-budget-2024-25'
+  });
+  assert.equal(data.questionsRows.length, 3);
+  assert.equal(data.questionsRows[0].url, 'https://prsindia.org/parliamenttrack/questions/coastal-erosion-kerala');
+  assert.equal(data.questionsRows[2].url, null);
+  assert.equal(data.questionsRows[1].ministry, 'Ports, Shipping and Waterways');
+});
+
+test('table rows are matched by header name, untitled rows are dropped and raw HTML is opt-in', () => {
+  const html = readFileSync(new URL('./fixtures/mp-18th-lok-sabha.html', import.meta.url), 'utf8').replace(
+    /<section id="block-views-mps-questions-block">[\s\S]*?<\/section>/,
+    '<section id="block-views-mps-questions-block"><h2>Questions Details</h2><table class="table">' +
+    '<thead><tr><th>Ministry or Category</th><th>Type</th><th>Date</th><th>Title</th></tr></thead><tbody>' +
+    '<tr><td>Railways</td><td>Starred</td><td>03 Feb, 2025</td><td><a href="/parliamenttrack/questions/kavach">Kavach   rollout</a></td></tr>' +
+    '<tr><td>Finance</td><td>Unstarred</td><td>04 Feb, 2025</td><td> </td></tr>' +
+    '</tbody></table></section>'
+  );
+
+  const data = parseToFlatFormat(html, 'MP', { includeHtml: true });
+  assert.deepEqual(data.questionsRows, [{
+    date: '2025-02-03',
+    title: 'Kavach rollout',
+    type: 'Starred',
+    ministry: 'Railways',
+    url: 'https://prsindia.org/parliamenttrack/questions/kavach'
+  }]);
+  assert.match(data.questionsTable, /^<table/);
+  assert.match(data.attendanceTable, /Budget Session 2024/);
+
+  assert.equal(parseToFlatFormat(html, 'MP').questionsTable, undefined);
+});
+
+test('MP page on the older layout is parsed through fallbacks and reported as degraded', () => {
+  const { data, report } = parseFixture('mp-fallback-layout.html', 'MP');
+
+  assert.equal(data.name, 'Supriya Sule');
+  assert.equal(data.constituency, 'Baramati');
+  assert.equal(data.attendance, '95%');
+  assert.equal(data.debates, '41');
+  assert.equal(data.questions, '206');
+  assert.equal(data.normalized.termStart.value, '2024-06-04');
+  assert.equal(data.normalized.pmb.source, 'defaulted');
+
+  assert.equal(data.attendanceRows.length, 1);
+  assert.equal(data.debatesRows[0].date, '2024-07-24');
+  assert.equal(data.questionsRows[0].ministry, 'Cooperation');
+
+  assert.equal(report.status, 'degraded');
+  assert.ok(report.fallbackFields.includes('attendance'));
+  assert.ok(report.emptyFields.includes('pmb'));
+  assert.equal(report.strategies.attendanceTable, 'heading');
+  assert.equal(report.strategies.questionsTable, 'table-headers');
+  assert.equal(validateMember(data).valid, true);
+});
+
+test('MLA page marks performance metrics as not published', () => {
+  const { data, report } = parseFixture('mla-profile.html', 'MLA');
+
+  assert.equal(data.type, 'MLA');
+  assert.equal(data.name, 'Atishi');
+  assert.equal(data.state, 'Delhi');
+  assert.equal(data.constituency, 'Kalkaji');
+  assert.equal(data.party, 'Aam Aadmi Party');
+  assert.equal(data.normalized.termStart.value, '2025-02-08');
+  assert.equal(data.normalized.attendance.source, 'not-published');
+  assert.equal(data.normalized.attendance.value, null);
+  assert.deepEqual(data.attendanceRows, []);
+
+  assert.equal(report.status, 'ok');
+  assert.equal(validateMember(data).valid, true);
+});
+
+test('MP page after a redesign is reported as failed', () => {
+  const { data, report } = parseFixture('mp-reskinned.html', 'MP');
+
+  assert.equal(data.name, 'Unknown');
+  assert.equal(report.status, 'failed');
+  assert.ok(report.emptyFields.includes('name'));
+  assert.ok(report.emptyFields.includes('attendance'));
+  assert.ok(report.emptyFields.includes('attendanceRows'));
+});
+
+test('Rajya Sabha page reuses the MP layout and records the membership type', () => {
+  const { data, report } = parseFixture('rs-member.html', 'RS');
+
+  assert.equal(data.type, 'RS');
+  assert.equal(data.name, 'Nirmala Sitharaman');
+  assert.equal(data.state, 'Karnataka');
+  assert.equal(data.constituency, 'Karnataka');
+  assert.equal(data.party, 'Bharatiya Janata Party');
+  assert.equal(data.membership, 'Elected');
+  assert.equal(data.membershipType, 'elected');
+  assert.equal(data.normalized.termStart.value, '2022-07-01');
+  assert.equal(data.normalized.termEnd.value, '2028-06-30');
+  assert.equal(data.normalized.attendance.value, 78);
+  assert.equal(data.normalized.natDebates.value, 33.1);
+
+  assert.equal(data.debatesRows.length, 2);
+  assert.deepEqual(data.questionsRows, []);
+
+  assert.deepEqual(report.emptyFields, ['questionsRows']);
+  assert.equal(validateMember(data).valid, true);
+});
+
+test('MLA page with an assembly activity section reads its performance metrics', () => {
+  const { data, report } = parseFixture('mla-assembly-performance.html', 'MLA');
+
+  assert.equal(data.state, 'Kerala');
+  assert.deepEqual(data.performanceCoverage, {
+    state: 'Kerala',
+    published: true,
+    metrics: ['attendance', 'debates', 'questions']
+  });
+  assert.equal(data.attendance, '96%');
+  assert.equal(data.stateAttendance, '91%');
+  assert.equal(data.debates, '212');
+  assert.equal(data.normalized.questions.value, 1304);
+  assert.equal(data.normalized.questions.source, 'page');
+  assert.equal(data.normalized.natQuestions.source, 'not-published');
+  assert.equal(data.normalized.pmb.source, 'not-published');
+
+  assert.equal(report.status, 'ok');
+  assert.equal(validateMember(data).valid, true);
+});
+
+test('MLA metrics missing from the activity section are not published', () => {
+  const { data, report } = parseFixture('mla-assembly-performance.html', 'MLA', html => html
+    .replace('Kerala (139 more MLAs)', 'Goa (39 more MLAs)')
+    .replace(/<div class="mla-debate">[\s\S]*?<\/div>\s*<\/div>/, '')
+    .replace(/<div class="mla-questions">[\s\S]*?<\/div>\s*<\/div>/, ''));
+
+  assert.deepEqual(data.performanceCoverage, { state: 'Goa', published: true, metrics: ['attendance'] });
+  assert.equal(data.attendance, '96%');
+  assert.equal(data.normalized.attendance.source, 'page');
+  assert.equal(data.normalized.debates.source, 'not-published');
+  assert.equal(report.status, 'ok');
+});
+
+test('MLA activity section with unreadable labels is reported as degraded, not as unpublished', () => {
+  const { data, report } = parseFixture('mla-assembly-performance.html', 'MLA', html => html
+    .replace(/<span class="field-label">(Attendance|Debates|Questions) :<\/span>/g, '<span class="field-label">Sitting $1 :</span>'));
+
+  assert.deepEqual(data.performanceCoverage, { state: 'Kerala', published: true, metrics: [] });
+  assert.equal(data.normalized.attendance.source, 'missing');
+  assert.equal(report.status, 'degraded');
+});
+
+test('MLA page without an activity section is not published, whatever the state', () => {
+  const { data, report } = parseFixture('mla-assembly-performance.html', 'MLA', html => html
+    .replace(/<div class="mla-performance">[\s\S]*?<\/section>/, '</section>'));
+
+  assert.deepEqual(data.performanceCoverage, { state: 'Kerala', published: false, metrics: [] });
+  assert.equal(data.attendance, 'N/A');
+  assert.equal(data.normalized.attendance.source, 'not-published');
+  assert.equal(report.status, 'ok');
+});
+
+test('an empty performance wrapper is not an activity section', () => {
+  const { data, report } = parseFixture('mla-assembly-performance.html', 'MLA', html => html
+    .replace(/<div class="mla-performance">[\s\S]*?<\/section>/, '<div class="member-performance"></div>\n    </section>'));
+
+  assert.deepEqual(data.performanceCoverage, { state: 'Kerala', published: false, metrics: [] });
+  assert.equal(data.normalized.attendance.source, 'not-published');
+  assert.notEqual(report.status, 'degraded');
+});
+
+test('captured PRS pages parse without empty fields', { skip: CAPTURED.length === 0 && 'no captured PRS pages committed yet' }, () => {
+  for (const file of CAPTURED) {
+    const html = readFileSync(new URL(`./fixtures/${file}`, import.meta.url), 'utf8');
+    const { report } = parseFixture(file, getCapturedType(html));
+
+    assert.equal(report.status, 'ok', `${file}: ${report.emptyFields.join(', ')}`);
+  }
+});
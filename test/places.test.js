@@ -0,0 +1,138 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MP_FIXTURE, setupTestEnv, teardownTestEnv } from './helpers.js';
+import { buildDelegation, isSittingMember, matchSeats, normalizePlace, placeSimilarity, resolveState } from '../src/places.js';
+
+const BASE = 'https://prsindia.org';
+
+const MEMBERS = [
+  { type: 'MP', house: '18th-lok-sabha', name: 'Shashi Tharoor', state: 'Kerala', constituency: 'Thiruvananthapuram', party: 'INC' },
+  { type: 'MP', house: '17th-lok-sabha', name: 'Old Member', state: 'Kerala', constituency: 'Thiruvananthapuram', party: 'CPI' },
+  { type: 'MP', house: '18th-lok-sabha', name: 'Hibi Eden', state: 'Kerala', constituency: 'Ernakulam', party: 'INC' },
+  { type: 'RS', house: 'rajya-sabha', name: 'John Brittas', state: 'Kerala', constituency: null, party: 'CPI(M)' },
+  { type: 'MLA', house: null, name: 'V K Prasanth', state: 'Kerala', constituency: 'Vattiyoorkavu', party: 'CPI(M)' },
+  { type: 'MP', house: '18th-lok-sabha', name: 'Bihar Member', state: 'Bihar', constituency: 'Aurangabad', party: 'BJP' },
+  { type: 'MP', house: '18th-lok-sabha', name: 'Maharashtra Member', state: 'Maharashtra', constituency: 'Aurangabad', party: 'SHS' },
+  { type: 'MLA', house: null, name: 'Atishi', state: 'NCT of Delhi', constituency: 'Kalkaji (SC)', party: 'AAP' }
+].map(member => {
+  const slug = member.name.toLowerCase().replace(/ /g, '-');
+  const url = member.type === 'MLA' ? `${BASE}/mlatrack/${slug}` : `${BASE}/mptrack/${member.house}/${slug}`;
+  return { ...member, slug, url };
+});
+
+let dataDir;
+let getPRSData;
+let main;
+
+function invoke(query) {
+  let response;
+  const reply = (body, status, headers) => (response = { body, status, headers });
+  const res = { json: reply, text: reply, binary: reply };
+  return main({ req: { method: 'GET', path: '/', query, headers: {} }, res, log: () => {}, error: () => {} })
+    .then(() => response);
+}
+
+before(async () => {
+  dataDir = setupTestEnv('places', {
+    members: MEMBERS,
+    fetch: async url => String(url) === MEMBERS[0].url
+      ? new Response(MP_FIXTURE, { status: 200 })
+      : new Response('', { status: 404 })
+  });
+
+  ({ getPRSData } = await import('../src/prsService.js'));
+  ({ default: main } = await import('../src/main.js'));
+});
+
+after(() => teardownTestEnv(dataDir));
+
+test('place names are normalized for reservation tags, prefixes and old names', () => {
+  assert.equal(normalizePlace('Kalkaji (SC)'), 'kalkaji');
+  assert.equal(normalizePlace('Nagina - SC'), 'nagina');
+  assert.equal(normalizePlace('NCT of Delhi'), 'delhi');
+  assert.equal(normalizePlace('Trivandrum'), 'thiruvananthapuram');
+  assert.equal(normalizePlace('Bombay  North'), 'mumbai north');
+  assert.equal(normalizePlace(null), '');
+});
+
+test('place similarity scores exact, spacing, containment and misspelt names', () => {
+  assert.equal(placeSimilarity('Trivandrum', 'Thiruvananthapuram'), 1);
+  assert.equal(placeSimilarity('Mumbai North', 'MumbaiNorth'), 0.95);
+  assert.equal(placeSimilarity('Patna Sahib', 'Patna'), 0.8);
+  assert.equal(placeSimilarity('Ghazipur', 'Gazipur'), 0.9);
+  assert.equal(placeSimilarity('Kerala', 'Bihar'), 0);
+  assert.equal(placeSimilarity('', 'Bihar'), 0);
+});
+
+test('states resolve by similarity and sitting members exclude earlier Lok Sabhas', () => {
+  assert.equal(resolveState(MEMBERS, 'Kerla'), 'Kerala');
+  assert.equal(resolveState(MEMBERS, 'Delhi'), 'NCT of Delhi');
+  assert.equal(resolveState(MEMBERS, 'Punjab'), null);
+
+  assert.deepEqual(MEMBERS.filter(member => !isSittingMember(member)).map(member => member.name), ['Old Member']);
+});
+
+test('seats match sitting members, and a seat name shared by two states is ambiguous', () => {
+  const trivandrum = matchSeats(MEMBERS, { constituency: 'Trivandrum' });
+  assert.equal(trivandrum.ambiguous, false);
+  assert.deepEqual(trivandrum.seats.map(seat => [seat.seatType, seat.member.name, seat.placeScore]), [
+    ['parliamentary', 'Shashi Tharoor', 1]
+  ]);
+
+  const aurangabad = matchSeats(MEMBERS, { constituency: 'Aurangabad' });
+  assert.equal(aurangabad.ambiguous, true);
+  assert.deepEqual(aurangabad.candidates.map(c => c.state), ['Bihar', 'Maharashtra']);
+
+  const inBihar = matchSeats(MEMBERS, { constituency: 'Aurangabad', state: 'bihar' });
+  assert.deepEqual(inBihar.seats.map(seat => seat.member.name), ['Bihar Member']);
+
+  assert.deepEqual(matchSeats(MEMBERS, { constituency: 'Kalkaji', type: 'MP' }).seats, []);
+  assert.deepEqual(matchSeats(MEMBERS, { constituency: 'Aurangabad', state: 'Atlantis' }), { seats: [], ambiguous: false });
+});
+
+test('a state delegation lists sitting MPs, Rajya Sabha members and MLAs with party counts', () => {
+  const delegation = buildDelegation(MEMBERS, 'kerala');
+
+  assert.equal(delegation.state, 'Kerala');
+  assert.deepEqual(delegation.members.MP.map(member => member.constituency), ['Ernakulam', 'Thiruvananthapuram']);
+  assert.deepEqual(delegation.counts, {
+    MP: 2,
+    RS: 1,
+    MLA: 1,
+    byParty: { MP: { INC: 2 }, RS: { 'CPI(M)': 1 }, MLA: { 'CPI(M)': 1 } }
+  });
+
+  assert.equal(buildDelegation(MEMBERS, 'kerala', 'RS').counts.MP, 0);
+  assert.equal(buildDelegation(MEMBERS, 'Punjab'), null);
+});
+
+test('looking up by place fetches the members holding the seat', async () => {
+  const bySeat = await getPRSData(null, 'MP', 'Trivandrum', null, { includeAffidavit: false, includeAnalysis: false });
+  assert.equal(bySeat.found, true);
+  assert.equal(bySeat.mode, 'constituency');
+  assert.deepEqual(bySeat.seats.map(seat => [seat.found, seat.data.name, seat.sourceUrl]), [
+    [true, 'Shashi Tharoor', MEMBERS[0].url]
+  ]);
+
+  const ambiguous = await getPRSData(null, null, 'Aurangabad', null);
+  assert.equal(ambiguous.ambiguous, true);
+  assert.equal(ambiguous.candidates.length, 2);
+
+  const byState = await getPRSData(null, null, null, 'Kerala');
+  assert.equal(byState.found, true);
+  assert.equal(byState.mode, 'state');
+  assert.equal(byState.delegation.counts.MP, 2);
+
+  assert.deepEqual(await getPRSData(null, null, 'Nowhere', null), { found: false, mode: 'constituency', indexTruncated: false });
+});
+
+test('seat lookups honour the export format, and state delegations stay JSON only', async () => {
+  const { status, body, headers } = await invoke({ constituency: 'Thiruvananthapuram', type: 'MP', format: 'ndjson', includeAffidavit: 'false' });
+  assert.equal(status, 200);
+  assert.equal(headers['Content-Type'], 'application/x-ndjson; charset=utf-8');
+  assert.match(body.split('\n')[0], /"name":"Shashi Tharoor"/);
+
+  const delegation = await invoke({ state: 'Kerala', format: 'csv' });
+  assert.equal(delegation.status, 400);
+  assert.equal(delegation.body.success, false);
+});
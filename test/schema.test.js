@@ -0,0 +1,54 @@
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseToFlatFormat } from '../src/prsService.js';
+import { MEMBER_SCHEMA, MEMBER_TYPES, SCHEMA_VERSION, validateMember } from '../src/schema.js';
+import main from '../src/main.js';
+
+const FIXTURE = readFileSync(new URL('./fixtures/mp-18th-lok-sabha.html', import.meta.url), 'utf8');
+
+function invoke(path) {
+  let response;
+  const res = { json: (body, status, headers) => (response = { body, status, headers }) };
+  return main({ req: { method: 'GET', path, query: {}, headers: {} }, res, log: () => {}, error: () => {} })
+    .then(() => response);
+}
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+test('the schema is versioned and covers every member type', () => {
+  assert.match(SCHEMA_VERSION, /^\d+\.\d+\.\d+$/);
+  assert.equal(MEMBER_SCHEMA.version, SCHEMA_VERSION);
+  assert.equal(MEMBER_SCHEMA.$id, `urn:prs-scraper:member:${SCHEMA_VERSION}`);
+  assert.deepEqual(MEMBER_TYPES, ['MP', 'RS', 'MLA']);
+  assert.deepEqual(MEMBER_SCHEMA.properties.type.enum, [...MEMBER_TYPES, 'Unknown']);
+});
+
+test('parsed and empty payloads validate, drifted ones report where they drifted', () => {
+  const data = parseToFlatFormat(FIXTURE, 'MP');
+  assert.deepEqual(validateMember(data), { valid: true, schemaVersion: SCHEMA_VERSION, errors: [] });
+
+  const empty = parseToFlatFormat('<html><body></body></html>', 'MP');
+  assert.equal(validateMember(empty).valid, true);
+
+  const drifted = { ...data, attendance: 89, nickname: 'Tharoor' };
+  delete drifted.membership;
+  delete drifted.normalized.age;
+
+  const result = validateMember(drifted);
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors.sort(), [
+    '/ must NOT have additional properties (nickname)',
+    '/ must have required property \'membership\'',
+    '/attendance must be string',
+    '/normalized must have required property \'age\''
+  ]);
+});
+
+test('the /schema route serves the member schema', async () => {
+  const response = await invoke('/schema/');
+  assert.equal(response.status, 200);
+  assert.equal(response.body, MEMBER_SCHEMA);
+});
@@ -0,0 +1,118 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnv, teardownTestEnv } from './helpers.js';
+import { loadMemberIndex, matchesParty, rankSearchResults } from '../src/memberIndex.js';
+
+const BASE = 'https://prsindia.org/mptrack';
+
+const MEMBERS = [
+  { type: 'MP', name: 'Shashi Tharoor', slug: 'shashi-tharoor', house: '17th-lok-sabha', state: 'Kerala', constituency: 'Thiruvananthapuram', party: 'Indian National Congress' },
+  { type: 'MP', name: 'Shashi Tharoor', slug: 'shashi-tharoor', house: '18th-lok-sabha', state: 'Kerala', constituency: 'Thiruvananthapuram', party: 'Indian National Congress' },
+  { type: 'MP', name: 'Ram Kumar', slug: 'ram-kumar', house: '18th-lok-sabha', state: 'Bihar', constituency: 'Patna Sahib', party: 'Janata Dal (United)' },
+  { type: 'MP', name: 'Ram Kumar', slug: 'ram-kumar', house: '17th-lok-sabha', state: 'Uttar Pradesh', constituency: 'Ghazipur', party: 'Bharatiya Janata Party' },
+  { type: 'MLA', name: 'Shashikala Jolle', slug: 'shashikala-jolle', house: null, state: 'Karnataka', constituency: 'Nippani', party: 'Bharatiya Janata Party' }
+].map(member => ({ ...member, url: member.house ? `${BASE}/${member.house}/${member.slug}` : `https://prsindia.org/mlatrack/${member.slug}` }));
+
+const LISTING = `<html><head><title>MP Track | PRSIndia</title></head><body>${'<p>listing</p>'.repeat(40)}
+  <div class="views-row">
+    <a href="/mptrack/18th-lok-sabha/shashi-tharoor">Shashi Tharoor</a>
+    <div class="mp_state"><span class="field-label">State :</span> <a>Kerala (19 more MPs)</a></div>
+    <div class="mp_state"><span class="field-label">Party :</span> <a>Indian National Congress</a></div>
+    <div class="mp_constituency">Constituency : Thiruvananthapuram</div>
+  </div>
+</body></html>`;
+
+let dataDir;
+let main;
+let getPRSData;
+let releaseListing;
+const listingReady = new Promise(resolve => {
+  releaseListing = resolve;
+});
+
+function invoke(query) {
+  let response;
+  const res = { json: (body, status, headers) => (response = { body, status, headers }) };
+  return main({ req: { method: 'GET', path: '/search', query, headers: {} }, res, log: () => {}, error: () => {} })
+    .then(() => response);
+}
+
+before(async () => {
+  dataDir = setupTestEnv('search', {
+    fetch: async url => {
+      const { pathname } = new URL(url);
+      if (pathname !== '/mptrack/18th-lok-sabha') return new Response('', { status: 404 });
+
+      await listingReady;
+      return new Response(LISTING, { status: 200 });
+    }
+  });
+
+  ({ default: main } = await import('../src/main.js'));
+  ({ getPRSData } = await import('../src/prsService.js'));
+});
+
+after(() => teardownTestEnv(dataDir));
+
+test('name prefixes match, with the best and most recent members first', () => {
+  const results = rankSearchResults(MEMBERS, 'shash');
+  assert.deepEqual(results.map(r => [r.name, r.house, r.score]), [
+    ['Shashi Tharoor', '18th-lok-sabha', 0.93],
+    ['Shashikala Jolle', null, 0.88]
+  ]);
+  assert.deepEqual(results[0].houses, ['18th-lok-sabha', '17th-lok-sabha']);
+  assert.equal(results[0].url, `${BASE}/18th-lok-sabha/shashi-tharoor`);
+
+  assert.deepEqual(rankSearchResults(MEMBERS, 'shash', { limit: 1 }).map(r => r.name), ['Shashi Tharoor']);
+  assert.deepEqual(rankSearchResults(MEMBERS, '  '), []);
+});
+
+test('namesakes with the same slug in different seats stay separate results', () => {
+  const results = rankSearchResults(MEMBERS, 'ram kumar');
+  assert.deepEqual(results.map(r => [r.constituency, r.houses]), [
+    ['Patna Sahib', ['18th-lok-sabha']],
+    ['Ghazipur', ['17th-lok-sabha']]
+  ]);
+});
+
+test('type, state and party filters narrow the results', () => {
+  assert.deepEqual(rankSearchResults(MEMBERS, 'shash', { type: 'MLA' }).map(r => r.name), ['Shashikala Jolle']);
+  assert.deepEqual(rankSearchResults(MEMBERS, 'ram', { state: 'uttar  pradesh' }).map(r => r.constituency), ['Ghazipur']);
+  assert.deepEqual(rankSearchResults(MEMBERS, 'ram', { party: 'JD(U)' }).map(r => r.constituency), ['Patna Sahib']);
+  assert.deepEqual(rankSearchResults(MEMBERS, 'ram', { party: 'bjp' }).map(r => r.constituency), ['Ghazipur']);
+
+  assert.equal(matchesParty('Indian National Congress', 'INC'), true);
+  assert.equal(matchesParty('Indian National Congress', 'congress'), true);
+  assert.equal(matchesParty('Communist Party of India (Marxist)', 'CPIM'), true);
+  assert.equal(matchesParty(null, 'INC'), false);
+});
+
+test('/search answers 503 while the index is first built and lookups fall back instead of waiting', async () => {
+  const cold = await invoke({ q: 'shashi' });
+  assert.equal(cold.status, 503);
+  assert.deepEqual(cold.headers, { 'Retry-After': '30' });
+  assert.equal(cold.body.code, 'INDEX_BUILDING');
+  assert.equal(cold.body.retryable, true);
+
+  const lookup = await getPRSData('Shashi Tharoor', 'MP', null, null, { includeAffidavit: false, includeAnalysis: false });
+  assert.equal(lookup.found, false);
+
+  releaseListing();
+  const index = await loadMemberIndex({ refresh: true });
+  assert.deepEqual(index.members.map(member => member.slug), ['shashi-tharoor']);
+  assert.equal(index.truncated, true);
+  assert.deepEqual(index.truncatedSources.map(source => [source.url, source.reason]), [
+    ['https://prsindia.org/mptrack/17th-lok-sabha', 'page 0 failed: HTTP 404'],
+    ['https://prsindia.org/mptrack/16th-lok-sabha', 'page 0 failed: HTTP 404'],
+    ['https://prsindia.org/mptrack/rajya-sabha', 'page 0 failed: HTTP 404'],
+    ['https://prsindia.org/mlatrack', 'page 0 failed: HTTP 404']
+  ]);
+
+  const warm = await invoke({ q: 'tharoor', type: 'mp' });
+  assert.equal(warm.status, 200);
+  assert.deepEqual(warm.body.results.map(r => r.name), ['Shashi Tharoor']);
+  assert.deepEqual(warm.body.meta, { source: 'PRS India listing pages', indexBuiltAt: index.builtAt, indexStale: false, indexTruncated: true });
+
+  assert.equal((await invoke({ q: 's' })).status, 400);
+  assert.equal((await invoke({ q: 'shashi', type: 'MLC' })).status, 400);
+});
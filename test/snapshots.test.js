@@ -0,0 +1,138 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { MP_FIXTURE, setupTestEnv, teardownTestEnv } from './helpers.js';
+
+const PAGE_URL = 'https://prsindia.org/mptrack/18th-lok-sabha/shashi-tharoor';
+const MISSING_URL = 'https://prsindia.org/mptrack/18th-lok-sabha/nobody';
+const OPTIONS = { refresh: true, includeAffidavit: false, includeAnalysis: false };
+
+let dataDir;
+let online = true;
+const requested = [];
+let snapshots;
+let fetchHTML;
+let getPRSData;
+
+before(async () => {
+  dataDir = setupTestEnv('snapshots', {
+    cache: 'off',
+    members: [{
+      type: 'MP',
+      name: 'Shashi Tharoor',
+      slug: 'shashi-tharoor',
+      house: '18th-lok-sabha',
+      url: PAGE_URL,
+      state: 'Kerala',
+      constituency: 'Thiruvananthapuram',
+      party: 'Indian National Congress'
+    }],
+    fetch: async url => {
+      if (!online) throw new Error('network disabled');
+      if (String(url).endsWith('/robots.txt')) return new Response('', { status: 404 });
+
+      requested.push(String(url));
+      return String(url) === PAGE_URL
+        ? new Response(MP_FIXTURE, { status: 200 })
+        : new Response('', { status: 404 });
+    }
+  });
+  process.env.PRS_SNAPSHOT_DIR = path.join(dataDir, 'store');
+
+  snapshots = await import('../src/snapshots.js');
+  ({ fetchHTML } = await import('../src/webextract.js'));
+  ({ getPRSData } = await import('../src/prsService.js'));
+});
+
+after(() => {
+  snapshots.setSnapshotMode('off');
+  teardownTestEnv(dataDir);
+});
+
+test('record mode stores fetched pages and not-found markers, skipping unchanged content', async () => {
+  snapshots.setSnapshotMode('record');
+
+  await fetchHTML(PAGE_URL);
+  await fetchHTML(PAGE_URL);
+  await fetchHTML(MISSING_URL);
+  assert.deepEqual(requested, [PAGE_URL, PAGE_URL, MISSING_URL]);
+
+  const pages = await snapshots.listSnapshots();
+  assert.deepEqual(pages.map(page => [page.url, page.snapshots.map(s => s.status)]), [
+    [MISSING_URL, [404]],
+    [PAGE_URL, [200]]
+  ]);
+
+  const stored = await snapshots.loadSnapshot(PAGE_URL);
+  assert.equal(stored.html, MP_FIXTURE);
+  assert.equal(stored.notFound, false);
+  assert.equal((await snapshots.loadSnapshot(MISSING_URL)).notFound, true);
+});
+
+test('record mode revalidates cached pages instead of storing the cached copy', async () => {
+  const { setCache, createMemoryCache, createNullCache, createEntry } = await import('../src/cache.js');
+  const cache = createMemoryCache();
+  await cache.set(`html:${PAGE_URL}`, createEntry(MP_FIXTURE.replace('89%', '12%'), 60 * 60 * 1000));
+  setCache(cache);
+  requested.length = 0;
+
+  try {
+    const page = await fetchHTML(PAGE_URL);
+    assert.deepEqual(requested, [PAGE_URL]);
+    assert.equal(page.fromCache, false);
+    assert.equal(page.html, MP_FIXTURE);
+    assert.equal((await snapshots.loadSnapshot(PAGE_URL)).html, MP_FIXTURE);
+  } finally {
+    setCache(createNullCache());
+  }
+});
+
+test('snapshots are picked as of a point in time', async () => {
+  const [first] = (await snapshots.listSnapshots()).find(page => page.url === PAGE_URL).snapshots;
+  await snapshots.saveSnapshot(PAGE_URL, { html: MP_FIXTURE.replace('89%', '91%') });
+
+  assert.match((await snapshots.loadSnapshot(PAGE_URL)).html, /91%/);
+  assert.equal((await snapshots.loadSnapshot(PAGE_URL, { at: Date.parse(first.fetchedAt) })).html, MP_FIXTURE);
+  assert.equal(await snapshots.loadSnapshot(PAGE_URL, { at: Date.parse(first.fetchedAt) - 1 }), null);
+});
+
+test('offline mode resolves lookups from the store without touching the network', async () => {
+  snapshots.setSnapshotMode('offline');
+  online = false;
+
+  try {
+    const result = await getPRSData('Shashi Tharoor', 'MP', null, null, OPTIONS);
+    assert.equal(result.found, true);
+    assert.equal(result.data.attendance, '91%');
+
+    const missing = await fetchHTML('https://prsindia.org/mptrack/18th-lok-sabha/never-captured');
+    assert.equal(missing.status, 'notFound');
+    assert.equal(missing.reason, 'No snapshot stored for this URL');
+    assert.throws(() => snapshots.setSnapshotMode('online'), /Unknown snapshot mode "online"/);
+  } finally {
+    online = true;
+  }
+});
+
+test('exports can be imported into another store, skipping snapshots it already has', async () => {
+  const exportDir = path.join(dataDir, 'export');
+  const manifest = await snapshots.exportSnapshots(exportDir, { latestOnly: true });
+  assert.equal(manifest.format, 'prs-snapshots');
+  assert.deepEqual([manifest.pages, manifest.snapshots], [2, 2]);
+
+  process.env.PRS_SNAPSHOT_DIR = path.join(dataDir, 'team');
+  try {
+    assert.deepEqual(await snapshots.importSnapshots(exportDir), {
+      pages: 2,
+      imported: 2,
+      skipped: 0,
+      exportedAt: manifest.exportedAt
+    });
+    assert.equal((await snapshots.importSnapshots(exportDir)).skipped, 2);
+    assert.match((await snapshots.loadSnapshot(PAGE_URL)).html, /91%/);
+
+    await assert.rejects(snapshots.importSnapshots(dataDir), /is not a snapshot export/);
+  } finally {
+    process.env.PRS_SNAPSHOT_DIR = path.join(dataDir, 'store');
+  }
+});
@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnv, teardownTestEnv } from './helpers.js';
+import { classifyLookupFailure } from '../src/upstream.js';
+
+const MEMBER_URL = 'https://prsindia.org/mptrack/18th-lok-sabha/shashi-tharoor';
+
+let dataDir;
+let main;
+
+function attempt(status, extra = {}) {
+  return { url: `https://prsindia.org/${status}`, status, source: 'guess', reason: null, ...extra };
+}
+
+function invoke(query) {
+  let response;
+  const res = { json: (body, status, headers) => (response = { body, status, headers }) };
+  return main({ req: { method: 'GET', path: '/', query, headers: {} }, res, log: () => {}, error: () => {} })
+    .then(() => response);
+}
+
+before(async () => {
+  dataDir = setupTestEnv('upstream', {
+    members: [{
+      type: 'MP',
+      name: 'Shashi Tharoor',
+      slug: 'shashi-tharoor',
+      house: '18th-lok-sabha',
+      url: MEMBER_URL,
+      state: 'Kerala',
+      constituency: 'Thiruvananthapuram',
+      party: 'Indian National Congress'
+    }],
+    fetch: async url => {
+      if (String(url).endsWith('/robots.txt')) return new Response('', { status: 404 });
+      return new Response('', { status: String(url) === MEMBER_URL ? 403 : 404 });
+    }
+  });
+
+  ({ default: main } = await import('../src/main.js'));
+});
+
+after(() => teardownTestEnv(dataDir));
+
+test('lookups that reached PRS are not upstream failures', () => {
+  assert.equal(classifyLookupFailure([]), null);
+  assert.equal(classifyLookupFailure([attempt('notFound'), attempt('notFound')]), null);
+  assert.equal(classifyLookupFailure([attempt('notFound'), attempt('timeout')]), null);
+});
+
+test('failures are classified by the worst cause and carry retry hints', () => {
+  assert.deepEqual(classifyLookupFailure([attempt('timeout'), attempt('timeout')]), {
+    code: 'UPSTREAM_TIMEOUT',
+    httpStatus: 504,
+    message: 'PRS India did not respond in time',
+    retryable: true,
+    retryAfterSeconds: 10,
+    failedUrls: 2,
+    checkedUrls: 2
+  });
+  assert.equal(classifyLookupFailure([attempt('timeout'), attempt('error')]).code, 'UPSTREAM_UNAVAILABLE');
+  assert.equal(classifyLookupFailure([attempt('error'), attempt('blocked')]).httpStatus, 503);
+
+  const robots = classifyLookupFailure([attempt('blocked', { reason: 'Disallowed by robots.txt' })]);
+  assert.equal(robots.code, 'UPSTREAM_BLOCKED');
+  assert.equal(robots.retryable, false);
+  assert.equal(robots.retryAfterSeconds, null);
+
+  const indexMiss = classifyLookupFailure([attempt('notFound'), attempt('timeout', { source: 'index' })]);
+  assert.equal(indexMiss.code, 'UPSTREAM_TIMEOUT');
+  assert.deepEqual([indexMiss.failedUrls, indexMiss.checkedUrls], [1, 2]);
+});
+
+test('the handler answers 503 with a retry hint and the attempt log when PRS blocks the matched page', async () => {
+  const { status, headers, body } = await invoke({ name: 'Shashi Tharoor', type: 'MP' });
+
+  assert.equal(status, 503);
+  assert.deepEqual(headers, { 'Retry-After': '60' });
+  assert.equal(body.success, false);
+  assert.equal(body.code, 'UPSTREAM_BLOCKED');
+  assert.equal(body.error, 'PRS India refused or rate-limited our requests');
+  assert.equal(body.retryable, true);
+
+  const blocked = body.attempts.find(entry => entry.url === MEMBER_URL);
+  assert.deepEqual([blocked.status, blocked.source, blocked.httpStatus, blocked.reason], ['blocked', 'index', 403, 'HTTP 403']);
+});
+
+test('a member PRS does not have is a plain 404', async () => {
+  const { status, headers, body } = await invoke({ name: 'Nobody Atall', type: 'MP' });
+
+  assert.equal(status, 404);
+  assert.equal(headers, undefined);
+  assert.equal(body.code, 'MEMBER_NOT_FOUND');
+  assert.equal(body.retryable, false);
+  assert.ok(body.attempts.length > 0);
+  assert.ok(body.attempts.every(entry => entry.status === 'notFound'));
+  assert.ok(body.suggestions.includes('Try alternate type (RS or MLA)'));
+
+  const rs = await invoke({ name: 'Nobody Atall', type: 'rs' });
+  assert.equal(rs.status, 404);
+  assert.ok(rs.body.suggestions.includes('Try alternate type (MP)'));
+});
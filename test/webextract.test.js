@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MP_FIXTURE, setupTestEnv, teardownTestEnv } from './helpers.js';
+import { fetchHTML } from '../src/webextract.js';
+
+const BASE = 'https://prsindia.org/mptrack/18th-lok-sabha';
+const PADDING = '<p>content</p>'.repeat(60);
+
+let dataDir;
+let getPRSData;
+
+function page(title, bodyClass = 'html not-front') {
+  return `<html><head><title>${title}</title></head><body class="${bodyClass}">${PADDING}</body></html>`;
+}
+
+function redirected(html, finalUrl) {
+  const response = new Response(html, { status: 200 });
+  Object.defineProperty(response, 'url', { value: finalUrl });
+  return response;
+}
+
+const ROUTES = {
+  'member': () => new Response(MP_FIXTURE, { status: 200 }),
+  'gone': () => new Response('', { status: 410 }),
+  'titled': () => new Response(page('Page not found | PRSIndia'), { status: 200 }),
+  'classed': () => new Response(page('PRSIndia', 'html page-404'), { status: 200 }),
+  'moved': () => redirected(page('MP Track | PRSIndia'), 'https://prsindia.org/mptrack'),
+  'forbidden': () => new Response('', { status: 403 }),
+  'challenge': () => new Response(page('Just a moment...'), { status: 200 }),
+  'private': () => new Response(MP_FIXTURE, { status: 200 }),
+  'slow': () => { throw new DOMException('The operation was aborted', 'AbortError'); },
+  'gateway': () => new Response('', { status: 504 }),
+  'offline': () => { throw new TypeError('fetch failed'); },
+  'short': () => new Response('<html></html>', { status: 200 }),
+  'throttled': () => new Response('', { status: 429, headers: { 'Retry-After': '3600' } }),
+  'numbers': () => new Response(MP_FIXTURE.replaceAll('112', '404').replace('</body>', '<p>Question 404 not found in archive</p></body>'), { status: 200 })
+};
+
+before(async () => {
+  dataDir = setupTestEnv('webextract', {
+    cache: 'off',
+    members: [{
+      type: 'MP',
+      name: 'Shashi Tharoor',
+      slug: 'numbers',
+      house: '18th-lok-sabha',
+      url: `${BASE}/numbers`,
+      state: 'Kerala',
+      constituency: 'Thiruvananthapuram',
+      party: 'Indian National Congress'
+    }],
+    fetch: async url => {
+      const target = new URL(url);
+      if (target.pathname === '/robots.txt') return new Response('User-agent: *\nDisallow: /mptrack/18th-lok-sabha/private', { status: 200 });
+
+      const route = ROUTES[target.pathname.split('/').pop()];
+      return route ? route() : new Response('', { status: 404 });
+    }
+  });
+
+  ({ getPRSData } = await import('../src/prsService.js'));
+});
+
+after(() => teardownTestEnv(dataDir));
+
+async function statusOf(slug) {
+  const result = await fetchHTML(`${BASE}/${slug}`, 0);
+  return [result.status, result.reason];
+}
+
+test('member pages come back ok with their HTML', async () => {
+  const result = await fetchHTML(`${BASE}/member`);
+  assert.equal(result.status, 'ok');
+  assert.equal(result.httpStatus, 200);
+  assert.equal(result.html, MP_FIXTURE);
+  assert.equal(result.attempts, 1);
+});
+
+test('missing members are recognised by status, title, body class and redirects', async () => {
+  assert.deepEqual(await statusOf('nobody'), ['notFound', 'HTTP 404']);
+  assert.deepEqual(await statusOf('gone'), ['notFound', 'HTTP 410']);
+  assert.deepEqual(await statusOf('titled'), ['notFound', 'page title "Page not found | PRSIndia"']);
+  assert.deepEqual(await statusOf('classed'), ['notFound', 'body class "page-404"']);
+  assert.deepEqual(await statusOf('moved'), ['notFound', 'redirected to https://prsindia.org/mptrack']);
+});
+
+test('blocks, timeouts and failures are reported apart from not-found', async () => {
+  assert.deepEqual(await statusOf('forbidden'), ['blocked', 'HTTP 403']);
+  assert.deepEqual(await statusOf('challenge'), ['blocked', 'challenge page "Just a moment..."']);
+  assert.deepEqual(await statusOf('private'), ['blocked', 'Disallowed by robots.txt']);
+  assert.deepEqual(await statusOf('slow'), ['timeout', 'Timed out after 15000ms']);
+  assert.deepEqual(await statusOf('gateway'), ['timeout', 'HTTP 504']);
+  assert.deepEqual(await statusOf('offline'), ['error', 'fetch failed']);
+  assert.deepEqual(await statusOf('short'), ['error', 'Response too short (13 bytes)']);
+
+  const throttled = await fetchHTML(`${BASE}/throttled`);
+  assert.equal(throttled.status, 'blocked');
+  assert.equal(throttled.reason, 'HTTP 429 with Retry-After beyond the retry budget');
+});
+
+test('"404" and "not found" in page content do not make a member page missing', async () => {
+  const result = await getPRSData('Shashi Tharoor', 'MP', null, null, { includeAffidavit: false, includeAnalysis: false });
+  assert.equal(result.found, true);
+  assert.equal(result.data.questions, '404');
+});
@@ -0,0 +1,194 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { memberPage } from './helpers.js';
+import { recordMemberSnapshot } from '../src/changes.js';
+import { createSubscription, processDeliveries, readDeadLetters, signPayload, validateCallbackUrl } from '../src/webhooks.js';
+
+const MEMBER_URL = 'https://prsindia.org/mptrack/18th-lok-sabha/shashi-tharoor';
+const POLLED_URL = 'https://prsindia.org/mptrack/18th-lok-sabha/supriya-sule';
+const SECRET = 'newsroom-test-secret';
+const TOKEN = 'webhook-admin-token';
+
+let dataDir;
+let server;
+let receiverUrl;
+let replyStatus = 200;
+const received = [];
+
+function member(overrides = {}) {
+  return {
+    type: 'MP',
+    name: 'Shashi Tharoor',
+    state: 'Kerala',
+    constituency: 'Thiruvananthapuram',
+    party: 'Indian National Congress',
+    attendance: '89%',
+    questions: '112',
+    debatesRows: [],
+    questionsRows: [
+      { date: '2024-07-22', title: 'Coastal Erosion', type: 'Starred', ministry: 'Earth Sciences', url: 'https://prsindia.org/q/1' }
+    ],
+    ...overrides
+  };
+}
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  dataDir = mkdtempSync(path.join(tmpdir(), 'prs-webhooks-'));
+  process.env.PRS_DATA_DIR = dataDir;
+  process.env.PRS_WEBHOOK_ALLOW_LOCAL = 'true';
+
+  server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = replyStatus;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(() => {
+  server.close();
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('member changes are delivered as signed JSON with matching events', async () => {
+  await createSubscription({ callbackUrl: receiverUrl, members: [{ url: MEMBER_URL }], attendanceBelow: 75, secret: SECRET });
+
+  await recordMemberSnapshot(MEMBER_URL, member());
+  assert.equal(received.length, 0);
+
+  await recordMemberSnapshot(MEMBER_URL, member({
+    party: 'Bharatiya Janata Party',
+    attendance: '70%',
+    questions: '113',
+    questionsRows: [
+      ...member().questionsRows,
+      { date: '2024-12-02', title: 'Fisheries Subsidy', type: 'Unstarred', ministry: 'Fisheries', url: 'https://prsindia.org/q/2' }
+    ]
+  }));
+
+  assert.equal(received.length, 0);
+  const run = await processDeliveries();
+  assert.equal(run.delivered, 1);
+  assert.equal(received.length, 1);
+  const [{ headers, body }] = received;
+  assert.equal(headers['content-type'], 'application/json');
+  assert.equal(headers['x-prs-event'], 'member.changed');
+  assert.equal(headers['x-prs-signature'], signPayload(SECRET, headers['x-prs-timestamp'], body));
+
+  const payload = JSON.parse(body);
+  assert.equal(payload.id, headers['x-prs-delivery']);
+  assert.equal(payload.member.url, MEMBER_URL);
+  assert.deepEqual(payload.events.map(event => event.type), ['question.new', 'attendance.below', 'party.changed', 'field.changed']);
+  assert.equal(payload.events[0].rows[0].title, 'Fisheries Subsidy');
+  assert.deepEqual(payload.events[1], { type: 'attendance.below', threshold: 75, from: '89%', to: '70%' });
+});
+
+test('failed deliveries are retried with backoff and then dead-lettered', async () => {
+  received.length = 0;
+  replyStatus = 503;
+
+  await recordMemberSnapshot(MEMBER_URL, member({ party: 'Independent' }));
+  const first = await processDeliveries({ maxAttempts: 3 });
+  assert.equal(first.retrying, 1);
+  assert.equal(received.length, 1);
+
+  const early = await processDeliveries({ maxAttempts: 3 });
+  assert.equal(early.attempted, 0);
+  assert.equal(early.pending, 1);
+
+  const later = Date.now() + 24 * 60 * 60 * 1000;
+  const second = await processDeliveries({ now: later, maxAttempts: 3 });
+  assert.equal(second.retrying, 1);
+
+  const third = await processDeliveries({ now: later * 2, maxAttempts: 3 });
+  assert.equal(third.deadLettered, 1);
+  assert.equal(third.pending, 0);
+  assert.equal(received.length, 3);
+
+  const [deadLetter] = await readDeadLetters();
+  assert.equal(deadLetter.attempts, 3);
+  assert.equal(deadLetter.lastError, 'HTTP 503');
+  assert.equal(deadLetter.payload.events[0].type, 'party.changed');
+});
+
+test('callback URLs must be https and resolve to public addresses', async () => {
+  delete process.env.PRS_WEBHOOK_ALLOW_LOCAL;
+
+  try {
+    assert.match(await validateCallbackUrl('http://newsroom.example.com/hook'), /https/);
+    assert.match(await validateCallbackUrl('https://127.0.0.1/hook'), /public address/);
+    assert.match(await validateCallbackUrl('https://169.254.169.254/latest/meta-data'), /public address/);
+    assert.match(await validateCallbackUrl('https://10.1.2.3/hook'), /public address/);
+    assert.match(await validateCallbackUrl('https://[::ffff:192.168.0.1]/hook'), /public address/);
+    assert.match(await validateCallbackUrl('https://[fd00::1]/hook'), /public address/);
+    assert.equal(await validateCallbackUrl('https://93.184.216.34/hook'), null);
+
+    const { error } = await createSubscription({ callbackUrl: receiverUrl, members: [{ url: MEMBER_URL }] });
+    assert.match(error, /https/);
+  } finally {
+    process.env.PRS_WEBHOOK_ALLOW_LOCAL = 'true';
+  }
+});
+
+test('/webhooks/deliver re-checks subscribed members before draining the outbox', async () => {
+  received.length = 0;
+  replyStatus = 200;
+  process.env.PRS_CACHE = 'memory';
+  process.env.PRS_HOST_RATE = '1000';
+  process.env.PRS_WEBHOOK_TOKEN = TOKEN;
+
+  let attendance = '81%';
+  const realFetch = globalThis.fetch;
+  mock.method(globalThis, 'fetch', async (url, init) => {
+    if (!String(url).startsWith('https://prsindia.org/')) return realFetch(url, init);
+    if (String(url) !== POLLED_URL) return new Response('', { status: 404 });
+    return new Response(memberPage({ slug: 'supriya-sule', name: 'Supriya Sule', attendance }), { status: 200 });
+  });
+
+  const { default: main } = await import('../src/main.js');
+  const deliver = async body => {
+    let response;
+    const res = { json: (payload, status) => (response = { body: payload, status }) };
+    await main({
+      req: { method: 'POST', path: '/webhooks/deliver', bodyJson: body, headers: { 'x-prs-webhook-token': TOKEN } },
+      res,
+      log: () => {},
+      error: () => {}
+    });
+    return response;
+  };
+
+  try {
+    await createSubscription({ callbackUrl: receiverUrl, members: [{ url: POLLED_URL, name: null, type: 'MP' }], secret: SECRET });
+
+    const first = await deliver({});
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.refresh, { checked: 2, refreshed: 1, failed: [{ url: MEMBER_URL, error: 'notFound: HTTP 404' }] });
+    assert.equal(received.length, 0);
+
+    attendance = '64%';
+    const skipped = await deliver({ refresh: false });
+    assert.equal(skipped.body.refresh.checked, 0);
+    assert.equal(received.length, 0);
+
+    const second = await deliver({});
+    assert.equal(second.body.delivered, 1);
+    const payload = JSON.parse(received[0].body);
+    assert.equal(payload.member.url, POLLED_URL);
+    assert.deepEqual(payload.changes.fields.find(field => field.field === 'attendance'), { field: 'attendance', from: '81%', to: '64%', delta: -17 });
+  } finally {
+    mock.restoreAll();
+    mock.method(console, 'log', () => {});
+    delete process.env.PRS_WEBHOOK_TOKEN;
+  }
+});